@@ -0,0 +1,62 @@
+/**
+ * Migration: Create uploads table
+ *
+ * Tracks each shapefile/raster upload and its import run:
+ * - status: pending | processing | completed | failed
+ * - table_name: PostGIS table the data was imported into
+ * - layer_id: layers row registered for the upload (if requested)
+ * - error_message: reason the import failed
+ * - metadata: feature count, geometry type, extent, etc.
+ *
+ * An older uploads table is kept as uploads_legacy instead of being reused or dropped.
+ */
+
+/**
+ * Rename a table with the indexes named after it (constraints follow their index),
+ * so the new table can reuse the generated names
+ */
+async function renameWithIndexes(knex, from, to) {
+  const { rows } = await knex.raw(
+    'SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND tablename = ?',
+    [from]
+  );
+  await knex.schema.renameTable(from, to);
+  for (const { indexname } of rows) {
+    if (indexname.startsWith(from)) {
+      await knex.raw('ALTER INDEX ?? RENAME TO ??', [indexname, to + indexname.slice(from.length)]);
+    }
+  }
+}
+
+exports.up = async function(knex) {
+  if (await knex.schema.hasTable('uploads')) {
+    await renameWithIndexes(knex, 'uploads', 'uploads_legacy');
+  }
+
+  return knex.schema.createTable('uploads', function(table) {
+    table.uuid('id').primary();
+    table.uuid('user_id').nullable();
+    table.string('original_name').notNullable();
+    table.string('file_type').notNullable().comment('shapefile | geotiff');
+    table.string('status').notNullable().defaultTo('pending');
+    table.string('table_name').nullable();
+    table.uuid('layer_group_id').nullable();
+    table.uuid('layer_id').nullable();
+    table.text('error_message').nullable();
+    table.jsonb('metadata').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+    table.timestamp('completed_at').nullable();
+
+    table.index('status');
+    table.index('created_at');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('uploads');
+
+  if (await knex.schema.hasTable('uploads_legacy')) {
+    await renameWithIndexes(knex, 'uploads_legacy', 'uploads');
+  }
+};
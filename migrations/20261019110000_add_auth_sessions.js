@@ -0,0 +1,70 @@
+/**
+ * Migration: Add JWT authentication support
+ *
+ * - users.username / users.email: login identifiers (added if missing)
+ * - users.password_hash: bcrypt hash of the user's password
+ * - users.is_active: disabled users can't log in or use existing tokens
+ * - auth_sessions: one row per login; refresh tokens are rotated on the session
+ *   and revoking the session invalidates both its access and refresh tokens
+ *
+ * users columns that already exist are kept; the ones this migration adds are marked with a column
+ * comment so down only drops those.
+ */
+
+const CREATED_MARKER = 'Added by 20261019110000_add_auth_sessions';
+const USER_COLUMNS = ['username', 'email', 'password_hash', 'is_active'];
+
+exports.up = async function(knex) {
+  const hasUsername = await knex.schema.hasColumn('users', 'username');
+  const hasEmail = await knex.schema.hasColumn('users', 'email');
+  const hasPasswordHash = await knex.schema.hasColumn('users', 'password_hash');
+  const hasIsActive = await knex.schema.hasColumn('users', 'is_active');
+
+  await knex.schema.table('users', function(table) {
+    if (!hasUsername) {
+      table.string('username').nullable().unique().comment(CREATED_MARKER);
+    }
+    if (!hasEmail) {
+      table.string('email').nullable().unique().comment(CREATED_MARKER);
+    }
+    if (!hasPasswordHash) {
+      table.string('password_hash').nullable().comment(`${CREATED_MARKER}; bcrypt password hash`);
+    }
+    if (!hasIsActive) {
+      table.boolean('is_active').notNullable().defaultTo(true).comment(CREATED_MARKER);
+    }
+  });
+
+  return knex.schema.createTable('auth_sessions', function(table) {
+    table.uuid('id').primary();
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('refresh_jti').notNullable().comment('ID of the current (latest) refresh token');
+    table.string('ip').nullable();
+    table.string('user_agent').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('last_used_at').defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('revoked_at').nullable();
+
+    table.index('user_id');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('auth_sessions');
+
+  const { rows } = await knex.raw(`
+    SELECT attname FROM pg_attribute
+    WHERE attrelid = 'users'::regclass AND attnum > 0 AND NOT attisdropped
+      AND starts_with(col_description(attrelid, attnum), ?)
+  `, [CREATED_MARKER]);
+  const created = rows.map(row => row.attname);
+
+  await knex.schema.table('users', function(table) {
+    for (const column of USER_COLUMNS) {
+      if (created.includes(column)) {
+        table.dropColumn(column);
+      }
+    }
+  });
+};
@@ -0,0 +1,95 @@
+/**
+ * Migration: Create layer_permissions table and the "public" role
+ *
+ * Grants view/edit rights per role on either a layer or a layer group:
+ * - layer_id / layer_group_id: exactly one is set
+ * - can_view / can_edit: rights granted to the role
+ *
+ * Anonymous callers are treated as members of the "public" role.
+ *
+ * An older layer_permissions table is kept as layer_permissions_legacy instead of being reused or
+ * dropped. The roles this migration adds are listed in the table comment so down only deletes those.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const CREATED_MARKER = 'Added by 20261019120000_create_layer_permissions';
+
+/**
+ * Rename a table with the indexes named after it (constraints follow their index),
+ * so the new table can reuse the generated names
+ */
+async function renameWithIndexes(knex, from, to) {
+  const { rows } = await knex.raw(
+    'SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND tablename = ?',
+    [from]
+  );
+  await knex.schema.renameTable(from, to);
+  for (const { indexname } of rows) {
+    if (indexname.startsWith(from)) {
+      await knex.raw('ALTER INDEX ?? RENAME TO ??', [indexname, to + indexname.slice(from.length)]);
+    }
+  }
+}
+
+exports.up = async function(knex) {
+  if (await knex.schema.hasTable('layer_permissions')) {
+    await renameWithIndexes(knex, 'layer_permissions', 'layer_permissions_legacy');
+  }
+
+  await knex.schema.createTable('layer_permissions', function(table) {
+    table.uuid('id').primary();
+    table.uuid('role_id').notNullable().references('id').inTable('roles').onDelete('CASCADE');
+    table.uuid('layer_id').nullable().references('id').inTable('layers').onDelete('CASCADE');
+    table.uuid('layer_group_id').nullable().references('id').inTable('layer_groups').onDelete('CASCADE');
+    table.boolean('can_view').notNullable().defaultTo(true);
+    table.boolean('can_edit').notNullable().defaultTo(false);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['role_id', 'layer_id']);
+    table.unique(['role_id', 'layer_group_id']);
+    table.index('layer_id');
+    table.index('layer_group_id');
+  });
+
+  await knex.raw(`
+    ALTER TABLE layer_permissions
+    ADD CONSTRAINT layer_permissions_target_check
+    CHECK ((layer_id IS NULL) <> (layer_group_id IS NULL))
+  `);
+
+  // Ensure the roles used by the permission checks exist
+  const idColumn = await knex('roles').columnInfo('id');
+  const createdRoles = [];
+  for (const name of ['admin', 'public']) {
+    const existing = await knex('roles').where('name', name).first();
+    if (!existing) {
+      await knex('roles').insert(idColumn.type === 'uuid' ? { id: uuidv4(), name } : { name });
+      createdRoles.push(name);
+    }
+  }
+
+  // COMMENT ON doesn't take bind parameters; the role names are the constants above
+  await knex.raw(`COMMENT ON TABLE layer_permissions IS '${CREATED_MARKER}; roles: ${createdRoles.join(',')}'`);
+};
+
+exports.down = async function(knex) {
+  let createdRoles = [];
+  if (await knex.schema.hasTable('layer_permissions')) {
+    const { rows } = await knex.raw(`SELECT obj_description('layer_permissions'::regclass, 'pg_class') AS comment`);
+    const comment = rows[0].comment || '';
+    const prefix = `${CREATED_MARKER}; roles: `;
+    createdRoles = comment.startsWith(prefix) ? comment.slice(prefix.length).split(',').filter(Boolean) : [];
+  }
+
+  await knex.schema.dropTableIfExists('layer_permissions');
+
+  if (await knex.schema.hasTable('layer_permissions_legacy')) {
+    await renameWithIndexes(knex, 'layer_permissions_legacy', 'layer_permissions');
+  }
+
+  if (createdRoles.length > 0) {
+    await knex('roles').whereIn('name', createdRoles).del();
+  }
+};
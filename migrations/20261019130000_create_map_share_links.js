@@ -0,0 +1,53 @@
+/**
+ * Migration: Add map ownership and share links
+ *
+ * - maps.owner_id: user who created the map
+ * - map_share_links: secret links that open a private map without signing in
+ *   - token_hash: SHA-256 of the token (the token itself is only shown once)
+ *   - expires_at: optional expiry
+ *   - revoked_at: set when the owner revokes the link
+ *
+ * An existing maps.owner_id is kept; if this migration adds it, the column is marked with a comment
+ * so down only drops it then.
+ */
+
+const CREATED_MARKER = 'Added by 20261019130000_create_map_share_links';
+
+exports.up = async function(knex) {
+  const hasOwnerId = await knex.schema.hasColumn('maps', 'owner_id');
+  if (!hasOwnerId) {
+    await knex.schema.table('maps', function(table) {
+      table.uuid('owner_id').nullable().comment(`${CREATED_MARKER}; user who created the map`);
+    });
+  }
+
+  return knex.schema.createTable('map_share_links', function(table) {
+    table.uuid('id').primary();
+    table.uuid('map_id').notNullable().references('id').inTable('maps').onDelete('CASCADE');
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('label').nullable();
+    table.uuid('created_by').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('expires_at').nullable();
+    table.timestamp('revoked_at').nullable();
+    table.timestamp('last_accessed_at').nullable();
+
+    table.index('map_id');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('map_share_links');
+
+  const { rows } = await knex.raw(`
+    SELECT attname FROM pg_attribute
+    WHERE attrelid = 'maps'::regclass AND attname = 'owner_id' AND NOT attisdropped
+      AND starts_with(col_description(attrelid, attnum), ?)
+  `, [CREATED_MARKER]);
+
+  if (rows.length > 0) {
+    await knex.schema.table('maps', function(table) {
+      table.dropColumn('owner_id');
+    });
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Migration: Create audit_logs table
+ *
+ * One row per change to a map, layer group or layer:
+ * - action: create | update | delete
+ * - entity_type / entity_id: what was changed
+ * - before / after: full row state around the change
+ * - changes: per-field { from, to } diff
+ * - user_id / ip / user_agent: who made the change and from where
+ *
+ * An older audit_logs table is kept as audit_logs_legacy instead of being reused or dropped.
+ */
+
+/**
+ * Rename a table with the indexes named after it (constraints follow their index),
+ * so the new table can reuse the generated names
+ */
+async function renameWithIndexes(knex, from, to) {
+  const { rows } = await knex.raw(
+    'SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND tablename = ?',
+    [from]
+  );
+  await knex.schema.renameTable(from, to);
+  for (const { indexname } of rows) {
+    if (indexname.startsWith(from)) {
+      await knex.raw('ALTER INDEX ?? RENAME TO ??', [indexname, to + indexname.slice(from.length)]);
+    }
+  }
+}
+
+exports.up = async function(knex) {
+  if (await knex.schema.hasTable('audit_logs')) {
+    await renameWithIndexes(knex, 'audit_logs', 'audit_logs_legacy');
+  }
+
+  return knex.schema.createTable('audit_logs', function(table) {
+    table.uuid('id').primary();
+    table.uuid('user_id').nullable();
+    table.string('action').notNullable();
+    table.string('entity_type').notNullable();
+    table.uuid('entity_id').nullable();
+    table.jsonb('before').nullable();
+    table.jsonb('after').nullable();
+    table.jsonb('changes').nullable();
+    table.string('ip').nullable();
+    table.string('user_agent').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['entity_type', 'entity_id']);
+    table.index('user_id');
+    table.index('created_at');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('audit_logs');
+
+  if (await knex.schema.hasTable('audit_logs_legacy')) {
+    await renameWithIndexes(knex, 'audit_logs_legacy', 'audit_logs');
+  }
+};
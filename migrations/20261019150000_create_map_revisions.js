@@ -0,0 +1,26 @@
+/**
+ * Migration: Create map_revisions table
+ *
+ * Each change to a map, its layer groups or layers stores a full snapshot:
+ * - revision: per-map sequence number, starting at 1
+ * - snapshot: { map, layer_groups, layers } as stored at that point
+ * - summary: short description of the change that produced it
+ */
+
+exports.up = function(knex) {
+  return knex.schema.createTable('map_revisions', function(table) {
+    table.uuid('id').primary();
+    table.uuid('map_id').notNullable().references('id').inTable('maps').onDelete('CASCADE');
+    table.integer('revision').notNullable();
+    table.jsonb('snapshot').notNullable();
+    table.string('summary').nullable();
+    table.uuid('created_by').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['map_id', 'revision']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('map_revisions');
+};
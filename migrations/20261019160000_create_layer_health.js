@@ -0,0 +1,27 @@
+/**
+ * Migration: Create layer_health table
+ *
+ * Holds the latest availability probe for each layer:
+ * - status: up, down or skipped (URL can't be probed from the server)
+ * - latency_ms / http_status: timing and response status of the probe
+ * - consecutive_failures: failed probes since the layer was last up
+ */
+
+exports.up = function(knex) {
+  return knex.schema.createTable('layer_health', function(table) {
+    table.uuid('layer_id').primary().references('id').inTable('layers').onDelete('CASCADE');
+    table.string('status', 20).notNullable();
+    table.integer('latency_ms').nullable();
+    table.integer('http_status').nullable();
+    table.text('error_message').nullable();
+    table.integer('consecutive_failures').notNullable().defaultTo(0);
+    table.timestamp('checked_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_up_at').nullable();
+
+    table.index('status');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('layer_health');
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration: Add spatial footprints to products
+ *
+ * - footprint: GEOMETRY(4326) - Area covered by the product
+ * - footprint_source: raster, vector (extracted from the file) or manual (entered by an admin)
+ *
+ * Also adds GIST indexes for bbox/AOI searches and for radius searches on geography.
+ * Columns that already exist are kept; the ones this migration adds are marked with a column
+ * comment so down only drops those.
+ */
+
+const CREATED_MARKER = 'Added by 20261019170000_add_footprint_to_products';
+
+exports.up = async function(knex) {
+  const hasFootprint = await knex.schema.hasColumn('products', 'footprint');
+  const hasFootprintSource = await knex.schema.hasColumn('products', 'footprint_source');
+
+  await knex.schema.table('products', function(table) {
+    if (!hasFootprint) {
+      table.specificType('footprint', 'geometry(Geometry, 4326)').nullable().comment(CREATED_MARKER);
+    }
+    if (!hasFootprintSource) {
+      table.string('footprint_source', 20).nullable().comment(CREATED_MARKER);
+    }
+  });
+
+  await knex.raw('CREATE INDEX IF NOT EXISTS products_footprint_gist ON products USING GIST (footprint)');
+  await knex.raw('CREATE INDEX IF NOT EXISTS products_footprint_geography_gist ON products USING GIST ((footprint::geography))');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS products_footprint_geography_gist');
+  await knex.raw('DROP INDEX IF EXISTS products_footprint_gist');
+
+  const { rows } = await knex.raw(`
+    SELECT attname FROM pg_attribute
+    WHERE attrelid = 'products'::regclass AND attnum > 0 AND NOT attisdropped
+      AND col_description(attrelid, attnum) = ?
+  `, [CREATED_MARKER]);
+  const created = rows.map(row => row.attname);
+
+  await knex.schema.table('products', function(table) {
+    for (const column of ['footprint_source', 'footprint']) {
+      if (created.includes(column)) {
+        table.dropColumn(column);
+      }
+    }
+  });
+};
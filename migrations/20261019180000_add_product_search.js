@@ -0,0 +1,64 @@
+/**
+ * Migration: Full-text search on products
+ *
+ * - description: TEXT - Free-text description of the product
+ * - keywords: TEXT - Comma-separated keywords
+ * - search_vector: TSVECTOR - Generated from title (A), category and keywords (B) and description (C),
+ *   stemmed with both the Indonesian and English configurations
+ *
+ * Requires PostgreSQL 12+ (generated columns and the indonesian text search configuration).
+ * Columns that already exist are kept; the ones this migration adds are marked with a column
+ * comment so down only drops those.
+ */
+
+const CREATED_MARKER = 'Added by 20261019180000_add_product_search';
+
+const SEARCH_VECTOR = ['indonesian', 'english']
+  .map(config => `
+    setweight(to_tsvector('${config}', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('${config}', coalesce(category, '')), 'B') ||
+    setweight(to_tsvector('${config}', coalesce(keywords, '')), 'B') ||
+    setweight(to_tsvector('${config}', coalesce(description, '')), 'C')`)
+  .join(' ||');
+
+exports.up = async function(knex) {
+  const hasDescription = await knex.schema.hasColumn('products', 'description');
+  const hasKeywords = await knex.schema.hasColumn('products', 'keywords');
+  const hasSearchVector = await knex.schema.hasColumn('products', 'search_vector');
+
+  await knex.schema.table('products', function(table) {
+    if (!hasDescription) {
+      table.text('description').nullable().comment(CREATED_MARKER);
+    }
+    if (!hasKeywords) {
+      table.text('keywords').nullable().comment(`${CREATED_MARKER}; comma-separated keywords`);
+    }
+  });
+
+  if (!hasSearchVector) {
+    await knex.raw(`ALTER TABLE products ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (${SEARCH_VECTOR}) STORED`);
+    await knex.raw(`COMMENT ON COLUMN products.search_vector IS '${CREATED_MARKER}'`);
+  }
+
+  await knex.raw('CREATE INDEX IF NOT EXISTS products_search_vector_gin ON products USING GIN (search_vector)');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS products_search_vector_gin');
+
+  const { rows } = await knex.raw(`
+    SELECT attname FROM pg_attribute
+    WHERE attrelid = 'products'::regclass AND attnum > 0 AND NOT attisdropped
+      AND starts_with(col_description(attrelid, attnum), ?)
+  `, [CREATED_MARKER]);
+  const created = rows.map(row => row.attname);
+
+  // search_vector is generated from the other columns, so it goes first
+  await knex.schema.table('products', function(table) {
+    for (const column of ['search_vector', 'keywords', 'description']) {
+      if (created.includes(column)) {
+        table.dropColumn(column);
+      }
+    }
+  });
+};
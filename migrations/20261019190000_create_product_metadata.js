@@ -0,0 +1,37 @@
+/**
+ * Migration: Create product_metadata table
+ *
+ * Raster metadata read with gdalinfo from GeoTIFF products:
+ * - crs / crs_wkt: authority code (e.g. EPSG:32748) and full WKT of the coordinate system
+ * - width / height / pixel_size_x / pixel_size_y: raster size and resolution in CRS units
+ * - band_count / bands: per-band data type, nodata, color interpretation and description
+ * - nodata: nodata value shared by the bands (null when bands differ or have none)
+ * - extent: bounding box in the raster CRS
+ * - acquisition_tags / acquired_at: date and sensor tags from the file and the parsed acquisition time
+ */
+
+exports.up = function(knex) {
+  return knex.schema.createTable('product_metadata', function(table) {
+    table.uuid('product_id').primary().references('id').inTable('products').onDelete('CASCADE');
+    table.string('driver', 50).nullable();
+    table.string('crs', 100).nullable();
+    table.text('crs_wkt').nullable();
+    table.integer('width').nullable();
+    table.integer('height').nullable();
+    table.double('pixel_size_x').nullable();
+    table.double('pixel_size_y').nullable();
+    table.integer('band_count').notNullable().defaultTo(0);
+    table.jsonb('bands').notNullable().defaultTo('[]');
+    table.string('nodata', 50).nullable();
+    table.jsonb('extent').nullable();
+    table.jsonb('acquisition_tags').notNullable().defaultTo('{}');
+    table.timestamp('acquired_at').nullable();
+    table.timestamp('extracted_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index('crs');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('product_metadata');
+};
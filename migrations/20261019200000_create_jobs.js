@@ -0,0 +1,45 @@
+/**
+ * Migration: Create jobs table
+ *
+ * Background job queue worked by the API server:
+ * - status: queued, running, completed or failed
+ * - payload / result: job input and output
+ * - progress / progress_message: last reported progress (0-100)
+ * - attempts / max_attempts / run_at: retries are re-queued with run_at pushed back (exponential backoff)
+ * - timeout_ms: running time after which the job and its child processes are killed
+ * - locked_by / locked_at: worker that claimed the job (claimed with FOR UPDATE SKIP LOCKED)
+ * - logs: one entry per failed attempt with the error and command output
+ */
+
+exports.up = function(knex) {
+  return knex.schema.createTable('jobs', function(table) {
+    table.uuid('id').primary();
+    table.string('type', 100).notNullable();
+    table.string('status', 20).notNullable().defaultTo('queued');
+    table.jsonb('payload').notNullable().defaultTo('{}');
+    table.jsonb('result').nullable();
+    table.integer('progress').notNullable().defaultTo(0);
+    table.text('progress_message').nullable();
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.integer('max_attempts').notNullable().defaultTo(3);
+    table.integer('timeout_ms').nullable();
+    table.timestamp('run_at').notNullable().defaultTo(knex.fn.now());
+    table.string('locked_by', 100).nullable();
+    table.timestamp('locked_at').nullable();
+    table.text('error_message').nullable();
+    table.jsonb('logs').notNullable().defaultTo('[]');
+    table.uuid('user_id').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('started_at').nullable();
+    table.timestamp('completed_at').nullable();
+
+    table.index(['status', 'run_at']);
+    table.index('type');
+    table.index('user_id');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('jobs');
+};
@@ -0,0 +1,80 @@
+/**
+ * Migration: Create styles and layer_styles tables
+ *
+ * Style library shared by all maps:
+ * - styles: named SLD or MapLibre/Mapbox GL style documents
+ *   - format: sld or maplibre
+ *   - content: the document as submitted (validated before it is stored)
+ *   - summary: details read during validation (SLD style names, MapLibre source and layer counts)
+ * - layer_styles: styles a layer can be switched to; at most one per layer is the default
+ *
+ * Older databases may have unused styles/layer_styles tables of their own; they are kept as
+ * styles_legacy/layer_styles_legacy instead of being dropped.
+ */
+
+/**
+ * Rename a table with the indexes named after it (constraints follow their index),
+ * so the new tables can reuse the generated names
+ */
+async function renameWithIndexes(knex, from, to) {
+  const { rows } = await knex.raw(
+    'SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND tablename = ?',
+    [from]
+  );
+  await knex.schema.renameTable(from, to);
+  for (const { indexname } of rows) {
+    if (indexname.startsWith(from)) {
+      await knex.raw('ALTER INDEX ?? RENAME TO ??', [indexname, to + indexname.slice(from.length)]);
+    }
+  }
+}
+
+exports.up = async function(knex) {
+  for (const name of ['layer_styles', 'styles']) {
+    if (await knex.schema.hasTable(name)) {
+      await renameWithIndexes(knex, name, `${name}_legacy`);
+    }
+  }
+
+  await knex.schema.createTable('styles', function(table) {
+    table.uuid('id').primary();
+    table.string('name', 255).notNullable().unique();
+    table.text('description').nullable();
+    table.string('format', 20).notNullable();
+    table.text('content').notNullable();
+    table.jsonb('summary').nullable();
+    table.uuid('created_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index('format');
+  });
+
+  await knex.schema.createTable('layer_styles', function(table) {
+    table.uuid('layer_id').notNullable().references('id').inTable('layers').onDelete('CASCADE');
+    table.uuid('style_id').notNullable().references('id').inTable('styles').onDelete('CASCADE');
+    table.boolean('is_default').notNullable().defaultTo(false);
+    table.integer('sort_order').notNullable().defaultTo(0);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['layer_id', 'style_id']);
+    table.index('style_id');
+  });
+
+  await knex.raw(`
+    CREATE UNIQUE INDEX layer_styles_default_idx
+    ON layer_styles (layer_id)
+    WHERE is_default
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('layer_styles');
+  await knex.schema.dropTableIfExists('styles');
+
+  for (const name of ['styles', 'layer_styles']) {
+    if (await knex.schema.hasTable(`${name}_legacy`)) {
+      await renameWithIndexes(knex, `${name}_legacy`, name);
+    }
+  }
+};
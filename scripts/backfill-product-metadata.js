@@ -0,0 +1,60 @@
+/**
+ * Extract raster metadata for existing GeoTIFF products
+ *
+ * Usage: npm run products:backfill-metadata [-- --force]
+ * Without --force, only products that have no metadata yet are processed.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const { db } = require('../src/db');
+const { resolveFilePath, getProductFilePath } = require('../src/services/product.service');
+const { isRasterFile, refreshProductMetadata } = require('../src/services/metadata.service');
+
+async function main() {
+  const force = process.argv.slice(2).includes('--force');
+
+  const query = db('products')
+    .select('products.id', 'products.filename')
+    .whereNotNull('products.filename')
+    .orderBy('products.created_at', 'asc');
+
+  if (!force) {
+    query.whereNotExists(
+      db('product_metadata').select(db.raw('1')).whereRaw('product_metadata.product_id = products.id')
+    );
+  }
+
+  const products = (await query).filter(product => isRasterFile(product.filename));
+  let updated = 0;
+  let failed = 0;
+
+  for (const product of products) {
+    const filePath = resolveFilePath(getProductFilePath(product));
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Product ${product.id}: file not found at ${filePath}`);
+      failed++;
+      continue;
+    }
+
+    try {
+      const metadata = await refreshProductMetadata(product.id, filePath);
+      console.log(`Product ${product.id}: ${metadata.crs || 'no CRS'}, ${metadata.band_count} band(s)`);
+      updated++;
+    } catch (error) {
+      console.warn(`Product ${product.id}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`Raster metadata extracted for ${updated} of ${products.length} product(s) (${failed} failed)`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Failed to backfill product metadata:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.destroy());
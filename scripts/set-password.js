@@ -0,0 +1,45 @@
+/**
+ * Set a user's password
+ *
+ * Usage: npm run user:set-password -- <username|email> <password>
+ */
+require('dotenv').config();
+const { db } = require('../src/db');
+const { hashPassword, revokeUserSessions } = require('../src/services/auth.service');
+
+async function main() {
+  const [identifier, password] = process.argv.slice(2);
+
+  if (!identifier || !password) {
+    console.error('Usage: npm run user:set-password -- <username|email> <password>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const user = await db('users')
+    .where('username', identifier)
+    .orWhere('email', identifier)
+    .first();
+
+  if (!user) {
+    console.error(`User ${identifier} not found`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await db('users')
+    .where('id', user.id)
+    .update({ password_hash: await hashPassword(password) });
+
+  // Existing sessions were opened with the old password
+  const revoked = await revokeUserSessions(user.id);
+
+  console.log(`Password updated for ${identifier} (${revoked} session(s) revoked)`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Failed to set password:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.destroy());
@@ -4,10 +4,24 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const logger = require('./utils/logger');
+const { PROXY_CACHE_DIR } = require('./services/proxy.service');
 
 // Import routes
 const productRoutes = require('./routes/product.routes');
 const mapRoutes = require('./routes/map.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const authRoutes = require('./routes/auth.routes');
+const permissionRoutes = require('./routes/permission.routes');
+const auditRoutes = require('./routes/audit.routes');
+const serviceRoutes = require('./routes/service.routes');
+const monitorRoutes = require('./routes/monitor.routes');
+const layerRoutes = require('./routes/layer.routes');
+const stacRoutes = require('./routes/stac.routes');
+const jobRoutes = require('./routes/job.routes');
+const styleRoutes = require('./routes/style.routes');
+
+// Register background job handlers so API requests can queue them
+require('./jobs');
 
 // Create Express app
 const app = express();
@@ -39,8 +53,11 @@ const corsOptions = {
   },
   credentials: false, // Set to false since we're not using withCredentials in axios
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-user-id', 'x-user-role'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Content-Type', 'Cache-Control'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since'],
+  exposedHeaders: [
+    'Content-Range', 'X-Content-Range', 'Content-Type', 'Cache-Control', 'X-Cache',
+    'Accept-Ranges', 'Content-Length', 'Content-Disposition', 'ETag', 'Last-Modified',
+  ],
 };
 
 app.use(cors(corsOptions));
@@ -48,7 +65,15 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// The proxy cache is only served through the layer proxy, which checks access, even if PROXY_CACHE_DIR is under uploads
+const uploadsDir = path.join(__dirname, '../uploads');
+const proxyCachePath = path.relative(uploadsDir, PROXY_CACHE_DIR);
+if (!proxyCachePath.startsWith('..') && !path.isAbsolute(proxyCachePath)) {
+  app.use(path.posix.join('/uploads', ...proxyCachePath.split(path.sep)), (req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+}
+app.use('/uploads', express.static(uploadsDir));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -69,8 +94,18 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/maps', mapRoutes);
+app.use('/api/upload', uploadRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/monitor', monitorRoutes);
+app.use('/api/layers', layerRoutes);
+app.use('/api/stac', stacRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/styles', styleRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
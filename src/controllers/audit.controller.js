@@ -0,0 +1,96 @@
+const { db } = require('../db');
+const logger = require('../utils/logger');
+
+const ENTITY_TYPES = ['map', 'layer_group', 'layer', 'product', 'style'];
+
+/**
+ * Get audit log entries
+ * GET /api/audit?page=1&limit=50&entity_type=layer&entity_id=...&user_id=...&action=update&from=...&to=...
+ */
+async function getAuditLogs(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const { entity_type, entity_id, user_id, action, from, to } = req.query;
+
+    if (page < 1) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Page number must be greater than 0',
+      });
+    }
+
+    if (limit < 1 || limit > 200) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Limit must be between 1 and 200',
+      });
+    }
+
+    if (entity_type && !ENTITY_TYPES.includes(entity_type)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `entity_type must be one of: ${ENTITY_TYPES.join(', ')}`,
+      });
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: `${name} must be a valid date`,
+        });
+      }
+    }
+
+    const applyFilters = (query) => {
+      if (entity_type) query.where('entity_type', entity_type);
+      if (entity_id) query.where('entity_id', entity_id);
+      if (user_id) query.where('user_id', user_id);
+      if (action) query.where('action', action);
+      if (from) query.where('created_at', '>=', new Date(from));
+      if (to) query.where('created_at', '<=', new Date(to));
+      return query;
+    };
+
+    const totalCountResult = await applyFilters(db('audit_logs')).count('id as count').first();
+    const total = parseInt(totalCountResult.count) || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    const logs = await applyFilters(db('audit_logs'))
+      .select('*')
+      .orderBy('created_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch audit logs',
+    });
+  }
+}
+
+module.exports = {
+  getAuditLogs,
+};
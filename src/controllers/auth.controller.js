@@ -0,0 +1,169 @@
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const authService = require('../services/auth.service');
+
+/**
+ * Send an error response for a failed auth operation
+ */
+function sendAuthError(res, error, fallbackMessage) {
+  if (error instanceof authService.AuthError) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      code: error.statusCode,
+      message: error.message,
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    status: 'error',
+    code: 500,
+    message: fallbackMessage,
+  });
+}
+
+/**
+ * Log in with username/email and password
+ * POST /api/auth/login
+ */
+async function login(req, res) {
+  try {
+    const { username, email, password } = req.body;
+    const identifier = username || email;
+
+    if (!identifier || !password) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Username (or email) and password are required',
+      });
+    }
+
+    const result = await authService.login(identifier, password, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    logger.info(`User ${result.user.id} logged in`);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof authService.AuthError) {
+      logger.warn(`Failed login attempt from ${req.ip}`);
+    }
+    sendAuthError(res, error, 'Failed to log in');
+  }
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+async function refresh(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'refresh_token is required',
+      });
+    }
+
+    const tokens = await authService.refresh(refresh_token);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: tokens,
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to refresh token');
+  }
+}
+
+/**
+ * Log out the current session, or every session with { all: true }
+ * POST /api/auth/logout
+ */
+async function logout(req, res) {
+  try {
+    const revoked = req.body.all === true
+      ? await authService.revokeUserSessions(req.user.id)
+      : await authService.revokeSession(req.user.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      message: 'Logged out successfully',
+      data: { revoked_sessions: revoked },
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to log out');
+  }
+}
+
+/**
+ * Get the current user
+ * GET /api/auth/me
+ */
+async function getCurrentUser(req, res) {
+  try {
+    const user = await db('users').where('id', req.user.id).first();
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: {
+        id: user.id,
+        username: user.username || null,
+        email: user.email || null,
+        roles: req.user.roles,
+      },
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to fetch user');
+  }
+}
+
+/**
+ * Revoke all sessions of a user (admin)
+ * POST /api/auth/users/:id/revoke
+ */
+async function revokeUserSessions(req, res) {
+  try {
+    const { id } = req.params;
+    const revoked = await authService.revokeUserSessions(id);
+
+    logger.info(`User ${req.user.id} revoked ${revoked} session(s) of user ${id}`);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: { revoked_sessions: revoked },
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to revoke sessions');
+  }
+}
+
+module.exports = {
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  revokeUserSessions,
+};
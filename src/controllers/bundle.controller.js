@@ -0,0 +1,132 @@
+const logger = require('../utils/logger');
+const mapService = require('../services/map.service');
+const bundleService = require('../services/bundle.service');
+const { recordAudit } = require('../services/audit.service');
+
+/**
+ * Export a map as a portable JSON bundle
+ * GET /api/maps/:id/export
+ */
+async function exportMap(req, res) {
+  try {
+    const { id } = req.params;
+
+    const bundle = await bundleService.exportMap(id);
+    if (!bundle) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Map not found',
+      });
+    }
+
+    const fileName = `${bundle.map.name.replace(/[^\w\-]+/g, '_')}.map.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(fileName)}"`);
+    res.status(200).json(bundle);
+  } catch (error) {
+    logger.error('Error exporting map:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to export map',
+    });
+  }
+}
+
+/**
+ * Import a map bundle with fresh UUIDs
+ * POST /api/maps/import?conflict=rename|replace|fail
+ * Body: the exported bundle
+ */
+async function importMap(req, res) {
+  try {
+    const conflict = req.query.conflict || 'fail';
+
+    const { mapId, replaced } = await bundleService.importMap(req.body, {
+      conflict,
+      ownerId: req.user.id,
+      req,
+    });
+
+    const mapData = await mapService.getMapConfig(mapId, req.user);
+    await recordAudit(req, { action: 'import', entityType: 'map', entityId: mapId, before: replaced, after: mapData });
+
+    logger.info(`Imported map ${mapId} (${mapData.name})`);
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      data: mapData,
+    });
+  } catch (error) {
+    if (error instanceof bundleService.BundleError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        code: error.statusCode,
+        message: error.message,
+      });
+    }
+    logger.error('Error importing map:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to import map',
+    });
+  }
+}
+
+/**
+ * Deep-copy a map with its layer groups and layers
+ * POST /api/maps/:id/clone { name?, basemaps_only?, center?, zoom? }
+ */
+async function cloneMap(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, basemaps_only, center, zoom } = req.body;
+
+    const { mapId, groupCount, layerCount } = await bundleService.cloneMap(id, {
+      name,
+      basemapsOnly: basemaps_only === true || basemaps_only === 'true',
+      center,
+      zoom,
+      ownerId: req.user.id,
+      req,
+    });
+
+    const mapData = await mapService.getMapConfig(mapId, req.user);
+    await recordAudit(req, {
+      action: 'clone',
+      entityType: 'map',
+      entityId: mapId,
+      after: { ...mapData, cloned_from: id },
+    });
+
+    logger.info(`Cloned map ${id} to ${mapId} (${groupCount} groups, ${layerCount} layers)`);
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      data: mapData,
+    });
+  } catch (error) {
+    if (error instanceof bundleService.BundleError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        code: error.statusCode,
+        message: error.message,
+      });
+    }
+    logger.error('Error cloning map:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to clone map',
+    });
+  }
+}
+
+module.exports = {
+  exportMap,
+  importMap,
+  cloneMap,
+};
@@ -0,0 +1,311 @@
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+const permissionService = require('../services/permission.service');
+const revisionService = require('../services/revision.service');
+const { recordAudit } = require('../services/audit.service');
+const { CapabilitiesError, fetchCapabilities } = require('../services/capabilities.service');
+const { fetchArcGisService } = require('../services/arcgis.service');
+
+/**
+ * Send an error response for a capabilities failure
+ */
+function sendCapabilitiesError(res, error, fallbackMessage) {
+  if (error instanceof CapabilitiesError) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      code: error.statusCode,
+      message: error.message,
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    status: 'error',
+    code: 500,
+    message: fallbackMessage,
+  });
+}
+
+/**
+ * Only callers who can add layers somewhere may have the server read external services
+ * @returns {Promise<boolean>} false if a 403 response was sent
+ */
+async function checkCanAddLayers(req, res) {
+  if (await permissionService.canEditAnyLayerGroup(req.user)) {
+    return true;
+  }
+  res.status(403).json({
+    status: 'error',
+    code: 403,
+    message: 'You do not have permission to add layers',
+  });
+  return false;
+}
+
+/**
+ * List the layers offered by a WMS or WFS service
+ * GET /api/services/capabilities?url=...&service=wms|wfs
+ */
+async function getCapabilities(req, res) {
+  try {
+    const { url, service } = req.query;
+
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'url is required',
+      });
+    }
+
+    if (!(await checkCanAddLayers(req, res))) {
+      return;
+    }
+
+    const capabilities = await fetchCapabilities(url, service || 'wms');
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: capabilities,
+    });
+  } catch (error) {
+    sendCapabilitiesError(res, error, 'Failed to read service capabilities');
+  }
+}
+
+/**
+ * Create layers in a group from a WMS or WFS service
+ * POST /api/maps/layer-groups/:groupId/layers/import
+ * Body: { url, service: 'wms'|'wfs', layers: [{ name, title?, style? }] }
+ */
+async function importLayers(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { url, service, layers } = req.body;
+    const serviceType = String(service || 'wms').toLowerCase();
+
+    if (!url || !Array.isArray(layers) || layers.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'url and a non-empty layers array are required',
+      });
+    }
+
+    const group = await db('layer_groups').where('id', groupId).first();
+    if (!group) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Layer group not found',
+      });
+    }
+
+    if (!(await permissionService.canEditLayerGroup(req.user, groupId))) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You do not have permission to add layers to this layer group',
+      });
+    }
+
+    // Re-read the capabilities so only layers the service really offers are created
+    const capabilities = await fetchCapabilities(url, serviceType);
+    const available = new Map(capabilities.layers.map(layer => [layer.name, layer]));
+
+    const selections = layers.map(layer => (typeof layer === 'string' ? { name: layer } : layer));
+    const missing = selections.filter(layer => !available.has(layer.name)).map(layer => layer.name);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `Layers not offered by the service: ${missing.join(', ')}`,
+      });
+    }
+
+    const invalidStyles = selections.filter((layer) => {
+      const styles = available.get(layer.name).styles.map(style => style.name);
+      return layer.style && !styles.includes(layer.style);
+    });
+    if (invalidStyles.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `Unknown style for layers: ${invalidStyles.map(layer => layer.name).join(', ')}`,
+      });
+    }
+
+    const maxZIndex = await db('layers').where('group_id', groupId).max('z_index as z_index').first();
+    let zIndex = (parseInt(maxZIndex.z_index) || 0) + 1;
+
+    const rows = selections.map((selection) => {
+      const layer = available.get(selection.name);
+      return {
+        id: uuidv4(),
+        group_id: groupId,
+        name: selection.title || layer.title,
+        type: serviceType,
+        url: capabilities.url,
+        layer_name: layer.name,
+        style: selection.style || layer.default_style || null,
+        z_index: zIndex++,
+        visible: selection.visible !== undefined ? selection.visible : true,
+      };
+    });
+
+    const created = await revisionService.withRevision(
+      group.map_id,
+      req,
+      `Imported ${rows.length} layer(s) from ${serviceType.toUpperCase()} capabilities`,
+      trx => trx('layers').insert(rows).returning('*')
+    );
+
+    for (const layer of created) {
+      await recordAudit(req, { action: 'create', entityType: 'layer', entityId: layer.id, after: layer });
+    }
+
+    logger.info(`Imported ${created.length} ${serviceType} layer(s) into group ${groupId}`);
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      data: created,
+    });
+  } catch (error) {
+    sendCapabilitiesError(res, error, 'Failed to import layers');
+  }
+}
+
+/**
+ * Describe an ArcGIS MapServer or FeatureServer and its sublayers
+ * GET /api/services/arcgis?url=...
+ */
+async function getArcGisService(req, res) {
+  try {
+    const { url } = req.query;
+
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'url is required',
+      });
+    }
+
+    if (!(await checkCanAddLayers(req, res))) {
+      return;
+    }
+
+    const service = await fetchArcGisService(url);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: service,
+    });
+  } catch (error) {
+    sendCapabilitiesError(res, error, 'Failed to read ArcGIS service');
+  }
+}
+
+/**
+ * Create arcgismapserver layers in a group from an ArcGIS service's sublayers
+ * POST /api/maps/layer-groups/:groupId/layers/arcgis
+ * Body: { url, layers: [{ id, name?, attribution? }] }
+ */
+async function importArcGisLayers(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { url, layers } = req.body;
+
+    if (!url || !Array.isArray(layers) || layers.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'url and a non-empty layers array are required',
+      });
+    }
+
+    const group = await db('layer_groups').where('id', groupId).first();
+    if (!group) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Layer group not found',
+      });
+    }
+
+    if (!(await permissionService.canEditLayerGroup(req.user, groupId))) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You do not have permission to add layers to this layer group',
+      });
+    }
+
+    const service = await fetchArcGisService(url);
+    const available = new Map(service.layers.map(layer => [layer.id, layer]));
+
+    const selections = layers.map(layer => (typeof layer === 'object' ? layer : { id: layer }));
+    const missing = selections
+      .filter(layer => !available.has(parseInt(layer.id, 10)))
+      .map(layer => layer.id);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `Sublayers not found in ${service.service_type}: ${missing.join(', ')}`,
+      });
+    }
+
+    const maxZIndex = await db('layers').where('group_id', groupId).max('z_index as z_index').first();
+    let zIndex = (parseInt(maxZIndex.z_index) || 0) + 1;
+
+    const rows = selections.map((selection) => {
+      const sublayer = available.get(parseInt(selection.id, 10));
+      return {
+        id: uuidv4(),
+        group_id: groupId,
+        name: selection.name || sublayer.name,
+        type: 'arcgismapserver',
+        url: service.url,
+        layer_name: sublayer.name,
+        layer_id: String(sublayer.id),
+        attribution: selection.attribution || sublayer.copyright,
+        style: null,
+        z_index: zIndex++,
+        visible: selection.visible !== undefined ? selection.visible : true,
+      };
+    });
+
+    const created = await revisionService.withRevision(
+      group.map_id,
+      req,
+      `Imported ${rows.length} layer(s) from ArcGIS ${service.service_type}`,
+      trx => trx('layers').insert(rows).returning('*')
+    );
+
+    for (const layer of created) {
+      await recordAudit(req, { action: 'create', entityType: 'layer', entityId: layer.id, after: layer });
+    }
+
+    logger.info(`Imported ${created.length} ArcGIS layer(s) into group ${groupId}`);
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      data: created,
+    });
+  } catch (error) {
+    sendCapabilitiesError(res, error, 'Failed to import ArcGIS layers');
+  }
+}
+
+module.exports = {
+  getCapabilities,
+  importLayers,
+  getArcGisService,
+  importArcGisLayers,
+};
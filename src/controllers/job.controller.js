@@ -0,0 +1,137 @@
+const { db } = require('../db');
+const { JOB_STATUSES } = require('../services/job.service');
+const logger = require('../utils/logger');
+
+/**
+ * Whether the requesting user can see every job, not just their own
+ */
+function canSeeAllJobs(req) {
+  return req.user.roles.includes('admin');
+}
+
+/**
+ * List background jobs, newest first
+ * GET /api/jobs?page=1&limit=50&status=failed&type=upload.shapefile
+ * Admins see all jobs; other users see the jobs they started
+ */
+async function getJobs(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const { status, type } = req.query;
+
+    if (page < 1) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Page number must be greater than 0',
+      });
+    }
+
+    if (limit < 1 || limit > 200) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Limit must be between 1 and 200',
+      });
+    }
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `status must be one of: ${JOB_STATUSES.join(', ')}`,
+      });
+    }
+
+    const applyFilters = (query) => {
+      if (!canSeeAllJobs(req)) query.where('user_id', req.user.id);
+      if (status) query.where('status', status);
+      if (type) query.where('type', type);
+      return query;
+    };
+
+    const totalCountResult = await applyFilters(db('jobs')).count('id as count').first();
+    const total = parseInt(totalCountResult.count) || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    // Logs can be large; they are returned by GET /api/jobs/:id
+    const jobs = await applyFilters(db('jobs'))
+      .select(
+        'id', 'type', 'status', 'payload', 'result', 'progress', 'progress_message',
+        'attempts', 'max_attempts', 'error_message', 'user_id',
+        'run_at', 'created_at', 'updated_at', 'started_at', 'completed_at'
+      )
+      .orderBy('created_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch jobs',
+    });
+  }
+}
+
+/**
+ * Get a job with its progress, result and error logs
+ * GET /api/jobs/:id
+ */
+async function getJobById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const job = await db('jobs').where('id', id).first();
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Job not found',
+      });
+    }
+
+    if (!canSeeAllJobs(req) && job.user_id !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You do not have access to this job',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch job',
+    });
+  }
+}
+
+module.exports = {
+  getJobs,
+  getJobById,
+};
@@ -1,6 +1,80 @@
 const { db } = require('../db');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
+const { getGeoServerClient } = require('../services/geoserver.service');
+const permissionService = require('../services/permission.service');
+const mapService = require('../services/map.service');
+const { recordAudit } = require('../services/audit.service');
+const revisionService = require('../services/revision.service');
+const { CapabilitiesError } = require('../services/capabilities.service');
+const { isArcGisServiceUrl, validateArcGisLayerId } = require('../services/arcgis.service');
+
+/**
+ * Find the uploads that published GeoServer resources for the given layers
+ * Layers that weren't created from an upload have none and are left untouched in GeoServer
+ * @param {Function} scope - Query callback selecting the layers (applied to the layers table)
+ */
+async function findPublishedUploads(scope) {
+  const uploads = await db('uploads')
+    .select('uploads.id', 'uploads.metadata')
+    .join('layers', 'uploads.layer_id', 'layers.id')
+    .where(scope);
+
+  return uploads.filter(upload => upload.metadata && upload.metadata.geoserver);
+}
+
+/**
+ * Unpublish the GeoServer resources of uploads whose layers have been deleted
+ * Runs after the delete so a GeoServer failure never leaves layers pointing at removed data;
+ * failures are logged and leave orphaned resources for an admin to remove
+ */
+async function unpublishUploads(uploads) {
+  const geoserver = getGeoServerClient();
+  for (const upload of uploads) {
+    try {
+      await geoserver.unpublish(upload.metadata.geoserver);
+      logger.info(`Unpublished ${upload.metadata.geoserver.layer} for upload ${upload.id}`);
+    } catch (error) {
+      logger.error(`Failed to unpublish ${upload.metadata.geoserver.layer} for upload ${upload.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Send a 403 response for a denied edit
+ */
+function sendForbidden(res, message) {
+  return res.status(403).json({
+    status: 'error',
+    code: 403,
+    message,
+  });
+}
+
+/**
+ * Check that an ArcGIS layer's layer_id exists in the service
+ * Sends an error response and returns false if it doesn't or the service can't be read
+ */
+async function checkArcGisLayerId(res, url, layerId) {
+  if (layerId === undefined || layerId === null || layerId === '' || !isArcGisServiceUrl(url)) {
+    return true;
+  }
+
+  try {
+    await validateArcGisLayerId(url, layerId);
+    return true;
+  } catch (error) {
+    if (!(error instanceof CapabilitiesError)) {
+      throw error;
+    }
+    res.status(error.statusCode).json({
+      status: 'error',
+      code: error.statusCode,
+      message: error.message,
+    });
+    return false;
+  }
+}
 
 /**
  * Get all maps
@@ -8,7 +82,7 @@ const { v4: uuidv4 } = require('uuid');
  */
 async function getMaps(req, res) {
   try {
-    const maps = await db('maps')
+    let mapsQuery = db('maps')
       .select(
         'id',
         'name',
@@ -19,8 +93,36 @@ async function getMaps(req, res) {
       )
       .orderBy('name', 'asc');
 
+    // Private maps are only listed for signed-in users
+    if (!req.user) {
+      mapsQuery = mapsQuery.where('is_public', true);
+    }
+
+    const maps = await mapsQuery;
+
+    // Hide maps whose layer groups are all restricted for the caller
+    let visibleMaps = maps;
+    if (!permissionService.isAdmin(req.user) && maps.length > 0) {
+      const groups = await db('layer_groups')
+        .select('id', 'map_id')
+        .whereIn('map_id', maps.map(map => map.id));
+      const layers = await db('layers')
+        .select('id', 'group_id')
+        .whereIn('group_id', groups.map(group => group.id));
+
+      const groupsWithLayers = groups.map(group => ({
+        ...group,
+        layers: layers.filter(layer => layer.group_id === group.id),
+      }));
+      const visibleGroups = await permissionService.filterLayerGroups(req.user, groupsWithLayers);
+      const visibleMapIds = new Set(visibleGroups.map(group => group.map_id));
+      const mapsWithGroups = new Set(groups.map(group => group.map_id));
+
+      visibleMaps = maps.filter(map => !mapsWithGroups.has(map.id) || visibleMapIds.has(map.id));
+    }
+
     // Parse center geometry
-    const mapsWithCenter = maps.map(map => ({
+    const mapsWithCenter = visibleMaps.map(map => ({
       ...map,
       center: map.center ? JSON.parse(map.center) : null,
     }));
@@ -48,20 +150,10 @@ async function getMapById(req, res) {
   try {
     const { id } = req.params;
 
-    // Get map
-    const map = await db('maps')
-      .select(
-        'id',
-        'name',
-        'description',
-        db.raw('ST_AsGeoJSON(center) as center'),
-        'zoom',
-        'is_public'
-      )
-      .where('id', id)
-      .first();
+    const mapData = await mapService.getMapConfig(id, req.user);
 
-    if (!map) {
+    // Private maps are reported as missing to anonymous callers
+    if (!mapData || !mapService.canViewMap(req.user, mapData)) {
       return res.status(404).json({
         status: 'error',
         code: 404,
@@ -69,46 +161,6 @@ async function getMapById(req, res) {
       });
     }
 
-    // Get layer groups with layers
-    const layerGroups = await db('layer_groups')
-      .select(
-        'id',
-        'map_id',
-        'name',
-        'z_index',
-        'is_basemap'
-      )
-      .where('map_id', id)
-      .orderBy('z_index', 'asc')
-      .orderBy('name', 'asc');
-
-    // Get layers for each group
-    for (const group of layerGroups) {
-      const layers = await db('layers')
-        .select(
-          'id',
-          'group_id',
-          'name',
-          'type',
-          'url',
-          'layer_name',
-          'style',
-          'z_index',
-          'visible'
-        )
-        .where('group_id', group.id)
-        .orderBy('z_index', 'asc')
-        .orderBy('name', 'asc');
-
-      group.layers = layers;
-    }
-
-    const mapData = {
-      ...map,
-      center: map.center ? JSON.parse(map.center) : null,
-      layer_groups: layerGroups,
-    };
-
     res.status(200).json({
       status: 'success',
       code: 200,
@@ -147,6 +199,7 @@ async function createMap(req, res) {
       description: description || null,
       zoom: zoom || 8,
       is_public: is_public !== undefined ? is_public : true,
+      owner_id: req.user.id,
     };
 
     // Add center geometry if provided
@@ -162,7 +215,7 @@ async function createMap(req, res) {
       );
     }
 
-    const [map] = await db('maps')
+    const [map] = await revisionService.withRevision(insertData.id, req, 'Map created', trx => trx('maps')
       .insert(insertData)
       .returning([
         'id',
@@ -171,13 +224,15 @@ async function createMap(req, res) {
         db.raw('ST_AsGeoJSON(center) as center'),
         'zoom',
         'is_public'
-      ]);
+      ]));
 
     const mapData = {
       ...map,
       center: map.center ? JSON.parse(map.center) : null,
     };
 
+    await recordAudit(req, { action: 'create', entityType: 'map', entityId: mapData.id, after: mapData });
+
     res.status(201).json({
       status: 'success',
       code: 201,
@@ -203,7 +258,7 @@ async function updateMap(req, res) {
     const { name, description, center, zoom, is_public } = req.body;
 
     // Check if map exists
-    const existingMap = await db('maps').where('id', id).first();
+    const existingMap = await mapService.getMap(id);
     if (!existingMap) {
       return res.status(404).json({
         status: 'error',
@@ -234,7 +289,7 @@ async function updateMap(req, res) {
       }
     }
 
-    const [map] = await db('maps')
+    const [map] = await revisionService.withRevision(id, req, 'Map updated', trx => trx('maps')
       .where('id', id)
       .update(updateData)
       .returning([
@@ -244,13 +299,21 @@ async function updateMap(req, res) {
         db.raw('ST_AsGeoJSON(center) as center'),
         'zoom',
         'is_public'
-      ]);
+      ]));
 
     const mapData = {
       ...map,
       center: map.center ? JSON.parse(map.center) : null,
     };
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'map',
+      entityId: id,
+      before: existingMap,
+      after: { ...existingMap, ...mapData },
+    });
+
     res.status(200).json({
       status: 'success',
       code: 200,
@@ -274,6 +337,21 @@ async function deleteMap(req, res) {
   try {
     const { id } = req.params;
 
+    // Keep the full configuration in the audit trail; groups and layers are deleted with the map
+    const existingMap = await mapService.getMapConfig(id, req.user);
+    if (!existingMap) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Map not found',
+      });
+    }
+
+    const uploads = await findPublishedUploads(query => query.whereIn(
+      'layers.group_id',
+      db('layer_groups').select('id').where('map_id', id)
+    ));
+
     const deleted = await db('maps').where('id', id).del();
 
     if (deleted === 0) {
@@ -284,6 +362,9 @@ async function deleteMap(req, res) {
       });
     }
 
+    await recordAudit(req, { action: 'delete', entityType: 'map', entityId: id, before: existingMap });
+    await unpublishUploads(uploads);
+
     res.status(200).json({
       status: 'success',
       code: 200,
@@ -299,6 +380,78 @@ async function deleteMap(req, res) {
   }
 }
 
+/**
+ * Reduce a map configuration to its group and layer order for the audit trail
+ */
+function describeOrder(mapData) {
+  return {
+    layer_groups: mapData.layer_groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      layers: group.layers.map(layer => layer.id),
+    })),
+  };
+}
+
+/**
+ * Reorder a map's layer groups and layers, moving layers between groups
+ * PUT /api/maps/:id/order { layer_groups: [{ id, layers: [layerId, ...] }, ...] }
+ * The body must list every group and layer of the map; z_index is renumbered in one transaction
+ */
+async function updateMapOrder(req, res) {
+  try {
+    const { id } = req.params;
+
+    const existingMap = await mapService.getMapConfig(id, req.user);
+    if (!existingMap) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Map not found',
+      });
+    }
+
+    await revisionService.withRevision(
+      id,
+      req,
+      ({ movedLayers }) => (
+        movedLayers.length > 0 ? `Layer order updated (${movedLayers.length} layer(s) moved)` : 'Layer order updated'
+      ),
+      trx => mapService.reorderMap(id, req.body.layer_groups, trx)
+    );
+
+    const mapData = await mapService.getMapConfig(id, req.user);
+
+    await recordAudit(req, {
+      action: 'reorder',
+      entityType: 'map',
+      entityId: id,
+      before: describeOrder(existingMap),
+      after: describeOrder(mapData),
+    });
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: mapData,
+    });
+  } catch (error) {
+    if (error instanceof mapService.MapOrderError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        code: error.statusCode,
+        message: error.message,
+      });
+    }
+    logger.error('Error reordering map:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to update layer order',
+    });
+  }
+}
+
 /**
  * Create layer group
  * POST /api/maps/:mapId/layer-groups
@@ -326,15 +479,22 @@ async function createLayerGroup(req, res) {
       });
     }
 
-    const [group] = await db('layer_groups')
-      .insert({
-        id: uuidv4(), // Generate UUID for new layer group
-        map_id: mapId,
-        name,
-        z_index: z_index || 0,
-        is_basemap: is_basemap || false,
-      })
-      .returning('*');
+    const [group] = await revisionService.withRevision(
+      mapId,
+      req,
+      ([created]) => `Layer group "${created.name}" created`,
+      trx => trx('layer_groups')
+        .insert({
+          id: uuidv4(), // Generate UUID for new layer group
+          map_id: mapId,
+          name,
+          z_index: z_index || 0,
+          is_basemap: is_basemap || false,
+        })
+        .returning('*')
+    );
+
+    await recordAudit(req, { action: 'create', entityType: 'layer_group', entityId: group.id, after: group });
 
     res.status(201).json({
       status: 'success',
@@ -369,15 +529,32 @@ async function updateLayerGroup(req, res) {
       });
     }
 
+    if (!(await permissionService.canEditLayerGroup(req.user, id))) {
+      return sendForbidden(res, 'You do not have permission to edit this layer group');
+    }
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (z_index !== undefined) updateData.z_index = z_index;
     if (is_basemap !== undefined) updateData.is_basemap = is_basemap;
 
-    const [group] = await db('layer_groups')
-      .where('id', id)
-      .update(updateData)
-      .returning('*');
+    const [group] = await revisionService.withRevision(
+      existingGroup.map_id,
+      req,
+      ([updated]) => `Layer group "${updated.name}" updated`,
+      trx => trx('layer_groups')
+        .where('id', id)
+        .update(updateData)
+        .returning('*')
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'layer_group',
+      entityId: id,
+      before: existingGroup,
+      after: group,
+    });
 
     res.status(200).json({
       status: 'success',
@@ -402,7 +579,30 @@ async function deleteLayerGroup(req, res) {
   try {
     const { id } = req.params;
 
-    const deleted = await db('layer_groups').where('id', id).del();
+    const existingGroup = await db('layer_groups').where('id', id).first();
+    if (!existingGroup) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Layer group not found',
+      });
+    }
+
+    if (!(await permissionService.canEditLayerGroup(req.user, id))) {
+      return sendForbidden(res, 'You do not have permission to delete this layer group');
+    }
+
+    // Layers are deleted with the group; keep them in the audit trail
+    const groupLayers = await db('layers').where('group_id', id).orderBy('z_index', 'asc');
+
+    const uploads = await findPublishedUploads(query => query.where('layers.group_id', id));
+
+    const deleted = await revisionService.withRevision(
+      existingGroup.map_id,
+      req,
+      `Layer group "${existingGroup.name}" deleted`,
+      trx => trx('layer_groups').where('id', id).del()
+    );
 
     if (deleted === 0) {
       return res.status(404).json({
@@ -412,6 +612,14 @@ async function deleteLayerGroup(req, res) {
       });
     }
 
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'layer_group',
+      entityId: id,
+      before: { ...existingGroup, layers: groupLayers },
+    });
+    await unpublishUploads(uploads);
+
     res.status(200).json({
       status: 'success',
       code: 200,
@@ -445,7 +653,7 @@ async function createLayer(req, res) {
     }
 
     // Validate type
-    const validTypes = ['wms', 'wfs', 'xyz', 'mvt', 'geojson', 'arcgis', 'mapserver', 'arcgismapserver'];
+    const validTypes = mapService.LAYER_TYPES;
     if (!validTypes.includes(type.toLowerCase())) {
       return res.status(400).json({
         status: 'error',
@@ -464,6 +672,14 @@ async function createLayer(req, res) {
       });
     }
 
+    if (!(await permissionService.canEditLayerGroup(req.user, groupId))) {
+      return sendForbidden(res, 'You do not have permission to add layers to this layer group');
+    }
+
+    if (!(await checkArcGisLayerId(res, url, layer_id))) {
+      return;
+    }
+
     const layerData = {
       id: uuidv4(), // Generate UUID for new layer
       group_id: groupId,
@@ -484,9 +700,14 @@ async function createLayer(req, res) {
       layerData.attribution = attribution;
     }
     
-    const [layer] = await db('layers')
-      .insert(layerData)
-      .returning('*');
+    const [layer] = await revisionService.withRevision(
+      group.map_id,
+      req,
+      `Layer "${layerData.name}" created`,
+      trx => trx('layers').insert(layerData).returning('*')
+    );
+
+    await recordAudit(req, { action: 'create', entityType: 'layer', entityId: layer.id, after: layer });
 
     res.status(201).json({
       status: 'success',
@@ -529,10 +750,14 @@ async function updateLayer(req, res) {
       });
     }
 
+    if (!(await permissionService.canEditLayer(req.user, existingLayer))) {
+      return sendForbidden(res, 'You do not have permission to edit this layer');
+    }
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (type !== undefined) {
-      const validTypes = ['wms', 'wfs', 'xyz', 'mvt', 'geojson', 'arcgis', 'mapserver', 'arcgismapserver'];
+      const validTypes = mapService.LAYER_TYPES;
       if (!validTypes.includes(type.toLowerCase())) {
         return res.status(400).json({
           status: 'error',
@@ -556,10 +781,32 @@ async function updateLayer(req, res) {
     if (z_index !== undefined) updateData.z_index = z_index;
     if (visible !== undefined) updateData.visible = visible;
 
-    const [layer] = await db('layers')
-      .where('id', id)
-      .update(updateData)
-      .returning('*');
+    if (url !== undefined || layer_id !== undefined) {
+      const effectiveUrl = updateData.url !== undefined ? updateData.url : existingLayer.url;
+      const effectiveLayerId = updateData.layer_id !== undefined ? updateData.layer_id : existingLayer.layer_id;
+      if (!(await checkArcGisLayerId(res, effectiveUrl, effectiveLayerId))) {
+        return;
+      }
+    }
+
+    const mapId = await revisionService.getMapIdForGroup(existingLayer.group_id);
+    const [layer] = await revisionService.withRevision(
+      mapId,
+      req,
+      ([updated]) => `Layer "${updated.name}" updated`,
+      trx => trx('layers')
+        .where('id', id)
+        .update(updateData)
+        .returning('*')
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'layer',
+      entityId: id,
+      before: existingLayer,
+      after: layer,
+    });
 
     res.status(200).json({
       status: 'success',
@@ -584,7 +831,28 @@ async function deleteLayer(req, res) {
   try {
     const { id } = req.params;
 
-    const deleted = await db('layers').where('id', id).del();
+    const existingLayer = await db('layers').where('id', id).first();
+    if (!existingLayer) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Layer not found',
+      });
+    }
+
+    if (!(await permissionService.canEditLayer(req.user, existingLayer))) {
+      return sendForbidden(res, 'You do not have permission to delete this layer');
+    }
+
+    const uploads = await findPublishedUploads(query => query.where('layers.id', id));
+
+    const mapId = await revisionService.getMapIdForGroup(existingLayer.group_id);
+    const deleted = await revisionService.withRevision(
+      mapId,
+      req,
+      `Layer "${existingLayer.name}" deleted`,
+      trx => trx('layers').where('id', id).del()
+    );
 
     if (deleted === 0) {
       return res.status(404).json({
@@ -594,6 +862,9 @@ async function deleteLayer(req, res) {
       });
     }
 
+    await recordAudit(req, { action: 'delete', entityType: 'layer', entityId: id, before: existingLayer });
+    await unpublishUploads(uploads);
+
     res.status(200).json({
       status: 'success',
       code: 200,
@@ -615,6 +886,7 @@ module.exports = {
   createMap,
   updateMap,
   deleteMap,
+  updateMapOrder,
   createLayerGroup,
   updateLayerGroup,
   deleteLayerGroup,
@@ -0,0 +1,102 @@
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const monitorService = require('../services/monitor.service');
+
+/**
+ * Report layer availability
+ * GET /api/monitor/layers?status=down
+ * status defaults to down; pass status=all to list every checked layer
+ */
+async function getLayerHealthReport(req, res) {
+  try {
+    const status = req.query.status || 'down';
+
+    if (status !== 'all' && !monitorService.HEALTH_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `status must be one of: all, ${monitorService.HEALTH_STATUSES.join(', ')}`,
+      });
+    }
+
+    const query = db('layer_health')
+      .join('layers', 'layer_health.layer_id', 'layers.id')
+      .join('layer_groups', 'layers.group_id', 'layer_groups.id')
+      .join('maps', 'layer_groups.map_id', 'maps.id')
+      .select(
+        'layers.id as layer_id',
+        'layers.name as layer_name',
+        'layers.type',
+        'layers.url',
+        'layer_groups.id as group_id',
+        'layer_groups.name as group_name',
+        'maps.id as map_id',
+        'maps.name as map_name',
+        'layer_health.status',
+        'layer_health.latency_ms',
+        'layer_health.http_status',
+        'layer_health.error_message',
+        'layer_health.consecutive_failures',
+        'layer_health.checked_at',
+        'layer_health.last_up_at'
+      )
+      .orderBy('layer_health.consecutive_failures', 'desc')
+      .orderBy('maps.name', 'asc')
+      .orderBy('layers.name', 'asc');
+
+    if (status !== 'all') {
+      query.where('layer_health.status', status);
+    }
+
+    const layers = await query;
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: layers,
+    });
+  } catch (error) {
+    logger.error('Error fetching layer health report:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch layer health report',
+    });
+  }
+}
+
+/**
+ * Probe a layer now
+ * POST /api/monitor/layers/:id/check
+ */
+async function checkLayer(req, res) {
+  try {
+    const health = await monitorService.checkLayer(req.params.id);
+
+    if (!health) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Layer not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: health,
+    });
+  } catch (error) {
+    logger.error('Error checking layer:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to check layer',
+    });
+  }
+}
+
+module.exports = {
+  getLayerHealthReport,
+  checkLayer,
+};
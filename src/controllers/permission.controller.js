@@ -0,0 +1,190 @@
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Get all roles
+ * GET /api/permissions/roles
+ */
+async function getRoles(req, res) {
+  try {
+    const roles = await db('roles').select('id', 'name').orderBy('name', 'asc');
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: roles,
+    });
+  } catch (error) {
+    logger.error('Error fetching roles:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch roles',
+    });
+  }
+}
+
+/**
+ * Get layer permissions
+ * GET /api/permissions?role=name&layer_id=...&layer_group_id=...
+ */
+async function getPermissions(req, res) {
+  try {
+    const { role, layer_id, layer_group_id } = req.query;
+
+    let query = db('layer_permissions')
+      .join('roles', 'layer_permissions.role_id', 'roles.id')
+      .select('layer_permissions.*', 'roles.name as role_name')
+      .orderBy('roles.name', 'asc');
+
+    if (role) query = query.where('roles.name', role);
+    if (layer_id) query = query.where('layer_permissions.layer_id', layer_id);
+    if (layer_group_id) query = query.where('layer_permissions.layer_group_id', layer_group_id);
+
+    const permissions = await query;
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: permissions,
+    });
+  } catch (error) {
+    logger.error('Error fetching permissions:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch permissions',
+    });
+  }
+}
+
+/**
+ * Grant rights to a role on a layer or layer group
+ * Updates the existing grant for the same role and target
+ * POST /api/permissions { role_id | role, layer_id | layer_group_id, can_view, can_edit }
+ */
+async function grantPermission(req, res) {
+  try {
+    const { role_id, role, layer_id, layer_group_id, can_view, can_edit } = req.body;
+
+    if (!role_id && !role) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'role_id or role is required',
+      });
+    }
+
+    if (!layer_id === !layer_group_id) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Exactly one of layer_id or layer_group_id is required',
+      });
+    }
+
+    const roleRow = role_id
+      ? await db('roles').where('id', role_id).first()
+      : await db('roles').where('name', role).first();
+    if (!roleRow) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Role not found',
+      });
+    }
+
+    const target = layer_id
+      ? await db('layers').where('id', layer_id).first()
+      : await db('layer_groups').where('id', layer_group_id).first();
+    if (!target) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: layer_id ? 'Layer not found' : 'Layer group not found',
+      });
+    }
+
+    const targetColumn = layer_id ? 'layer_id' : 'layer_group_id';
+    const rights = {
+      can_view: can_view !== undefined ? Boolean(can_view) : true,
+      can_edit: can_edit !== undefined ? Boolean(can_edit) : false,
+    };
+
+    const existing = await db('layer_permissions')
+      .where('role_id', roleRow.id)
+      .where(targetColumn, target.id)
+      .first();
+
+    let permission;
+    if (existing) {
+      [permission] = await db('layer_permissions')
+        .where('id', existing.id)
+        .update({ ...rights, updated_at: db.fn.now() })
+        .returning('*');
+    } else {
+      [permission] = await db('layer_permissions')
+        .insert({
+          id: uuidv4(),
+          role_id: roleRow.id,
+          [targetColumn]: target.id,
+          ...rights,
+        })
+        .returning('*');
+    }
+
+    res.status(existing ? 200 : 201).json({
+      status: 'success',
+      code: existing ? 200 : 201,
+      data: { ...permission, role_name: roleRow.name },
+    });
+  } catch (error) {
+    logger.error('Error granting permission:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to grant permission',
+    });
+  }
+}
+
+/**
+ * Revoke a permission grant
+ * DELETE /api/permissions/:id
+ */
+async function revokePermission(req, res) {
+  try {
+    const { id } = req.params;
+
+    const deleted = await db('layer_permissions').where('id', id).del();
+
+    if (deleted === 0) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Permission not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      message: 'Permission revoked successfully',
+    });
+  } catch (error) {
+    logger.error('Error revoking permission:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to revoke permission',
+    });
+  }
+}
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  grantPermission,
+  revokePermission,
+};
@@ -2,10 +2,62 @@ const path = require('path');
 const fs = require('fs');
 const { db } = require('../db');
 const logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+const productService = require('../services/product.service');
+const footprintService = require('../services/footprint.service');
+const metadataService = require('../services/metadata.service');
+const previewService = require('../services/preview.service');
+const storageService = require('../services/storage.service');
+const downloadService = require('../services/download.service');
+const { recordAudit } = require('../services/audit.service');
+const { enqueueJob } = require('../services/job.service');
+
+const { resolveFilePath, getProductFilePath, getProductThumbnailPath } = productService;
+
+/**
+ * Columns selected or returned for a single product, with the footprint as GeoJSON
+ */
+function productColumns() {
+  return [
+    'id', 'title', 'date', 'category', 'description', 'keywords', 'filename', 'thumbnail', 'footprint_source',
+    db.raw('ST_AsGeoJSON(footprint, 6) as footprint'),
+  ];
+}
+
+/**
+ * Format a product row for responses
+ */
+function formatProduct(product) {
+  const formatted = {
+    id: product.id,
+    title: product.title,
+    date: product.date,
+    category: product.category,
+    description: product.description || null,
+    keywords: product.keywords ? product.keywords.split(',').map(keyword => keyword.trim()) : [],
+    filename: product.filename,
+    thumbnail: product.thumbnail,
+    footprint: product.footprint ? JSON.parse(product.footprint) : null,
+  };
+
+  // Search results carry their rank and highlighted snippets
+  if (product.rank !== undefined) {
+    formatted.rank = parseFloat(product.rank);
+    formatted.highlight = {
+      title: product.title_highlight,
+      description: product.description_highlight || null,
+    };
+  }
+
+  return formatted;
+}
 
 /**
  * Get all products (completed uploads)
- * GET /api/products?page=1&limit=10&region=search&category=eventType
+ * GET /api/products?page=1&limit=10&q=search&category=a,b&date_from=2024-01-01&date_to=2024-12-31&sort=-date
+ * q (or the older region param) runs a full-text search ranked by relevance with highlighted snippets
+ * Spatial filters: bbox=minLng,minLat,maxLng,maxLat, intersects=<GeoJSON>, near=lng,lat,radiusMeters
+ * format=geojson returns a FeatureCollection of footprints; facets=false skips the facet counts
  */
 async function getProducts(req, res) {
   try {
@@ -14,10 +66,6 @@ async function getProducts(req, res) {
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
-    // Parse search/filter parameters
-    const region = req.query.region ? req.query.region.trim() : null;
-    const category = req.query.category ? req.query.category.trim() : null;
-
     // Validate pagination parameters
     if (page < 1) {
       return res.status(400).json({
@@ -35,51 +83,86 @@ async function getProducts(req, res) {
       });
     }
 
-    // Build query with filters
-    let query = db('products');
-    let countQuery = db('products');
-
-    // Apply region filter (search in title)
-    if (region && region !== '') {
-      query = query.where('title', 'ilike', `%${region}%`);
-      countQuery = countQuery.where('title', 'ilike', `%${region}%`);
+    const format = req.query.format || 'json';
+    if (!['json', 'geojson'].includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'format must be json or geojson',
+      });
     }
 
-    // Apply category filter (event type)
-    if (category && category !== '' && category !== 'Semua kejadian') {
-      query = query.where('category', category);
-      countQuery = countQuery.where('category', category);
+    // Parse search/filter parameters
+    let filters;
+    let sort;
+    try {
+      filters = productService.parseProductFilters(req.query);
+      sort = productService.parseProductSort(req.query.sort, filters);
+    } catch (error) {
+      if (error instanceof productService.ProductQueryError) {
+        return res.status(error.statusCode).json({
+          status: 'error',
+          code: error.statusCode,
+          message: error.message,
+        });
+      }
+      throw error;
     }
 
+    // Build query with filters
+    const query = productService.applyProductFilters(db('products'), filters);
+    const countQuery = productService.applyProductFilters(db('products'), filters);
+
     // Get total count for pagination metadata
     const totalCountResult = await countQuery.count('id as count').first();
     const total = parseInt(totalCountResult.count) || 0;
     const totalPages = Math.ceil(total / limit);
 
     // Fetch paginated products
-    const productsData = await query
+    const productsData = await productService.applyProductSort(query, sort, filters)
       .select(
         'id',
         'title',
         'date',
         'category',
+        'description',
+        'keywords',
         'filename',
         'thumbnail',
-        'created_at'
+        productService.footprintColumn(),
+        'created_at',
+        ...(filters.q ? productService.searchColumns(filters) : [])
       )
-      .orderBy('created_at', 'desc')
       .limit(limit)
       .offset(offset);
 
     // Map to product format
-    const products = productsData.map(product => ({
-      id: product.id,
-      title: product.title,
-      date: product.date,
-      category: product.category,
-      filename: product.filename,
-      thumbnail: product.thumbnail,
-    }));
+    const products = productsData.map(formatProduct);
+
+    const facets = req.query.facets === 'false' ? undefined : await productService.getProductFacets(filters);
+
+    if (format === 'geojson') {
+      return res.status(200).type('application/geo+json').json({
+        type: 'FeatureCollection',
+        features: products.map(({ footprint, ...properties }) => ({
+          type: 'Feature',
+          id: properties.id,
+          geometry: footprint,
+          properties,
+        })),
+        numberMatched: total,
+        numberReturned: products.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        facets,
+      });
+    }
 
     // Return structured response with status, code, and pagination
     res.status(200).json({
@@ -94,6 +177,7 @@ async function getProducts(req, res) {
         hasNextPage: page < totalPages,
         hasPrevPage: page > 1,
       },
+      facets,
     });
   } catch (error) {
     logger.error('Error fetching products:', error);
@@ -106,56 +190,120 @@ async function getProducts(req, res) {
 }
 
 /**
- * Helper to resolve file path safely
+ * Autocomplete suggestions for the product search box
+ * GET /api/products/suggest?q=banj&limit=5
  */
-function resolveFilePath(filePath) {
-  // If path is already absolute, keep it; otherwise resolve from project root
-  if (path.isAbsolute(filePath)) {
-    return filePath;
+async function suggestProducts(req, res) {
+  try {
+    const q = req.query.q ? String(req.query.q).trim() : '';
+    const limit = parseInt(req.query.limit) || 5;
+
+    if (limit < 1 || limit > 20) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Limit must be between 1 and 20',
+      });
+    }
+
+    // Too short to be useful and expensive to match
+    if (q.length < 2) {
+      return res.status(200).json({
+        status: 'success',
+        code: 200,
+        data: [],
+      });
+    }
+
+    const suggestions = await productService.suggestProducts(q, limit);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: suggestions,
+    });
+  } catch (error) {
+    logger.error('Error fetching product suggestions:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch product suggestions',
+    });
   }
-  return path.resolve(process.cwd(), filePath);
 }
 
 /**
- * Get the absolute file path for a product
- * Products store filename as relative path (e.g., "PCS_Planet/file.pdf")
- * Files are stored under uploads/file/
+ * Get the raster metadata of a product (CRS, resolution, bands, extent, acquisition tags)
+ * GET /api/products/:id/metadata
  */
-function getProductFilePath(product) {
-  if (!product.filename) {
-    return null;
-  }
+async function getProductMetadata(req, res) {
+  try {
+    const { id } = req.params;
 
-  // If filename is already absolute, use as-is
-  if (path.isAbsolute(product.filename)) {
-    return product.filename;
-  }
+    const product = await db('products').where('id', id).first();
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Product not found',
+      });
+    }
 
-  // Construct path: uploads/file/{filename}
-  return path.join('uploads', 'file', product.filename);
+    const metadata = await metadataService.getProductMetadata(id);
+    if (!metadata) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'No raster metadata available for this product',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: metadata,
+    });
+  } catch (error) {
+    logger.error('Error fetching product metadata:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch product metadata',
+    });
+  }
 }
 
 /**
- * Get the absolute thumbnail path for a product
- * Thumbnails are stored under uploads/thumbnails/
+ * Completion callback for res.sendFile and res.download
+ * send reports unsatisfiable ranges (416) and failed If-Match/If-Unmodified-Since checks (412)
+ * as errors; those are answered with their own status instead of a 500
  */
-function getProductThumbnailPath(product) {
-  if (!product.thumbnail) {
-    return null;
-  }
-
-  // If thumbnail path is already absolute, use as-is
-  if (path.isAbsolute(product.thumbnail)) {
-    return product.thumbnail;
-  }
-
-  // Construct path: uploads/thumbnails/{thumbnail}
-  return path.join('uploads', 'thumbnails', product.thumbnail);
+function onFileSent(res, logMessage, errorMessage) {
+  return (err) => {
+    if (!err) {
+      return;
+    }
+    if ((err.status === 412 || err.status === 416) && !res.headersSent) {
+      if (err.headers) {
+        res.set(err.headers);
+      }
+      return res.status(err.status).end();
+    }
+    // Interrupted downloads are expected; they are resumed with a Range request
+    if (err.code === 'ECONNABORTED') {
+      return;
+    }
+    logger.error(logMessage, err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: errorMessage });
+    }
+  };
 }
 
 /**
  * Download product file
  * GET /api/products/:id/download
+ * Supports Range requests (resumable downloads) and conditional requests with the file's ETag
  */
 async function downloadProduct(req, res) {
   try {
@@ -174,22 +322,21 @@ async function downloadProduct(req, res) {
 
     const absolutePath = resolveFilePath(filePath);
 
-    if (!fs.existsSync(absolutePath)) {
+    const stat = await fs.promises.stat(absolutePath).catch(() => null);
+    if (!stat) {
       return res.status(404).json({ error: 'File not found on server' });
     }
 
     const downloadName = product.filename ? path.basename(product.filename) : path.basename(absolutePath);
 
-    logger.info(`Downloading product ${id} from ${absolutePath}`);
+    logger.info(`Downloading product ${id} from ${absolutePath}${req.headers.range ? ` (${req.headers.range})` : ''}`);
 
-    res.download(absolutePath, downloadName, (err) => {
-      if (err) {
-        logger.error(`Error downloading product ${id}:`, err);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to download file' });
-        }
-      }
-    });
+    res.download(absolutePath, downloadName, {
+      headers: {
+        // Strong validator, so clients can resume with If-Range
+        ETag: downloadService.fileETag(stat, id),
+      },
+    }, onFileSent(res, `Error downloading product ${id}:`, 'Failed to download file'));
   } catch (error) {
     logger.error('Error in downloadProduct:', error);
     if (!res.headersSent) {
@@ -198,10 +345,93 @@ async function downloadProduct(req, res) {
   }
 }
 
+/**
+ * Download several products as one ZIP with a manifest
+ * POST /api/products/bundle { ids: [...] | "id1,id2", manifest?: json|csv|both }
+ * The archive is streamed as it's built; products whose file is missing are listed in the manifest only
+ */
+async function bundleProducts(req, res) {
+  try {
+    const manifest = req.body.manifest || 'both';
+    if (!downloadService.MANIFEST_FORMATS.includes(manifest)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `manifest must be one of: ${downloadService.MANIFEST_FORMATS.join(', ')}`,
+      });
+    }
+
+    let entries;
+    try {
+      const ids = downloadService.parseBundleIds(req.body.ids);
+      const products = await downloadService.loadBundleProducts(ids);
+      entries = await downloadService.buildBundleEntries(products);
+    } catch (error) {
+      if (error instanceof downloadService.BundleRequestError) {
+        return res.status(error.statusCode).json({
+          status: 'error',
+          code: error.statusCode,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    const fileName = `products-${new Date().toISOString().slice(0, 10)}.zip`;
+    logger.info(`Streaming bundle of ${entries.length} product(s)`);
+
+    downloadService.streamBundle(res, entries, { manifest, fileName });
+  } catch (error) {
+    logger.error('Error creating product bundle:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        status: 'error',
+        code: 500,
+        message: 'Failed to create product bundle',
+      });
+    }
+  }
+}
+
+/**
+ * Send a rendered preview of a product file
+ * Renders are cached on disk; X-Cache tells whether this one was
+ */
+async function sendRenderedPreview(req, res, product, absolutePath) {
+  let preview;
+  try {
+    const options = previewService.parsePreviewOptions(req.query);
+    preview = await previewService.getPreview(product.id, absolutePath, options);
+  } catch (error) {
+    if (error instanceof previewService.PreviewError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  const baseName = path.basename(product.filename, path.extname(product.filename));
+  const fileName = `${baseName}${path.extname(preview.path)}`;
+  const stat = await fs.promises.stat(preview.path);
+
+  res.sendFile(preview.path, {
+    headers: {
+      ETag: downloadService.fileETag(stat, preview.path),
+      'Content-Type': preview.contentType,
+      'Content-Disposition': `inline; filename="${encodeURIComponent(fileName)}"`,
+      // The URL stays the same when the product file is replaced, so keep the browser cache short
+      'Cache-Control': 'public, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+      'X-Cache': preview.cached ? 'HIT' : 'MISS',
+    },
+  }, onFileSent(res, `Error sending preview of product ${product.id}:`, 'Failed to preview file'));
+}
+
 /**
  * Preview product file (inline)
- * GET /api/products/:id/preview
- * Serves thumbnail if available, otherwise falls back to main file
+ * GET /api/products/:id/preview?width=1024&format=png|jpeg|webp&page=1
+ * Serves thumbnail if available, otherwise falls back to main file.
+ * With width, format or page, a downsampled image of the GeoTIFF, image or PDF page is rendered instead;
+ * GeoTIFFs, PDFs (page 1) and large images without a thumbnail are always rendered.
  */
 async function previewProduct(req, res) {
   try {
@@ -213,6 +443,17 @@ async function previewProduct(req, res) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    if (['width', 'format', 'page'].some(key => req.query[key] !== undefined)) {
+      const sourcePath = getProductFilePath(product);
+      if (!sourcePath) {
+        return res.status(404).json({ error: 'File path not available for this product' });
+      }
+      if (!fs.existsSync(resolveFilePath(sourcePath))) {
+        return res.status(404).json({ error: 'File not found on server' });
+      }
+      return await sendRenderedPreview(req, res, product, resolveFilePath(sourcePath));
+    }
+
     // Try to serve thumbnail first if available
     let filePath = null;
     let absolutePath = null;
@@ -246,6 +487,11 @@ async function previewProduct(req, res) {
         return res.status(404).json({ error: 'File not found on server' });
       }
 
+      const { size } = await fs.promises.stat(absolutePath);
+      if (previewService.shouldRenderPreview(absolutePath, size)) {
+        return await sendRenderedPreview(req, res, product, absolutePath);
+      }
+
       logger.info(`Previewing product ${id} from ${absolutePath}`);
     }
 
@@ -301,19 +547,15 @@ async function previewProduct(req, res) {
     }
 
     // Add cache headers for images to improve performance
+    // Product files can be replaced, so browsers revalidate with the ETag after an hour
     if (headers['Content-Type'].startsWith('image/')) {
-      headers['Cache-Control'] = 'public, max-age=31536000'; // Cache for 1 year
+      headers['Cache-Control'] = 'public, max-age=3600';
       headers['X-Content-Type-Options'] = 'nosniff';
     }
 
-    res.sendFile(absolutePath, { headers }, (err) => {
-      if (err) {
-        logger.error(`Error previewing product ${id}:`, err);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to preview file' });
-        }
-      }
-    });
+    headers.ETag = downloadService.fileETag(await fs.promises.stat(absolutePath), absolutePath);
+
+    res.sendFile(absolutePath, { headers }, onFileSent(res, `Error previewing product ${id}:`, 'Failed to preview file'));
   } catch (error) {
     logger.error('Error in previewProduct:', error);
     if (!res.headersSent) {
@@ -322,9 +564,469 @@ async function previewProduct(req, res) {
   }
 }
 
+/**
+ * Make an uploaded file name safe to store on disk
+ */
+function sanitizeFileName(fileName) {
+  const base = path.basename(fileName).replace(/[^\w.\-]+/g, '_');
+  return base.replace(/^\.+/, '') || 'file';
+}
+
+/**
+ * Remove a temporary upload, ignoring errors
+ */
+async function removeTempFile(file) {
+  if (file && file.path) {
+    await fs.promises.rm(file.path, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Create product from uploaded file
+ * POST /api/products (multipart/form-data: file, title, date, category, description?, keywords?, footprint?)
+ * Stores the file under uploads/file/{id}/ and queues a product.process job (returned as job_id) that
+ * generates the thumbnail and raster metadata. The footprint is taken from the form (GeoJSON) or
+ * extracted by the job from GeoTIFFs and zipped shapefiles.
+ */
+async function createProduct(req, res) {
+  const file = req.file;
+
+  try {
+    const { title, date, category, description, keywords } = req.body;
+
+    if (!file) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Product file is required',
+      });
+    }
+
+    if (!title || !title.trim()) {
+      await removeTempFile(file);
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Product title is required',
+      });
+    }
+
+    let productDate;
+    try {
+      productDate = productService.parseDate(date, 'Product date');
+    } catch (error) {
+      await removeTempFile(file);
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: error.message,
+      });
+    }
+
+    let footprint = null;
+    if (req.body.footprint) {
+      try {
+        footprint = {
+          geometry: footprintService.parseGeoJsonGeometry(req.body.footprint),
+          source: 'manual',
+        };
+      } catch (error) {
+        await removeTempFile(file);
+        if (error instanceof footprintService.FootprintError) {
+          return res.status(error.statusCode).json({
+            status: 'error',
+            code: error.statusCode,
+            message: `footprint: ${error.message}`,
+          });
+        }
+        throw error;
+      }
+    }
+
+    const id = uuidv4();
+    const filename = path.posix.join(id, sanitizeFileName(file.originalname));
+    const absolutePath = resolveFilePath(getProductFilePath({ filename }));
+
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.rename(file.path, absolutePath);
+
+    let product;
+    try {
+      [product] = await db('products')
+        .insert({
+          id,
+          title: title.trim(),
+          date: productDate,
+          category: category ? category.trim() : null,
+          description: description ? description.trim() : null,
+          keywords: productService.normalizeKeywords(keywords),
+          filename,
+          footprint: footprint ? footprintService.geometrySql(footprint.geometry) : null,
+          footprint_source: footprint ? footprint.source : null,
+        })
+        .returning(productColumns());
+    } catch (dbError) {
+      // Don't leave files behind for a product that was never recorded
+      await fs.promises.rm(path.dirname(absolutePath), { recursive: true, force: true });
+      throw dbError;
+    }
+
+    // Thumbnail, footprint and raster metadata are generated by the job queue
+    const job = await enqueueJob('product.process', { productId: id }, { userId: req.user?.id });
+
+    logger.info(`Created product ${id} from ${file.originalname}`);
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      data: { ...formatProduct(product), job_id: job.id },
+    });
+  } catch (error) {
+    await removeTempFile(file);
+    logger.error('Error creating product:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to create product',
+    });
+  }
+}
+
+/**
+ * Set, clear or re-extract a product's footprint
+ * PUT /api/products/:id/footprint { footprint: GeoJSON | null } or { extract: true }
+ */
+async function updateProductFootprint(req, res) {
+  try {
+    const { id } = req.params;
+    const { footprint, extract } = req.body;
+
+    const product = await db('products').where('id', id).first();
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Product not found',
+      });
+    }
+
+    let result = null;
+    if (extract) {
+      const filePath = getProductFilePath(product);
+      result = filePath ? await footprintService.extractFootprint(resolveFilePath(filePath)) : null;
+      if (!result) {
+        return res.status(422).json({
+          status: 'error',
+          code: 422,
+          message: 'No footprint could be extracted from the product file',
+        });
+      }
+    } else if (footprint !== undefined && footprint !== null) {
+      try {
+        result = { geometry: footprintService.parseGeoJsonGeometry(footprint), source: 'manual' };
+      } catch (error) {
+        if (error instanceof footprintService.FootprintError) {
+          return res.status(error.statusCode).json({
+            status: 'error',
+            code: error.statusCode,
+            message: `footprint: ${error.message}`,
+          });
+        }
+        throw error;
+      }
+    } else if (footprint === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Provide footprint (GeoJSON or null) or extract: true',
+      });
+    }
+
+    const [updated] = await db('products')
+      .where('id', id)
+      .update({
+        footprint: result ? footprintService.geometrySql(result.geometry) : null,
+        footprint_source: result ? result.source : null,
+      })
+      .returning(productColumns());
+
+    logger.info(`Updated footprint of product ${id} (${result ? result.source : 'cleared'})`);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: formatProduct(updated),
+    });
+  } catch (error) {
+    logger.error('Error updating product footprint:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to update product footprint',
+    });
+  }
+}
+
+/**
+ * Update product details
+ * PUT /api/products/:id { title?, date?, category?, description?, keywords? }
+ */
+async function updateProduct(req, res) {
+  try {
+    const { id } = req.params;
+    const { title, date, category, description, keywords } = req.body;
+
+    const product = await db('products').select(productColumns()).where('id', id).first();
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Product not found',
+      });
+    }
+
+    const updateData = {};
+
+    if (title !== undefined) {
+      if (!title || !String(title).trim()) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: 'Product title cannot be empty',
+        });
+      }
+      updateData.title = String(title).trim();
+    }
+
+    if (date !== undefined) {
+      try {
+        updateData.date = productService.parseDate(date, 'Product date');
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: error.message,
+        });
+      }
+    }
+
+    if (category !== undefined) updateData.category = category ? String(category).trim() : null;
+    if (description !== undefined) updateData.description = description ? String(description).trim() : null;
+    if (keywords !== undefined) updateData.keywords = productService.normalizeKeywords(keywords);
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'No product fields to update',
+      });
+    }
+
+    const [updated] = await db('products')
+      .where('id', id)
+      .update(updateData)
+      .returning(productColumns());
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'product',
+      entityId: id,
+      before: formatProduct(product),
+      after: formatProduct(updated),
+    });
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: formatProduct(updated),
+    });
+  } catch (error) {
+    logger.error('Error updating product:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to update product',
+    });
+  }
+}
+
+/**
+ * Replace a product's file
+ * PUT /api/products/:id/file (multipart/form-data: file)
+ * Previews are cleared and a product.process job (returned as job_id) regenerates the thumbnail and
+ * raster metadata; extracted footprints are re-extracted while manual ones are kept.
+ * The old files are only deleted once the new file is recorded.
+ */
+async function replaceProductFile(req, res) {
+  const file = req.file;
+
+  try {
+    const { id } = req.params;
+
+    if (!file) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Product file is required',
+      });
+    }
+
+    const product = await db('products').select(productColumns()).where('id', id).first();
+    if (!product) {
+      await removeTempFile(file);
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Product not found',
+      });
+    }
+
+    const filename = path.posix.join(id, sanitizeFileName(file.originalname));
+    const absolutePath = resolveFilePath(getProductFilePath({ filename }));
+
+    // Move the current files aside so they can be restored if the update fails
+    const staged = await storageService.stageRemoval(storageService.getProductFiles(product));
+
+    let updated;
+    try {
+      await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.promises.rename(file.path, absolutePath);
+
+      // The old thumbnail was moved aside with the old file; the job generates the new one
+      const updateData = { filename, thumbnail: null };
+
+      // Footprints entered by an admin describe the product, not the file
+      if (product.footprint_source !== 'manual') {
+        updateData.footprint = null;
+        updateData.footprint_source = null;
+      }
+
+      [updated] = await db('products')
+        .where('id', id)
+        .update(updateData)
+        .returning(productColumns());
+    } catch (error) {
+      await fs.promises.rm(path.dirname(absolutePath), { recursive: true, force: true });
+      await staged.rollback();
+      throw error;
+    }
+
+    await staged.commit();
+    await previewService.clearPreviews(id);
+    // Metadata of the old file would be stale until the job re-extracts it
+    await db('product_metadata').where('product_id', id).del();
+
+    const job = await enqueueJob('product.process', { productId: id }, { userId: req.user?.id });
+
+    await recordAudit(req, {
+      action: 'replace_file',
+      entityType: 'product',
+      entityId: id,
+      before: formatProduct(product),
+      after: formatProduct(updated),
+    });
+
+    logger.info(`Replaced file of product ${id} with ${file.originalname}`);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: { ...formatProduct(updated), job_id: job.id },
+    });
+  } catch (error) {
+    await removeTempFile(file);
+    logger.error('Error replacing product file:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to replace product file',
+    });
+  }
+}
+
+/**
+ * Delete a product with its file, thumbnail and previews
+ * DELETE /api/products/:id
+ */
+async function deleteProduct(req, res) {
+  try {
+    const { id } = req.params;
+
+    const product = await db('products').select(productColumns()).where('id', id).first();
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Product not found',
+      });
+    }
+
+    // Files are moved aside first and only deleted once the row is gone
+    const staged = await storageService.stageRemoval(storageService.getProductFiles(product));
+    try {
+      await db('products').where('id', id).del();
+    } catch (error) {
+      await staged.rollback();
+      throw error;
+    }
+
+    await staged.commit();
+    await previewService.clearPreviews(id);
+
+    await recordAudit(req, { action: 'delete', entityType: 'product', entityId: id, before: formatProduct(product) });
+
+    logger.info(`Deleted product ${id}`);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      message: 'Product deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting product:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to delete product',
+    });
+  }
+}
+
+/**
+ * Report orphaned files and products whose files are missing
+ * GET /api/products/maintenance/storage
+ */
+async function getStorageReport(req, res) {
+  try {
+    const report = await storageService.getStorageReport();
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: report,
+    });
+  } catch (error) {
+    logger.error('Error building product storage report:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to build product storage report',
+    });
+  }
+}
+
 module.exports = {
   getProducts,
+  suggestProducts,
+  getProductMetadata,
+  createProduct,
+  updateProduct,
+  replaceProductFile,
+  deleteProduct,
+  updateProductFootprint,
+  getStorageReport,
   downloadProduct,
+  bundleProducts,
   previewProduct,
 };
 
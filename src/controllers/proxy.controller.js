@@ -0,0 +1,126 @@
+const axios = require('axios');
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const mapService = require('../services/map.service');
+const permissionService = require('../services/permission.service');
+const proxyService = require('../services/proxy.service');
+
+/**
+ * Send a JSON error for a proxy request
+ */
+function sendProxyError(res, statusCode, message) {
+  return res.status(statusCode).json({
+    status: 'error',
+    code: statusCode,
+    message,
+  });
+}
+
+/**
+ * Check the caller may see the layer
+ * Private maps need a signed-in user or a share link for the map (?share=<token>)
+ */
+async function canAccessLayer(req, layer) {
+  const map = await mapService.getMap(layer.map_id);
+  if (!map) {
+    return false;
+  }
+
+  if (!mapService.canViewMap(req.user, map)) {
+    const link = req.query.share ? await mapService.findActiveShareLink(String(req.query.share)) : null;
+    if (!link || link.map_id !== map.id) {
+      return false;
+    }
+  }
+
+  return permissionService.canViewLayer(req.user, layer);
+}
+
+/**
+ * Forward a request to a layer's service
+ * GET /api/layers/:id/proxy/*
+ */
+async function proxyLayerRequest(req, res) {
+  try {
+    const layer = await db('layers')
+      .join('layer_groups', 'layers.group_id', 'layer_groups.id')
+      .select('layers.*', 'layer_groups.map_id')
+      .where('layers.id', req.params.id)
+      .first();
+
+    // Layers the caller can't see are reported as missing
+    if (!layer || !(await canAccessLayer(req, layer))) {
+      return sendProxyError(res, 404, 'Layer not found');
+    }
+
+    let upstream;
+    try {
+      upstream = proxyService.buildUpstreamRequest(layer, req.params[0] || '', req.query);
+    } catch (error) {
+      if (error instanceof proxyService.ProxyError) {
+        return sendProxyError(res, error.statusCode, error.message);
+      }
+      throw error;
+    }
+
+    if (upstream.cacheable) {
+      const cached = await proxyService.readCache(upstream.cacheKey);
+      if (cached) {
+        res.set({
+          'Content-Type': cached.contentType,
+          'Cache-Control': `private, max-age=${proxyService.PROXY_CACHE_TTL}`,
+          'X-Cache': 'HIT',
+        });
+        return res.send(cached.body);
+      }
+    }
+
+    let response;
+    try {
+      response = await axios.get(upstream.url, {
+        responseType: upstream.cacheable ? 'arraybuffer' : 'stream',
+        timeout: proxyService.PROXY_TIMEOUT,
+        headers: upstream.headers,
+        auth: upstream.auth,
+        validateStatus: () => true,
+        // Redirects must not carry the injected credentials to another host
+        beforeRedirect: (options) => {
+          if (options.host !== upstream.host) {
+            throw new Error(`Redirect to ${options.hostname} is not allowed`);
+          }
+        },
+      });
+    } catch (error) {
+      logger.warn(`Proxy request for layer ${layer.id} failed: ${error.message}`);
+      return sendProxyError(res, 502, 'Layer service is unavailable');
+    }
+
+    const contentType = response.headers['content-type'] || 'application/octet-stream';
+    res.status(response.status);
+    res.set('Content-Type', contentType);
+
+    if (!upstream.cacheable) {
+      res.set('X-Cache', 'BYPASS');
+      response.data.on('error', (error) => {
+        logger.warn(`Proxy stream for layer ${layer.id} failed: ${error.message}`);
+        res.destroy(error);
+      });
+      return response.data.pipe(res);
+    }
+
+    const body = Buffer.from(response.data);
+    if (proxyService.isCacheableResponse(response.status, contentType, body.length)) {
+      await proxyService.writeCache(upstream.cacheKey, body, contentType);
+      res.set('Cache-Control', `private, max-age=${proxyService.PROXY_CACHE_TTL}`);
+    }
+    res.set('X-Cache', 'MISS');
+    res.send(body);
+  } catch (error) {
+    logger.error('Error proxying layer request:', error);
+    sendProxyError(res, 500, 'Failed to proxy layer request');
+  }
+}
+
+module.exports = {
+  proxyLayerRequest,
+};
@@ -0,0 +1,230 @@
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const mapService = require('../services/map.service');
+const revisionService = require('../services/revision.service');
+const { recordAudit } = require('../services/audit.service');
+
+/**
+ * Load a revision row of a map by its revision number
+ */
+async function findRevision(mapId, revision) {
+  const number = parseInt(revision);
+  if (!Number.isInteger(number)) {
+    return null;
+  }
+  return db('map_revisions')
+    .where('map_id', mapId)
+    .where('revision', number)
+    .first();
+}
+
+/**
+ * List revisions of a map
+ * GET /api/maps/:id/revisions
+ */
+async function getRevisions(req, res) {
+  try {
+    const { id } = req.params;
+
+    const map = await mapService.getMap(id);
+    if (!map) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Map not found',
+      });
+    }
+
+    const revisions = await db('map_revisions')
+      .select('id', 'map_id', 'revision', 'summary', 'created_by', 'created_at')
+      .where('map_id', id)
+      .orderBy('revision', 'desc');
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: revisions,
+    });
+  } catch (error) {
+    logger.error('Error fetching revisions:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch revisions',
+    });
+  }
+}
+
+/**
+ * Get a single revision with its snapshot
+ * GET /api/maps/:id/revisions/:revision
+ */
+async function getRevision(req, res) {
+  try {
+    const revision = await findRevision(req.params.id, req.params.revision);
+
+    if (!revision) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Revision not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: revision,
+    });
+  } catch (error) {
+    logger.error('Error fetching revision:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch revision',
+    });
+  }
+}
+
+/**
+ * Diff two revisions of a map
+ * GET /api/maps/:id/revisions/diff?from=3&to=5
+ * `to` defaults to the map's current state
+ */
+async function diffRevisions(req, res) {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'from revision is required',
+      });
+    }
+
+    const fromRevision = await findRevision(id, from);
+    if (!fromRevision) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: `Revision ${from} not found`,
+      });
+    }
+
+    let toSnapshot;
+    if (to && to !== 'current') {
+      const toRevision = await findRevision(id, to);
+      if (!toRevision) {
+        return res.status(404).json({
+          status: 'error',
+          code: 404,
+          message: `Revision ${to} not found`,
+        });
+      }
+      toSnapshot = toRevision.snapshot;
+    } else {
+      toSnapshot = await revisionService.buildSnapshot(id);
+      if (!toSnapshot) {
+        return res.status(404).json({
+          status: 'error',
+          code: 404,
+          message: 'Map not found',
+        });
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: {
+        from: fromRevision.revision,
+        to: to && to !== 'current' ? parseInt(to) : 'current',
+        diff: revisionService.diffSnapshots(fromRevision.snapshot, toSnapshot),
+      },
+    });
+  } catch (error) {
+    logger.error('Error diffing revisions:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to diff revisions',
+    });
+  }
+}
+
+/**
+ * Restore a map to an earlier revision
+ * POST /api/maps/:id/revisions/:revision/restore
+ */
+async function restoreRevision(req, res) {
+  try {
+    const { id } = req.params;
+
+    const revision = await findRevision(id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Revision not found',
+      });
+    }
+
+    const before = await revisionService.buildSnapshot(id);
+    if (!before) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Map not found',
+      });
+    }
+
+    const newRevision = await revisionService.restoreSnapshot(
+      id,
+      revision.snapshot,
+      req,
+      `Restored revision ${revision.revision}`
+    );
+
+    await recordAudit(req, {
+      action: 'restore',
+      entityType: 'map',
+      entityId: id,
+      before,
+      after: revision.snapshot,
+    });
+
+    logger.info(`Map ${id} restored to revision ${revision.revision}`);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: {
+        revision: newRevision,
+        map: await mapService.getMapConfig(id, req.user),
+      },
+    });
+  } catch (error) {
+    if (error instanceof revisionService.RevisionError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        code: error.statusCode,
+        message: error.message,
+      });
+    }
+    logger.error('Error restoring revision:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to restore revision',
+    });
+  }
+}
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+};
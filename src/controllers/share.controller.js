@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+const mapService = require('../services/map.service');
+
+/**
+ * Strip the token hash from a share link row
+ */
+function formatShareLink(link) {
+  const { token_hash, ...rest } = link;
+  return {
+    ...rest,
+    is_active: !link.revoked_at && (!link.expires_at || new Date(link.expires_at) > new Date()),
+  };
+}
+
+/**
+ * Load the map and check the caller manages it
+ * Sends the error response and returns null when not allowed
+ */
+async function loadManagedMap(req, res) {
+  const map = await mapService.getMap(req.params.id);
+
+  if (!map) {
+    res.status(404).json({
+      status: 'error',
+      code: 404,
+      message: 'Map not found',
+    });
+    return null;
+  }
+
+  if (!mapService.canManageMap(req.user, map)) {
+    res.status(403).json({
+      status: 'error',
+      code: 403,
+      message: 'Only the map owner or an admin can manage share links',
+    });
+    return null;
+  }
+
+  return map;
+}
+
+/**
+ * Create a share link for a map
+ * POST /api/maps/:id/share { label?, expires_at? | expires_in_days? }
+ * The token is only returned in this response
+ */
+async function createShareLink(req, res) {
+  try {
+    const map = await loadManagedMap(req, res);
+    if (!map) return;
+
+    const { label, expires_at, expires_in_days } = req.body;
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+    } else if (expires_in_days !== undefined) {
+      expiresAt = new Date(Date.now() + Number(expires_in_days) * 24 * 60 * 60 * 1000);
+    }
+
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Expiry must be a valid date in the future',
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const [link] = await db('map_share_links')
+      .insert({
+        id: uuidv4(),
+        map_id: map.id,
+        token_hash: mapService.hashShareToken(token),
+        label: label || null,
+        created_by: req.user.id,
+        expires_at: expiresAt,
+      })
+      .returning('*');
+
+    logger.info(`User ${req.user.id} created share link ${link.id} for map ${map.id}`);
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      data: {
+        ...formatShareLink(link),
+        token,
+        url: `/api/maps/shared/${token}`,
+      },
+    });
+  } catch (error) {
+    logger.error('Error creating share link:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to create share link',
+    });
+  }
+}
+
+/**
+ * List share links of a map
+ * GET /api/maps/:id/share
+ */
+async function getShareLinks(req, res) {
+  try {
+    const map = await loadManagedMap(req, res);
+    if (!map) return;
+
+    const links = await db('map_share_links')
+      .where('map_id', map.id)
+      .orderBy('created_at', 'desc');
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: links.map(formatShareLink),
+    });
+  } catch (error) {
+    logger.error('Error fetching share links:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch share links',
+    });
+  }
+}
+
+/**
+ * Revoke a share link
+ * DELETE /api/maps/:id/share/:shareId
+ */
+async function revokeShareLink(req, res) {
+  try {
+    const map = await loadManagedMap(req, res);
+    if (!map) return;
+
+    const updated = await db('map_share_links')
+      .where('id', req.params.shareId)
+      .where('map_id', map.id)
+      .update({ revoked_at: db.raw('COALESCE(revoked_at, NOW())') });
+
+    if (updated === 0) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Share link not found',
+      });
+    }
+
+    logger.info(`User ${req.user.id} revoked share link ${req.params.shareId} for map ${map.id}`);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      message: 'Share link revoked successfully',
+    });
+  } catch (error) {
+    logger.error('Error revoking share link:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to revoke share link',
+    });
+  }
+}
+
+/**
+ * Open a map through a share link
+ * GET /api/maps/shared/:token
+ * Layer permissions still apply to the caller (anonymous callers act as "public")
+ */
+async function getSharedMap(req, res) {
+  try {
+    const link = await mapService.findActiveShareLink(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Share link not found or expired',
+      });
+    }
+
+    const mapData = await mapService.getMapConfig(link.map_id, req.user);
+    if (!mapData) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Map not found',
+      });
+    }
+
+    await db('map_share_links')
+      .where('id', link.id)
+      .update({ last_accessed_at: db.fn.now() });
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: mapData,
+    });
+  } catch (error) {
+    logger.error('Error fetching shared map:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch shared map',
+    });
+  }
+}
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedMap,
+};
@@ -0,0 +1,207 @@
+const logger = require('../utils/logger');
+const stacService = require('../services/stac.service');
+
+/**
+ * Absolute URL of the API root, used for STAC links
+ * PUBLIC_BASE_URL overrides the request host when running behind a proxy
+ */
+function getBaseUrl(req) {
+  const origin = process.env.PUBLIC_BASE_URL
+    ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  return `${origin}/api`;
+}
+
+/**
+ * Send a STAC error response
+ */
+function sendStacError(res, error, fallbackMessage) {
+  if (error instanceof stacService.StacError) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      code: error.statusCode,
+      message: error.message,
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    status: 'error',
+    code: 500,
+    message: fallbackMessage,
+  });
+}
+
+/**
+ * Build an ItemCollection with paging links
+ * GET requests page through the query string, POST requests through the body
+ */
+function buildItemCollection(req, search, result) {
+  const baseUrl = getBaseUrl(req);
+  const selfUrl = `${baseUrl}${req.baseUrl.replace(/^\/api/, '')}${req.path}`;
+  const links = [{ rel: 'root', type: 'application/json', href: `${baseUrl}/stac` }];
+
+  const pageLink = (rel, page) => {
+    if (req.method === 'POST') {
+      return { rel, type: 'application/geo+json', href: selfUrl, method: 'POST', body: { ...req.body, page } };
+    }
+    const url = new URL(selfUrl);
+    for (const [key, value] of Object.entries(req.query)) {
+      url.searchParams.set(key, value);
+    }
+    url.searchParams.set('page', page);
+    return { rel, type: 'application/geo+json', href: url.toString() };
+  };
+
+  links.push({ ...pageLink('self', search.page), rel: 'self' });
+  if (search.page * search.limit < result.matched) {
+    links.push(pageLink('next', search.page + 1));
+  }
+  if (search.page > 1) {
+    links.push(pageLink('prev', search.page - 1));
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: result.rows.map(row => stacService.toItem(row, baseUrl)),
+    links,
+    numberMatched: result.matched,
+    numberReturned: result.rows.length,
+  };
+}
+
+/**
+ * STAC landing page
+ * GET /api/stac
+ */
+async function getLandingPage(req, res) {
+  try {
+    const collections = await stacService.getCollections();
+    res.status(200).json(stacService.toLandingPage(collections, getBaseUrl(req)));
+  } catch (error) {
+    sendStacError(res, error, 'Failed to build STAC landing page');
+  }
+}
+
+/**
+ * Conformance classes
+ * GET /api/stac/conformance
+ */
+function getConformance(req, res) {
+  res.status(200).json({ conformsTo: stacService.CONFORMANCE });
+}
+
+/**
+ * List collections (one per product category)
+ * GET /api/stac/collections
+ */
+async function getCollections(req, res) {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const collections = await stacService.getCollections();
+
+    res.status(200).json({
+      collections: collections.map(collection => stacService.toCollection(collection, baseUrl)),
+      links: [
+        { rel: 'self', type: 'application/json', href: `${baseUrl}/stac/collections` },
+        { rel: 'root', type: 'application/json', href: `${baseUrl}/stac` },
+      ],
+    });
+  } catch (error) {
+    sendStacError(res, error, 'Failed to fetch STAC collections');
+  }
+}
+
+/**
+ * Get a collection
+ * GET /api/stac/collections/:collectionId
+ */
+async function getCollection(req, res) {
+  try {
+    const collection = await stacService.findCollection(req.params.collectionId);
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Collection not found',
+      });
+    }
+
+    res.status(200).json(stacService.toCollection(collection, getBaseUrl(req)));
+  } catch (error) {
+    sendStacError(res, error, 'Failed to fetch STAC collection');
+  }
+}
+
+/**
+ * List items of a collection
+ * GET /api/stac/collections/:collectionId/items?bbox=&datetime=&limit=&page=
+ */
+async function getCollectionItems(req, res) {
+  try {
+    const collection = await stacService.findCollection(req.params.collectionId);
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Collection not found',
+      });
+    }
+
+    const search = await stacService.parseSearch({ ...req.query, collections: collection.id });
+    const result = await stacService.searchItems(search);
+
+    res.status(200).type('application/geo+json').json(buildItemCollection(req, search, result));
+  } catch (error) {
+    sendStacError(res, error, 'Failed to fetch STAC items');
+  }
+}
+
+/**
+ * Get an item
+ * GET /api/stac/collections/:collectionId/items/:itemId
+ */
+async function getItem(req, res) {
+  try {
+    const search = await stacService.parseSearch({ ids: req.params.itemId, collections: req.params.collectionId });
+    const { rows } = await stacService.searchItems(search);
+    if (rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Item not found',
+      });
+    }
+
+    res.status(200).type('application/geo+json').json(stacService.toItem(rows[0], getBaseUrl(req)));
+  } catch (error) {
+    sendStacError(res, error, 'Failed to fetch STAC item');
+  }
+}
+
+/**
+ * Search items across collections
+ * GET /api/stac/search?bbox=&datetime=&collections=&ids=&limit=&page=
+ * POST /api/stac/search { bbox, intersects, datetime, collections, ids, limit, page }
+ */
+async function searchItems(req, res) {
+  try {
+    const params = req.method === 'POST' ? (req.body || {}) : req.query;
+    const search = await stacService.parseSearch(params);
+    const result = await stacService.searchItems(search);
+
+    res.status(200).type('application/geo+json').json(buildItemCollection(req, search, result));
+  } catch (error) {
+    sendStacError(res, error, 'Failed to search STAC items');
+  }
+}
+
+module.exports = {
+  getLandingPage,
+  getConformance,
+  getCollections,
+  getCollection,
+  getCollectionItems,
+  getItem,
+  searchItems,
+};
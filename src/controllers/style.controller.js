@@ -0,0 +1,506 @@
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+const styleService = require('../services/style.service');
+const permissionService = require('../services/permission.service');
+const { recordAudit } = require('../services/audit.service');
+
+// Content types of the raw style documents
+const CONTENT_TYPES = {
+  sld: 'application/vnd.ogc.sld+xml; charset=utf-8',
+  maplibre: 'application/json; charset=utf-8',
+};
+
+/**
+ * Send a 400 response for a style that failed validation
+ */
+function sendValidationError(res, error) {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.statusCode,
+    message: error.message,
+    errors: error.errors,
+  });
+}
+
+/**
+ * Send a 404 response for a missing style
+ */
+function sendStyleNotFound(res) {
+  return res.status(404).json({
+    status: 'error',
+    code: 404,
+    message: 'Style not found',
+  });
+}
+
+/**
+ * Check that no other style uses a name
+ * Sends a 409 response and returns false if one does
+ */
+async function checkNameFree(res, name, exceptId = null) {
+  const query = db('styles').select('id').where('name', name);
+  if (exceptId) {
+    query.whereNot('id', exceptId);
+  }
+  if (await query.first()) {
+    res.status(409).json({
+      status: 'error',
+      code: 409,
+      message: `A style named "${name}" already exists`,
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Parse a MapLibre style stored as JSON text; SLD is returned as is
+ */
+function formatStyle(style) {
+  if (!style || style.format !== 'maplibre' || typeof style.content !== 'string') {
+    return style;
+  }
+  return { ...style, content: JSON.parse(style.content) };
+}
+
+/**
+ * List styles
+ * GET /api/styles?page=1&limit=50&format=sld&q=roads
+ */
+async function getStyles(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const { format, q } = req.query;
+
+    if (page < 1) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Page number must be greater than 0',
+      });
+    }
+
+    if (limit < 1 || limit > 200) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Limit must be between 1 and 200',
+      });
+    }
+
+    if (format && !styleService.STYLE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: `format must be one of: ${styleService.STYLE_FORMATS.join(', ')}`,
+      });
+    }
+
+    const applyFilters = (query) => {
+      if (format) query.where('styles.format', format);
+      if (q) query.where('styles.name', 'ilike', `%${q}%`);
+      return query;
+    };
+
+    const totalCountResult = await applyFilters(db('styles')).count('id as count').first();
+    const total = parseInt(totalCountResult.count) || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    // Documents can be large; they are returned by GET /api/styles/:id
+    const styles = await applyFilters(db('styles'))
+      .select(
+        'styles.id',
+        'styles.name',
+        'styles.description',
+        'styles.format',
+        'styles.summary',
+        'styles.created_by',
+        'styles.created_at',
+        'styles.updated_at',
+        db('layer_styles').count('*').whereRaw('layer_styles.style_id = styles.id').as('layer_count')
+      )
+      .orderBy('styles.name', 'asc')
+      .limit(limit)
+      .offset(offset);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: styles.map(style => ({ ...style, layer_count: parseInt(style.layer_count) || 0 })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching styles:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch styles',
+    });
+  }
+}
+
+/**
+ * Get a style with its document and the layers using it
+ * GET /api/styles/:id
+ */
+async function getStyleById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const style = await db('styles').where('id', id).first();
+    if (!style) {
+      return sendStyleNotFound(res);
+    }
+
+    const layers = await db('layer_styles')
+      .join('layers', 'layers.id', 'layer_styles.layer_id')
+      .select('layers.id', 'layers.name', 'layers.group_id', 'layer_styles.is_default')
+      .where('layer_styles.style_id', id)
+      .orderBy('layers.name', 'asc');
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: { ...formatStyle(style), layers },
+    });
+  } catch (error) {
+    logger.error('Error fetching style:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch style',
+    });
+  }
+}
+
+/**
+ * Get the raw style document
+ * GET /api/styles/:id/content
+ * Served as SLD XML or style JSON so it can be passed to GeoServer (SLD=) or MapLibre directly
+ */
+async function getStyleContent(req, res) {
+  try {
+    const { id } = req.params;
+
+    const style = await db('styles').select('format', 'content', 'updated_at').where('id', id).first();
+    if (!style) {
+      return sendStyleNotFound(res);
+    }
+
+    res.set('Content-Type', CONTENT_TYPES[style.format]);
+    res.set('Cache-Control', 'public, max-age=60');
+    if (style.updated_at) {
+      res.set('Last-Modified', new Date(style.updated_at).toUTCString());
+    }
+    res.status(200).send(style.content);
+  } catch (error) {
+    logger.error('Error fetching style content:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch style content',
+    });
+  }
+}
+
+/**
+ * Validate a style document without saving it
+ * POST /api/styles/validate { format, content }
+ */
+async function validateStyle(req, res) {
+  try {
+    const { format, content } = req.body;
+
+    const { summary } = await styleService.validateStyle(format, content);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: { valid: true, summary },
+    });
+  } catch (error) {
+    if (error instanceof styleService.StyleValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error('Error validating style:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to validate style',
+    });
+  }
+}
+
+/**
+ * Create a style
+ * POST /api/styles { name, description?, format: sld|maplibre, content }
+ */
+async function createStyle(req, res) {
+  try {
+    const { name, description, format, content } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Style name is required',
+      });
+    }
+
+    const validated = await styleService.validateStyle(format, content);
+
+    if (!(await checkNameFree(res, name.trim()))) {
+      return;
+    }
+
+    const [style] = await db('styles')
+      .insert({
+        id: uuidv4(),
+        name: name.trim(),
+        description: description || null,
+        format,
+        content: validated.content,
+        summary: JSON.stringify(validated.summary),
+        created_by: req.user.id,
+      })
+      .returning('*');
+
+    await recordAudit(req, { action: 'create', entityType: 'style', entityId: style.id, after: style });
+
+    res.status(201).json({
+      status: 'success',
+      code: 201,
+      data: formatStyle(style),
+    });
+  } catch (error) {
+    if (error instanceof styleService.StyleValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error('Error creating style:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to create style',
+    });
+  }
+}
+
+/**
+ * Update a style
+ * PUT /api/styles/:id { name?, description?, format?, content? }
+ * A changed document is validated again; the format can't change while layers use the style
+ * with a layer type the new format doesn't support
+ */
+async function updateStyle(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, description, format, content } = req.body;
+
+    const existingStyle = await db('styles').where('id', id).first();
+    if (!existingStyle) {
+      return sendStyleNotFound(res);
+    }
+
+    const updateData = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: 'Style name cannot be empty',
+        });
+      }
+      if (!(await checkNameFree(res, name.trim(), id))) {
+        return;
+      }
+      updateData.name = name.trim();
+    }
+    if (description !== undefined) updateData.description = description || null;
+
+    if (format !== undefined || content !== undefined) {
+      const effectiveFormat = format !== undefined ? format : existingStyle.format;
+      const effectiveContent = content !== undefined ? content : existingStyle.content;
+      const validated = await styleService.validateStyle(effectiveFormat, effectiveContent);
+
+      if (effectiveFormat !== existingStyle.format) {
+        const layers = await db('layer_styles')
+          .join('layers', 'layers.id', 'layer_styles.layer_id')
+          .select('layers.name', 'layers.type')
+          .where('layer_styles.style_id', id);
+        const incompatible = layers.filter(layer => !styleService.isCompatible(effectiveFormat, layer.type));
+        if (incompatible.length > 0) {
+          return res.status(409).json({
+            status: 'error',
+            code: 409,
+            message: `Style is used by layers that don't support ${effectiveFormat} styles`,
+            errors: incompatible.map(layer => `"${layer.name}" is a ${layer.type} layer`),
+          });
+        }
+      }
+
+      updateData.format = effectiveFormat;
+      updateData.content = validated.content;
+      updateData.summary = JSON.stringify(validated.summary);
+    }
+
+    updateData.updated_at = db.fn.now();
+
+    const [style] = await db('styles')
+      .where('id', id)
+      .update(updateData)
+      .returning('*');
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'style',
+      entityId: id,
+      before: existingStyle,
+      after: style,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: formatStyle(style),
+    });
+  } catch (error) {
+    if (error instanceof styleService.StyleValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error('Error updating style:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to update style',
+    });
+  }
+}
+
+/**
+ * Delete a style
+ * DELETE /api/styles/:id
+ * Layers using it lose it from their styles; a layer whose default it was falls back to its next style
+ */
+async function deleteStyle(req, res) {
+  try {
+    const { id } = req.params;
+
+    const existingStyle = await db('styles').where('id', id).first();
+    if (!existingStyle) {
+      return sendStyleNotFound(res);
+    }
+
+    await db.transaction(async (trx) => {
+      const defaults = await trx('layer_styles')
+        .select('layer_id')
+        .where({ style_id: id, is_default: true });
+
+      await trx('styles').where('id', id).del();
+
+      // Promote the next style of layers that used this one as their default
+      for (const { layer_id } of defaults) {
+        const next = await trx('layer_styles')
+          .where('layer_id', layer_id)
+          .orderBy('sort_order', 'asc')
+          .first();
+        if (next) {
+          await trx('layer_styles')
+            .where({ layer_id, style_id: next.style_id })
+            .update({ is_default: true });
+        }
+      }
+    });
+
+    await recordAudit(req, { action: 'delete', entityType: 'style', entityId: id, before: existingStyle });
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      message: 'Style deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting style:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to delete style',
+    });
+  }
+}
+
+/**
+ * Set the styles a layer can be switched to
+ * PUT /api/maps/layers/:id/styles { style_ids: [...], default_style_id? }
+ * Replaces the layer's styles; the default is the first style unless default_style_id is given
+ */
+async function setLayerStyles(req, res) {
+  try {
+    const { id } = req.params;
+    const { style_ids, default_style_id } = req.body;
+
+    const layer = await db('layers').where('id', id).first();
+    if (!layer) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Layer not found',
+      });
+    }
+
+    if (!(await permissionService.canEditLayer(req.user, layer))) {
+      return res.status(403).json({
+        status: 'error',
+        code: 403,
+        message: 'You do not have permission to edit this layer',
+      });
+    }
+
+    const before = (await styleService.getLayerStyles([id])).get(id) || [];
+    const styles = await styleService.setLayerStyles(layer, style_ids, default_style_id || null);
+
+    await recordAudit(req, {
+      action: 'update_styles',
+      entityType: 'layer',
+      entityId: id,
+      before: { styles: before },
+      after: { styles },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: styles,
+    });
+  } catch (error) {
+    if (error instanceof styleService.StyleValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error('Error setting layer styles:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to set layer styles',
+    });
+  }
+}
+
+module.exports = {
+  getStyles,
+  getStyleById,
+  getStyleContent,
+  validateStyle,
+  createStyle,
+  updateStyle,
+  deleteStyle,
+  setLayerStyles,
+};
@@ -0,0 +1,225 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const { ShapefileValidationError, inspectShapefileZip } = require('../services/shapefile.service');
+const { enqueueJob } = require('../services/job.service');
+const { RASTER_EXTENSIONS, getPendingUploadPath } = require('../middleware/upload.middleware');
+
+/**
+ * Upload a zipped shapefile or a GeoTIFF
+ * POST /api/upload (multipart/form-data: file, layer_group_id?, layer_name?)
+ * Shapefile ZIPs are validated immediately; import and GeoServer publishing run as a background job
+ * whose ID is returned as job_id
+ */
+async function createUpload(req, res) {
+  const file = req.file;
+
+  try {
+    const { layer_group_id, layer_name } = req.body;
+
+    if (!file) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Shapefile ZIP or GeoTIFF is required',
+      });
+    }
+
+    if (layer_group_id) {
+      const group = await db('layer_groups').where('id', layer_group_id).first();
+      if (!group) {
+        await fs.promises.rm(file.path, { force: true });
+        return res.status(404).json({
+          status: 'error',
+          code: 404,
+          message: 'Layer group not found',
+        });
+      }
+    }
+
+    const isRaster = RASTER_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+    const [upload] = await db('uploads')
+      .insert({
+        id: uuidv4(),
+        user_id: req.user?.id || null,
+        original_name: path.basename(file.originalname),
+        file_type: isRaster ? 'geotiff' : 'shapefile',
+        status: 'pending',
+        layer_group_id: layer_group_id || null,
+      })
+      .returning('*');
+
+    // Jobs find the file by upload ID, so the payload shown to users carries no server paths
+    const filePath = getPendingUploadPath(upload);
+    await fs.promises.rename(file.path, filePath);
+    file.path = filePath;
+
+    const payload = {
+      uploadId: upload.id,
+      layerGroupId: layer_group_id || null,
+      layerName: layer_name || null,
+    };
+
+    // Processing runs in the job queue; clients poll GET /api/upload/:id or GET /api/jobs/:id
+    if (isRaster) {
+      const job = await enqueueJob('upload.geotiff', payload, { userId: req.user?.id });
+      return res.status(202).json({
+        status: 'success',
+        code: 202,
+        data: { ...upload, job_id: job.id },
+      });
+    }
+
+    try {
+      inspectShapefileZip(file.path);
+    } catch (validationError) {
+      await fs.promises.rm(file.path, { force: true });
+      await db('uploads')
+        .where('id', upload.id)
+        .update({
+          status: 'failed',
+          error_message: validationError.message,
+          updated_at: db.fn.now(),
+          completed_at: db.fn.now(),
+        });
+
+      if (validationError instanceof ShapefileValidationError) {
+        return res.status(400).json({
+          status: 'error',
+          code: 400,
+          message: validationError.message,
+          data: { id: upload.id },
+        });
+      }
+      throw validationError;
+    }
+
+    const job = await enqueueJob('upload.shapefile', payload, { userId: req.user?.id });
+
+    res.status(202).json({
+      status: 'success',
+      code: 202,
+      data: { ...upload, job_id: job.id },
+    });
+  } catch (error) {
+    if (file) {
+      await fs.promises.rm(file.path, { force: true }).catch(() => {});
+    }
+    logger.error('Error creating upload:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to create upload',
+    });
+  }
+}
+
+/**
+ * Get upload by ID
+ * GET /api/upload/:id
+ */
+async function getUploadById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const upload = await db('uploads').where('id', id).first();
+
+    if (!upload) {
+      return res.status(404).json({
+        status: 'error',
+        code: 404,
+        message: 'Upload not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: upload,
+    });
+  } catch (error) {
+    logger.error('Error fetching upload:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch upload',
+    });
+  }
+}
+
+/**
+ * Get all uploads
+ * GET /api/upload?page=1&limit=10&status=failed
+ */
+async function getUploads(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const status = req.query.status ? req.query.status.trim() : null;
+
+    if (page < 1) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Page number must be greater than 0',
+      });
+    }
+
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({
+        status: 'error',
+        code: 400,
+        message: 'Limit must be between 1 and 100',
+      });
+    }
+
+    let query = db('uploads');
+    let countQuery = db('uploads');
+
+    if (status) {
+      query = query.where('status', status);
+      countQuery = countQuery.where('status', status);
+    }
+
+    const totalCountResult = await countQuery.count('id as count').first();
+    const total = parseInt(totalCountResult.count) || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    const uploads = await query
+      .select('*')
+      .orderBy('created_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+
+    res.status(200).json({
+      status: 'success',
+      code: 200,
+      data: uploads,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching uploads:', error);
+    res.status(500).json({
+      status: 'error',
+      code: 500,
+      message: 'Failed to fetch uploads',
+    });
+  }
+}
+
+module.exports = {
+  createUpload,
+  getUploadById,
+  getUploads,
+};
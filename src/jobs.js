@@ -0,0 +1,143 @@
+const fs = require('fs');
+const { db } = require('./db');
+const { registerJobHandler } = require('./services/job.service');
+const { processShapefileUpload } = require('./services/shapefile.service');
+const { processGeoTiffUpload } = require('./services/geotiff.service');
+const { generateThumbnail } = require('./services/thumbnail.service');
+const footprintService = require('./services/footprint.service');
+const metadataService = require('./services/metadata.service');
+const { resolveFilePath, getProductFilePath } = require('./services/product.service');
+const { getPendingUploadPath } = require('./middleware/upload.middleware');
+const logger = require('./utils/logger');
+
+/**
+ * Load the uploads row of an upload job
+ */
+async function loadUpload(uploadId) {
+  const upload = await db('uploads').where('id', uploadId).first();
+  if (!upload) {
+    throw new Error(`Upload ${uploadId} not found`);
+  }
+  return upload;
+}
+
+/**
+ * Mark the upload of a job whose worker died as failed and remove its file
+ */
+async function failAbandonedUpload(payload, message) {
+  const upload = await loadUpload(payload.uploadId);
+  await fs.promises.rm(getPendingUploadPath(upload), { force: true });
+  await db('uploads')
+    .where('id', upload.id)
+    .whereNot('status', 'completed')
+    .update({
+      status: 'failed',
+      error_message: message,
+      updated_at: db.fn.now(),
+      completed_at: db.fn.now(),
+    });
+}
+
+/**
+ * Import a shapefile ZIP and publish it to GeoServer
+ * Payload: { uploadId, layerGroupId, layerName }
+ */
+async function runShapefileUpload(payload, context) {
+  const upload = await loadUpload(payload.uploadId);
+  await processShapefileUpload(upload, getPendingUploadPath(upload), {
+    layerGroupId: payload.layerGroupId,
+    layerName: payload.layerName,
+    onProgress: context.progress,
+    signal: context.signal,
+  });
+  return { upload_id: upload.id };
+}
+
+/**
+ * Store a GeoTIFF and publish it to GeoServer
+ * Payload: { uploadId, layerGroupId, layerName }
+ */
+async function runGeoTiffUpload(payload, context) {
+  const upload = await loadUpload(payload.uploadId);
+  await processGeoTiffUpload(upload, getPendingUploadPath(upload), {
+    layerGroupId: payload.layerGroupId,
+    layerName: payload.layerName,
+    onProgress: context.progress,
+    signal: context.signal,
+  });
+  return { upload_id: upload.id };
+}
+
+/**
+ * Generate the thumbnail, footprint and raster metadata of a product file
+ * Payload: { productId }
+ * Each step is attempted; steps that fail are logged and the job is retried with the
+ * results of the successful steps already saved
+ */
+async function runProductProcessing(payload, context) {
+  const product = await db('products').where('id', payload.productId).first();
+  if (!product) {
+    // Deleted while queued
+    return { skipped: true };
+  }
+
+  const filePath = getProductFilePath(product);
+  if (!filePath) {
+    return { skipped: true };
+  }
+  const absolutePath = resolveFilePath(filePath);
+  const failures = [];
+  const updateData = {};
+
+  context.signal.throwIfAborted();
+  await context.progress(10, 'Generating thumbnail');
+  try {
+    updateData.thumbnail = await generateThumbnail(absolutePath, `${product.id}.png`);
+  } catch (error) {
+    failures.push(`thumbnail: ${error.message}`);
+  }
+
+  // Footprints entered by an admin describe the product, not the file
+  if (product.footprint_source !== 'manual') {
+    context.signal.throwIfAborted();
+    await context.progress(40, 'Extracting footprint');
+    try {
+      const footprint = await footprintService.extractFootprint(absolutePath);
+      updateData.footprint = footprint ? footprintService.geometrySql(footprint.geometry) : null;
+      updateData.footprint_source = footprint ? footprint.source : null;
+    } catch (error) {
+      failures.push(`footprint: ${error.message}`);
+    }
+  }
+
+  if (Object.keys(updateData).length > 0) {
+    await db('products').where('id', product.id).update(updateData);
+  }
+
+  context.signal.throwIfAborted();
+  await context.progress(70, 'Extracting raster metadata');
+  try {
+    await metadataService.refreshProductMetadata(product.id, absolutePath);
+  } catch (error) {
+    failures.push(`metadata: ${error.message}`);
+  }
+
+  if (failures.length > 0) {
+    for (const failure of failures) {
+      await context.log(failure);
+    }
+    throw new Error(`Product processing failed (${failures.join('; ')})`);
+  }
+
+  logger.info(`Processed product ${product.id}`);
+  return {
+    product_id: product.id,
+    thumbnail: updateData.thumbnail || null,
+    footprint_source: 'footprint_source' in updateData ? updateData.footprint_source : product.footprint_source,
+  };
+}
+
+// Upload jobs own their pending file and delete it when they finish, so they can't be retried
+registerJobHandler('upload.shapefile', runShapefileUpload, { maxAttempts: 1, onAbandoned: failAbandonedUpload });
+registerJobHandler('upload.geotiff', runGeoTiffUpload, { maxAttempts: 1, onAbandoned: failAbandonedUpload });
+registerJobHandler('product.process', runProductProcessing, { maxAttempts: 3 });
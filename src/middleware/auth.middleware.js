@@ -1,61 +1,65 @@
-const { db } = require('../db');
 const logger = require('../utils/logger');
+const { AuthError, verifyAccessToken } = require('../services/auth.service');
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+  return token;
+}
 
 /**
  * Middleware to check if user is authenticated
- * This is a placeholder - implement proper JWT/auth logic as needed
+ * Verifies the JWT access token and that its session hasn't been revoked
+ * Sets req.user = { id, roles, sessionId }
  */
 async function requireAuth(req, res, next) {
   try {
-    // TODO: Implement proper JWT token validation
-    // For now, check for admin role in headers or session
-    const userId = req.headers['x-user-id'];
-    const userRole = req.headers['x-user-role'];
+    const token = getBearerToken(req);
 
-    if (!userId) {
+    if (!token) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    // Verify user exists and has admin role
-    const user = await db('users')
-      .join('user_roles', 'users.id', 'user_roles.user_id')
-      .join('roles', 'user_roles.role_id', 'roles.id')
-      .where('users.id', userId)
-      .where('roles.name', 'admin')
-      .first();
-
-    if (!user) {
-      logger.warn(`Unauthorized access attempt by user ${userId}`);
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
-    req.user = { id: userId, role: 'admin' };
+    req.user = await verifyAccessToken(token);
     next();
   } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Authentication error' });
   }
 }
 
+/**
+ * Middleware to identify the caller when a token is sent
+ * Anonymous requests pass through without req.user; invalid tokens are still rejected
+ */
+async function optionalAuth(req, res, next) {
+  if (!getBearerToken(req)) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+}
+
 /**
  * Middleware to check if user has admin role
+ * Must run after requireAuth
  */
 async function requireAdmin(req, res, next) {
   try {
-    const userId = req.user?.id;
-
-    if (!userId) {
+    if (!req.user?.id) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const user = await db('users')
-      .join('user_roles', 'users.id', 'user_roles.user_id')
-      .join('roles', 'user_roles.role_id', 'roles.id')
-      .where('users.id', userId)
-      .where('roles.name', 'admin')
-      .first();
-
-    if (!user) {
+    if (!req.user.roles.includes('admin')) {
+      logger.warn(`Unauthorized access attempt by user ${req.user.id}`);
       return res.status(403).json({ error: 'Admin access required' });
     }
 
@@ -67,7 +71,8 @@ async function requireAdmin(req, res, next) {
 }
 
 module.exports = {
+  getBearerToken,
   requireAuth,
+  optionalAuth,
   requireAdmin,
 };
-
@@ -0,0 +1,26 @@
+const rateLimit = require('express-rate-limit');
+
+const BUNDLE_RATE_WINDOW = parseInt(process.env.BUNDLE_RATE_WINDOW) || 15 * 60 * 1000;
+const BUNDLE_RATE_LIMIT = parseInt(process.env.BUNDLE_RATE_LIMIT) || 10;
+
+/**
+ * Limit product bundle requests per client IP
+ * Bundles are public and each one reads and streams up to BUNDLE_MAX_PRODUCTS files
+ */
+const bundleRateLimit = rateLimit({
+  windowMs: BUNDLE_RATE_WINDOW,
+  limit: BUNDLE_RATE_LIMIT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    status: 'error',
+    code: 429,
+    message: 'Too many bundle requests, please try again later',
+  },
+});
+
+module.exports = {
+  BUNDLE_RATE_WINDOW,
+  BUNDLE_RATE_LIMIT,
+  bundleRateLimit,
+};
@@ -0,0 +1,80 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const TEMP_DIR = path.join(UPLOAD_DIR, 'tmp');
+// Dataset uploads waiting for their job, named by upload ID so any worker sharing UPLOAD_DIR finds them
+const PENDING_DIR = path.join(UPLOAD_DIR, 'pending');
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100000000;
+
+// Allowed extensions for product files
+const PRODUCT_EXTENSIONS = ['.pdf', '.tif', '.tiff', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.zip'];
+// Allowed extensions for shapefile uploads
+const SHAPEFILE_EXTENSIONS = (process.env.ALLOWED_SHAPEFILE_TYPES || '.zip')
+  .split(',')
+  .map(ext => ext.trim().toLowerCase());
+// Allowed extensions for raster uploads
+const RASTER_EXTENSIONS = (process.env.ALLOWED_RASTER_TYPES || '.tif,.tiff')
+  .split(',')
+  .map(ext => ext.trim().toLowerCase());
+
+fs.mkdirSync(TEMP_DIR, { recursive: true });
+fs.mkdirSync(PENDING_DIR, { recursive: true });
+
+/**
+ * Get the path a dataset upload waits at until its job processes it
+ * @param {object} upload - uploads row (needs id and file_type)
+ */
+function getPendingUploadPath(upload) {
+  const ext = upload.file_type === 'geotiff' ? '.tif' : '.zip';
+  return path.resolve(PENDING_DIR, `${upload.id}${ext}`);
+}
+
+/**
+ * Build a file filter that only accepts the given extensions
+ * @param {string[]} extensions - Allowed lowercase extensions (with leading dot)
+ */
+function extensionFilter(extensions) {
+  return (req, file, callback) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!extensions.includes(ext)) {
+      const error = new Error(`File type ${ext || '(none)'} is not allowed. Allowed: ${extensions.join(', ')}`);
+      error.statusCode = 400;
+      return callback(error);
+    }
+    callback(null, true);
+  };
+}
+
+/**
+ * Multer instance for product uploads
+ * Files are written to uploads/tmp and moved into place by the controller
+ */
+const productUpload = multer({
+  dest: TEMP_DIR,
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: extensionFilter(PRODUCT_EXTENSIONS),
+});
+
+/**
+ * Multer instance for GIS dataset uploads (zipped shapefiles and GeoTIFFs)
+ */
+const datasetUpload = multer({
+  dest: TEMP_DIR,
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: extensionFilter([...SHAPEFILE_EXTENSIONS, ...RASTER_EXTENSIONS]),
+});
+
+module.exports = {
+  UPLOAD_DIR,
+  TEMP_DIR,
+  PENDING_DIR,
+  MAX_FILE_SIZE,
+  SHAPEFILE_EXTENSIONS,
+  RASTER_EXTENSIONS,
+  extensionFilter,
+  getPendingUploadPath,
+  productUpload,
+  datasetUpload,
+};
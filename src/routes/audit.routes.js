@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const { requireAuth, requireAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * Audit routes
+ * Change history of maps, layer groups and layers (admin only)
+ */
+
+router.get('/', requireAuth, requireAdmin, auditController.getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller');
+const { requireAuth, requireAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * Auth routes
+ * JWT login with rotating refresh tokens
+ */
+
+router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/logout', requireAuth, authController.logout);
+router.get('/me', requireAuth, authController.getCurrentUser);
+
+// Revoke every session of a user (admin only)
+router.post('/users/:id/revoke', requireAuth, requireAdmin, authController.revokeUserSessions);
+
+module.exports = router;
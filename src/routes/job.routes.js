@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/job.controller');
+const { requireAuth } = require('../middleware/auth.middleware');
+
+/**
+ * Job routes
+ * Status, progress and error logs of background jobs; admins see all jobs, other users their own
+ */
+
+router.get('/', requireAuth, jobController.getJobs);
+router.get('/:id', requireAuth, jobController.getJobById);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const proxyController = require('../controllers/proxy.controller');
+const { optionalAuth } = require('../middleware/auth.middleware');
+
+/**
+ * Layer routes
+ * Proxy for layer services: hides server-side credentials and caches tiles.
+ * Access follows the layer's map visibility and layer permissions.
+ */
+
+router.get(['/:id/proxy', '/:id/proxy/*'], optionalAuth, proxyController.proxyLayerRequest);
+
+module.exports = router;
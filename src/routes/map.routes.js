@@ -1,32 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const mapController = require('../controllers/map.controller');
+const shareController = require('../controllers/share.controller');
+const revisionController = require('../controllers/revision.controller');
+const bundleController = require('../controllers/bundle.controller');
+const capabilitiesController = require('../controllers/capabilities.controller');
+const styleController = require('../controllers/style.controller');
+const { requireAuth, optionalAuth, requireAdmin } = require('../middleware/auth.middleware');
 
 /**
  * Map routes
  * Dynamic map management with layer groups and layers
+ * Read routes are public (private maps need a token or share link) and filtered by layer permissions.
+ * Map and layer group creation require an admin; layer group and layer
+ * edits are checked against layer_permissions in the controller.
  */
 
+// Shared map links (must be before /:id route to avoid conflict)
+router.get('/shared/:token', optionalAuth, shareController.getSharedMap);
+
+// Map export/import bundles and cloning (admin only)
+router.post('/import', requireAuth, requireAdmin, bundleController.importMap);
+router.get('/:id/export', requireAuth, requireAdmin, bundleController.exportMap);
+router.post('/:id/clone', requireAuth, requireAdmin, bundleController.cloneMap);
+
 // Map routes
-router.get('/', mapController.getMaps);
-router.get('/:id', mapController.getMapById);
-router.post('/', mapController.createMap);
-router.put('/:id', mapController.updateMap);
-router.delete('/:id', mapController.deleteMap);
+router.get('/', optionalAuth, mapController.getMaps);
+router.get('/:id', optionalAuth, mapController.getMapById);
+router.post('/', requireAuth, requireAdmin, mapController.createMap);
+router.put('/:id', requireAuth, requireAdmin, mapController.updateMap);
+router.delete('/:id', requireAuth, requireAdmin, mapController.deleteMap);
+router.put('/:id/order', requireAuth, requireAdmin, mapController.updateMapOrder);
+
+// Share link management (map owner or admin)
+router.get('/:id/share', requireAuth, shareController.getShareLinks);
+router.post('/:id/share', requireAuth, shareController.createShareLink);
+router.delete('/:id/share/:shareId', requireAuth, shareController.revokeShareLink);
+
+// Revision history (admin only; diff must be before /:revision)
+router.get('/:id/revisions', requireAuth, requireAdmin, revisionController.getRevisions);
+router.get('/:id/revisions/diff', requireAuth, requireAdmin, revisionController.diffRevisions);
+router.get('/:id/revisions/:revision', requireAuth, requireAdmin, revisionController.getRevision);
+router.post('/:id/revisions/:revision/restore', requireAuth, requireAdmin, revisionController.restoreRevision);
 
 // Layer group routes (nested under maps)
-router.post('/:mapId/layer-groups', mapController.createLayerGroup);
+router.post('/:mapId/layer-groups', requireAuth, requireAdmin, mapController.createLayerGroup);
 
 // Layer group routes (direct - must be before /:id route to avoid conflict)
-router.put('/layer-groups/:id', mapController.updateLayerGroup);
-router.delete('/layer-groups/:id', mapController.deleteLayerGroup);
+router.put('/layer-groups/:id', requireAuth, mapController.updateLayerGroup);
+router.delete('/layer-groups/:id', requireAuth, mapController.deleteLayerGroup);
 
 // Layer routes (nested under layer groups)
-router.post('/layer-groups/:groupId/layers', mapController.createLayer);
+router.post('/layer-groups/:groupId/layers', requireAuth, mapController.createLayer);
+router.post('/layer-groups/:groupId/layers/import', requireAuth, capabilitiesController.importLayers);
+router.post('/layer-groups/:groupId/layers/arcgis', requireAuth, capabilitiesController.importArcGisLayers);
 
 // Layer routes (direct - must be before /:id route to avoid conflict)
-router.put('/layers/:id', mapController.updateLayer);
-router.delete('/layers/:id', mapController.deleteLayer);
+router.put('/layers/:id', requireAuth, mapController.updateLayer);
+router.delete('/layers/:id', requireAuth, mapController.deleteLayer);
+router.put('/layers/:id/styles', requireAuth, styleController.setLayerStyles);
 
 module.exports = router;
 
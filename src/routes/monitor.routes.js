@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const monitorController = require('../controllers/monitor.controller');
+const { requireAuth, requireAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * Monitor routes
+ * Availability of external layer sources (admin only)
+ */
+
+router.get('/layers', requireAuth, requireAdmin, monitorController.getLayerHealthReport);
+router.post('/layers/:id/check', requireAuth, requireAdmin, monitorController.checkLayer);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const permissionController = require('../controllers/permission.controller');
+const { requireAuth, requireAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * Permission routes
+ * Per-role view/edit rights on layers and layer groups (admin only)
+ */
+
+router.use(requireAuth, requireAdmin);
+
+router.get('/roles', permissionController.getRoles);
+router.get('/', permissionController.getPermissions);
+router.post('/', permissionController.grantPermission);
+router.delete('/:id', permissionController.revokePermission);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/product.controller');
+const { requireAuth, requireAdmin } = require('../middleware/auth.middleware');
+const { productUpload } = require('../middleware/upload.middleware');
+const { bundleRateLimit } = require('../middleware/rate-limit.middleware');
 
 /**
  * Product routes
@@ -10,6 +13,33 @@ const productController = require('../controllers/product.controller');
 // Get all products
 router.get('/', productController.getProducts);
 
+// Autocomplete for the search box
+router.get('/suggest', productController.suggestProducts);
+
+// Download several products as a ZIP with a manifest (rate limited per client)
+router.post('/bundle', bundleRateLimit, productController.bundleProducts);
+
+// Upload a new product (admin only)
+router.post('/', requireAuth, requireAdmin, productUpload.single('file'), productController.createProduct);
+
+// Report orphaned files and products with missing files (admin only)
+router.get('/maintenance/storage', requireAuth, requireAdmin, productController.getStorageReport);
+
+// Update product details (admin only)
+router.put('/:id', requireAuth, requireAdmin, productController.updateProduct);
+
+// Delete a product and its files (admin only)
+router.delete('/:id', requireAuth, requireAdmin, productController.deleteProduct);
+
+// Replace the product file (admin only)
+router.put('/:id/file', requireAuth, requireAdmin, productUpload.single('file'), productController.replaceProductFile);
+
+// Set or re-extract a product footprint (admin only)
+router.put('/:id/footprint', requireAuth, requireAdmin, productController.updateProductFootprint);
+
+// Raster metadata extracted from the product file
+router.get('/:id/metadata', productController.getProductMetadata);
+
 // Download product file
 router.get('/:id/download', productController.downloadProduct);
 
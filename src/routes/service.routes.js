@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const capabilitiesController = require('../controllers/capabilities.controller');
+const { requireAuth } = require('../middleware/auth.middleware');
+
+/**
+ * External service routes
+ * Read layer lists from OGC services before adding them to a map
+ * Limited to callers who can add layers; services on non-public hosts are refused
+ */
+
+router.get('/capabilities', requireAuth, capabilitiesController.getCapabilities);
+router.get('/arcgis', requireAuth, capabilitiesController.getArcGisService);
+
+module.exports = router;
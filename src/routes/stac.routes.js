@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const stacController = require('../controllers/stac.controller');
+
+/**
+ * STAC API routes
+ * The products catalogue as a STAC catalog with one collection per category
+ */
+
+router.get('/', stacController.getLandingPage);
+router.get('/conformance', stacController.getConformance);
+router.get('/collections', stacController.getCollections);
+router.get('/collections/:collectionId', stacController.getCollection);
+router.get('/collections/:collectionId/items', stacController.getCollectionItems);
+router.get('/collections/:collectionId/items/:itemId', stacController.getItem);
+router.get('/search', stacController.searchItems);
+router.post('/search', stacController.searchItems);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const styleController = require('../controllers/style.controller');
+const { requireAuth, requireAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * Style routes
+ * Library of SLD and MapLibre styles that layers can be switched between.
+ * Styles are readable by everyone (map viewers load them); changes require an admin.
+ */
+
+// Validation (must be before /:id route to avoid conflict)
+router.post('/validate', requireAuth, styleController.validateStyle);
+
+router.get('/', styleController.getStyles);
+router.get('/:id', styleController.getStyleById);
+router.get('/:id/content', styleController.getStyleContent);
+router.post('/', requireAuth, requireAdmin, styleController.createStyle);
+router.put('/:id', requireAuth, requireAdmin, styleController.updateStyle);
+router.delete('/:id', requireAuth, requireAdmin, styleController.deleteStyle);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const uploadController = require('../controllers/upload.controller');
+const { requireAuth, requireAdmin } = require('../middleware/auth.middleware');
+const { datasetUpload } = require('../middleware/upload.middleware');
+
+/**
+ * Upload routes
+ * Shapefile ZIPs imported into PostGIS and GeoTIFFs, published to GeoServer (admin only)
+ */
+
+// List uploads
+router.get('/', requireAuth, requireAdmin, uploadController.getUploads);
+
+// Get upload status
+router.get('/:id', requireAuth, requireAdmin, uploadController.getUploadById);
+
+// Upload shapefile ZIP or GeoTIFF
+router.post('/', requireAuth, requireAdmin, datasetUpload.single('file'), uploadController.createUpload);
+
+module.exports = router;
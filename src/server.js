@@ -1,8 +1,12 @@
 const app = require('./app');
+const { startLayerMonitor } = require('./services/monitor.service');
+const { startJobWorker } = require('./services/job.service');
 
 const port = process.env.PORT || 8888;
 
 app.listen(port, () => {
   console.log('Server is running on ', port);
+  startLayerMonitor();
+  startJobWorker();
 });
 
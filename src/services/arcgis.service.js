@@ -0,0 +1,162 @@
+const axios = require('axios');
+const { CapabilitiesError, checkPublicUrl } = require('./capabilities.service');
+const { PUBLIC_REQUEST_OPTIONS } = require('../utils/network');
+
+const REQUEST_TIMEOUT = parseInt(process.env.CAPABILITIES_TIMEOUT) || 30000;
+
+// .../rest/services/<folder>/<service>/MapServer[/<layerId>]
+const ARCGIS_SERVICE_PATTERN = /^(.*\/rest\/services\/.+?\/(MapServer|FeatureServer))(?:\/(\d+))?\/?$/i;
+
+/**
+ * Check whether a URL points at an ArcGIS REST MapServer or FeatureServer
+ */
+function isArcGisServiceUrl(url) {
+  try {
+    return ARCGIS_SERVICE_PATTERN.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the service root URL (no sublayer, no query string) for an ArcGIS REST URL
+ * @param {string} url - Service or sublayer URL
+ * @returns {{ url: string, serviceType: string }}
+ */
+function getArcGisServiceUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new CapabilitiesError('url must be a valid http(s) URL', 400);
+  }
+
+  const match = /^https?:$/.test(parsed.protocol) && parsed.pathname.match(ARCGIS_SERVICE_PATTERN);
+  if (!match) {
+    throw new CapabilitiesError('url must point at an ArcGIS MapServer or FeatureServer', 400);
+  }
+
+  return {
+    url: `${parsed.origin}${match[1]}`,
+    serviceType: match[2].toLowerCase() === 'featureserver' ? 'FeatureServer' : 'MapServer',
+  };
+}
+
+/**
+ * GET an ArcGIS REST resource as JSON
+ * ArcGIS reports most errors with HTTP 200 and an `error` object in the body
+ */
+async function getJson(url) {
+  await checkPublicUrl(url);
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      ...PUBLIC_REQUEST_OPTIONS,
+      params: { f: 'json' },
+      timeout: REQUEST_TIMEOUT,
+    });
+  } catch (error) {
+    const status = error.response ? ` (HTTP ${error.response.status})` : '';
+    throw new CapabilitiesError(`Failed to fetch ArcGIS service metadata${status}: ${error.message}`);
+  }
+
+  const body = response.data;
+  if (!body || typeof body !== 'object') {
+    throw new CapabilitiesError('ArcGIS service did not return JSON');
+  }
+  if (body.error) {
+    throw new CapabilitiesError(`ArcGIS service error: ${body.error.message || body.error.code}`);
+  }
+
+  return body;
+}
+
+/**
+ * Fetch an ArcGIS MapServer/FeatureServer description with its sublayers
+ * @param {string} url - Service or sublayer URL
+ * @returns {Promise<object>} { url, service_type, name, description, copyright, spatial_reference, extent, layers }
+ */
+async function fetchArcGisService(url) {
+  const service = getArcGisServiceUrl(url);
+  const info = await getJson(service.url);
+
+  // The /layers resource carries geometry types and extents; older servers don't have it
+  let details = [];
+  try {
+    const layerInfo = await getJson(`${service.url}/layers`);
+    details = [...(layerInfo.layers || []), ...(layerInfo.tables || [])];
+  } catch (error) {
+    details = [];
+  }
+  const detailsById = new Map(details.map(layer => [layer.id, layer]));
+
+  const layers = [...(info.layers || []), ...(info.tables || [])].map((layer) => {
+    const detail = detailsById.get(layer.id) || {};
+    return {
+      id: layer.id,
+      name: layer.name,
+      type: detail.type || (layer.subLayerIds ? 'Group Layer' : null),
+      geometry_type: detail.geometryType || layer.geometryType || null,
+      parent_layer_id: layer.parentLayerId !== undefined && layer.parentLayerId !== -1 ? layer.parentLayerId : null,
+      sublayer_ids: layer.subLayerIds || null,
+      default_visibility: layer.defaultVisibility !== undefined ? layer.defaultVisibility : true,
+      min_scale: detail.minScale !== undefined ? detail.minScale : (layer.minScale || 0),
+      max_scale: detail.maxScale !== undefined ? detail.maxScale : (layer.maxScale || 0),
+      extent: detail.extent || null,
+      copyright: detail.copyrightText || info.copyrightText || null,
+    };
+  });
+
+  return {
+    url: service.url,
+    service_type: service.serviceType,
+    name: info.mapName || service.url.split('/').slice(-2, -1)[0],
+    description: info.description || info.serviceDescription || null,
+    copyright: info.copyrightText || null,
+    spatial_reference: info.spatialReference || null,
+    extent: info.fullExtent || info.initialExtent || null,
+    layers,
+  };
+}
+
+/**
+ * Parse a layer_id value into sublayer IDs
+ * Accepts a single ID or a comma-separated list (e.g. "0,2,5")
+ * @returns {number[]|null} null if the value isn't a list of integers
+ */
+function parseLayerIds(layerId) {
+  const parts = String(layerId).split(',').map(part => part.trim());
+  if (parts.some(part => !/^\d+$/.test(part))) {
+    return null;
+  }
+  return parts.map(part => parseInt(part, 10));
+}
+
+/**
+ * Check that a layer_id refers to sublayers that exist in an ArcGIS service
+ * @throws {CapabilitiesError} 400 if an ID is malformed or missing, 502 if the service can't be read
+ */
+async function validateArcGisLayerId(url, layerId) {
+  const ids = parseLayerIds(layerId);
+  if (!ids) {
+    throw new CapabilitiesError('layer_id must be a sublayer ID or a comma-separated list of IDs', 400);
+  }
+
+  const service = await fetchArcGisService(url);
+  const available = new Set(service.layers.map(layer => layer.id));
+  const missing = ids.filter(id => !available.has(id));
+  if (missing.length > 0) {
+    throw new CapabilitiesError(`Sublayers not found in ${service.service_type}: ${missing.join(', ')}`, 400);
+  }
+
+  return service;
+}
+
+module.exports = {
+  isArcGisServiceUrl,
+  getArcGisServiceUrl,
+  fetchArcGisService,
+  parseLayerIds,
+  validateArcGisLayerId,
+};
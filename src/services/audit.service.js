@@ -0,0 +1,64 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const logger = require('../utils/logger');
+
+/**
+ * Compute a per-field diff between two states
+ * @returns {object|null} { field: { from, to } }, or null if nothing changed
+ */
+function diffStates(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to,
+      };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Serialize a state for a jsonb column
+ */
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+/**
+ * Record a change in the audit trail
+ * Failures are logged but never fail the request that made the change
+ * @param {object} req - Express request (actor and IP are taken from it)
+ * @param {object} entry - { action, entityType, entityId, before, after }
+ */
+async function recordAudit(req, { action, entityType, entityId, before = null, after = null }) {
+  try {
+    const userAgent = req.get ? req.get('user-agent') : null;
+
+    await db('audit_logs').insert({
+      id: uuidv4(),
+      user_id: req.user?.id || null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId || null,
+      before: toJson(before),
+      after: toJson(after),
+      changes: toJson(diffStates(before, after)),
+      ip: req.ip || null,
+      user_agent: userAgent ? userAgent.slice(0, 255) : null,
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit log for ${action} ${entityType} ${entityId}:`, error);
+  }
+}
+
+module.exports = {
+  diffStates,
+  recordAudit,
+};
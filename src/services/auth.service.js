@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 7;
+const BCRYPT_ROUNDS = 12;
+const ISSUER = 'spectra-gis-backend';
+// bcrypt hash of a throwaway password, compared when the login doesn't match a user
+const DUMMY_HASH = '$2a$12$DZ.gdkvezafnK0UX0jwQ.eSjFrnvdq8vPaXqOr9R/F.7lx9lDqA7.';
+
+/**
+ * Error raised for failed authentication
+ * Carries a status code so controllers and middleware can report it
+ */
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Get the signing secret, failing loudly if it isn't configured
+ */
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Hash a plain-text password
+ */
+async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Get role names for a user
+ * @returns {Promise<string[]>}
+ */
+async function getUserRoles(userId) {
+  const rows = await db('user_roles')
+    .join('roles', 'user_roles.role_id', 'roles.id')
+    .where('user_roles.user_id', userId)
+    .select('roles.name');
+  return rows.map(row => row.name);
+}
+
+/**
+ * Find a user by username or email and check the password
+ * @returns {Promise<object>} users row
+ */
+async function verifyCredentials(identifier, password) {
+  const user = await db('users')
+    .where('username', identifier)
+    .orWhere('email', identifier)
+    .first();
+
+  // Compare against a dummy hash when the user doesn't exist to keep timing uniform
+  const hash = (user && user.password_hash) || DUMMY_HASH;
+  const valid = await bcrypt.compare(password, hash);
+
+  if (!user || !user.password_hash || !valid) {
+    throw new AuthError('Invalid username or password');
+  }
+  if (user.is_active === false) {
+    throw new AuthError('User account is disabled', 403);
+  }
+
+  return user;
+}
+
+/**
+ * Sign an access/refresh token pair for a session
+ */
+function signTokens(user, roles, sessionId, refreshJti) {
+  const secret = getSecret();
+
+  const accessToken = jwt.sign(
+    { sub: user.id, sid: sessionId, roles, type: 'access' },
+    secret,
+    { expiresIn: ACCESS_TOKEN_TTL, issuer: ISSUER, jwtid: uuidv4() }
+  );
+  const refreshToken = jwt.sign(
+    { sub: user.id, sid: sessionId, type: 'refresh' },
+    secret,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`, issuer: ISSUER, jwtid: refreshJti }
+  );
+
+  return {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    refresh_token: refreshToken,
+  };
+}
+
+/**
+ * Log a user in and open a new session
+ * @param {string} identifier - Username or email
+ * @param {string} password - Plain-text password
+ * @param {object} context - { ip, userAgent }
+ */
+async function login(identifier, password, context = {}) {
+  const user = await verifyCredentials(identifier, password);
+  const roles = await getUserRoles(user.id);
+
+  const sessionId = uuidv4();
+  const refreshJti = crypto.randomBytes(24).toString('hex');
+
+  await db('auth_sessions').insert({
+    id: sessionId,
+    user_id: user.id,
+    refresh_jti: refreshJti,
+    ip: context.ip || null,
+    user_agent: context.userAgent ? context.userAgent.slice(0, 255) : null,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    ...signTokens(user, roles, sessionId, refreshJti),
+    user: {
+      id: user.id,
+      username: user.username || null,
+      email: user.email || null,
+      roles,
+    },
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Refresh tokens are single-use: presenting an already-rotated token revokes the session
+ */
+async function refresh(refreshToken) {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, getSecret(), { issuer: ISSUER });
+  } catch (error) {
+    throw new AuthError('Invalid or expired refresh token');
+  }
+
+  if (payload.type !== 'refresh') {
+    throw new AuthError('Invalid or expired refresh token');
+  }
+
+  const session = await db('auth_sessions').where('id', payload.sid).first();
+  if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+    throw new AuthError('Session has been revoked');
+  }
+
+  if (session.refresh_jti !== payload.jti) {
+    // An old refresh token was replayed; assume it was stolen and end the session
+    await revokeSession(session.id);
+    throw new AuthError('Refresh token has already been used');
+  }
+
+  const user = await db('users').where('id', session.user_id).first();
+  if (!user || user.is_active === false) {
+    await revokeSession(session.id);
+    throw new AuthError('User account is disabled', 403);
+  }
+
+  const roles = await getUserRoles(user.id);
+  const refreshJti = crypto.randomBytes(24).toString('hex');
+
+  // Rotate only if the token is still current, so concurrent refreshes with the same token can't both succeed
+  const rotated = await db('auth_sessions')
+    .where({ id: session.id, refresh_jti: payload.jti })
+    .whereNull('revoked_at')
+    .update({ refresh_jti: refreshJti, last_used_at: db.fn.now() });
+
+  if (rotated === 0) {
+    await revokeSession(session.id);
+    throw new AuthError('Refresh token has already been used');
+  }
+
+  return signTokens(user, roles, session.id, refreshJti);
+}
+
+/**
+ * Verify an access token and its session
+ * @returns {Promise<{ id: string, roles: string[], sessionId: string }>}
+ */
+async function verifyAccessToken(accessToken) {
+  let payload;
+  try {
+    payload = jwt.verify(accessToken, getSecret(), { issuer: ISSUER });
+  } catch (error) {
+    throw new AuthError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+  }
+
+  if (payload.type !== 'access') {
+    throw new AuthError('Invalid access token');
+  }
+
+  const session = await db('auth_sessions')
+    .join('users', 'auth_sessions.user_id', 'users.id')
+    .where('auth_sessions.id', payload.sid)
+    .select('auth_sessions.revoked_at', 'users.is_active')
+    .first();
+
+  if (!session || session.revoked_at || session.is_active === false) {
+    throw new AuthError('Session has been revoked');
+  }
+
+  return {
+    id: payload.sub,
+    roles: payload.roles || [],
+    sessionId: payload.sid,
+  };
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(sessionId) {
+  return db('auth_sessions')
+    .where('id', sessionId)
+    .whereNull('revoked_at')
+    .update({ revoked_at: db.fn.now() });
+}
+
+/**
+ * Revoke every active session of a user
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId) {
+  return db('auth_sessions')
+    .where('user_id', userId)
+    .whereNull('revoked_at')
+    .update({ revoked_at: db.fn.now() });
+}
+
+module.exports = {
+  AuthError,
+  hashPassword,
+  getUserRoles,
+  login,
+  refresh,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,446 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const { LAYER_TYPES } = require('./map.service');
+const { buildSnapshot, createRevision } = require('./revision.service');
+const { validateStyle, isCompatible } = require('./style.service');
+const { escapeLike } = require('../utils/sql');
+
+const BUNDLE_FORMAT = 'spectra-map';
+const BUNDLE_VERSION = 1;
+const CONFLICT_MODES = ['rename', 'replace', 'fail'];
+
+// Fields carried in a bundle; IDs are never exported
+const MAP_FIELDS = ['name', 'description', 'center', 'zoom', 'is_public'];
+const GROUP_FIELDS = ['name', 'z_index', 'is_basemap'];
+const LAYER_FIELDS = ['name', 'type', 'url', 'layer_name', 'layer_id', 'attribution', 'style', 'z_index', 'visible'];
+const STYLE_FIELDS = ['name', 'description', 'format', 'content'];
+
+/**
+ * Error raised for bundles that can't be imported
+ * Carries a status code so controllers can report it
+ */
+class BundleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BundleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Copy the listed fields that are present on a row
+ */
+function pick(row, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (row[field] !== undefined) {
+      result[field] = row[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * Export a map with its layer groups and layers as a self-contained document
+ * The library styles of the layers are included once under styles and referenced by name
+ * @returns {Promise<object|null>} null if the map doesn't exist
+ */
+async function exportMap(mapId) {
+  const snapshot = await buildSnapshot(mapId);
+  if (!snapshot) {
+    return null;
+  }
+
+  const layerStyles = await db('layer_styles')
+    .join('styles', 'styles.id', 'layer_styles.style_id')
+    .select('layer_styles.layer_id', 'layer_styles.is_default', ...STYLE_FIELDS.map(field => `styles.${field}`))
+    .whereIn('layer_styles.layer_id', snapshot.layers.map(layer => layer.id))
+    .orderBy('layer_styles.sort_order', 'asc');
+
+  const styles = new Map();
+  for (const row of layerStyles) {
+    styles.set(row.name, pick(row, STYLE_FIELDS));
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    map: pick(snapshot.map, MAP_FIELDS),
+    styles: [...styles.values()],
+    layer_groups: snapshot.layer_groups.map(group => ({
+      ...pick(group, GROUP_FIELDS),
+      layers: snapshot.layers
+        .filter(layer => layer.group_id === group.id)
+        .map(layer => ({
+          ...pick(layer, LAYER_FIELDS),
+          styles: layerStyles
+            .filter(row => row.layer_id === layer.id)
+            .map(row => ({ name: row.name, is_default: row.is_default })),
+        })),
+    })),
+  };
+}
+
+/**
+ * Check a bundle's structure before importing it
+ */
+function validateBundle(bundle) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new BundleError(`Bundle format must be "${BUNDLE_FORMAT}"`);
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new BundleError(`Unsupported bundle version: ${bundle.version}`);
+  }
+  if (!bundle.map || !bundle.map.name) {
+    throw new BundleError('Bundle map name is required');
+  }
+  if (!Array.isArray(bundle.layer_groups)) {
+    throw new BundleError('Bundle layer_groups must be an array');
+  }
+  // Bundles exported before styles were carried have none
+  if (bundle.styles !== undefined && !Array.isArray(bundle.styles)) {
+    throw new BundleError('Bundle styles must be an array');
+  }
+
+  const styleFormats = new Map();
+  (bundle.styles || []).forEach((style, styleIndex) => {
+    if (!style || !style.name || !style.format || !style.content) {
+      throw new BundleError(`Style ${styleIndex} requires name, format and content`);
+    }
+    styleFormats.set(style.name, style.format);
+  });
+
+  bundle.layer_groups.forEach((group, groupIndex) => {
+    if (!group.name) {
+      throw new BundleError(`Layer group ${groupIndex} has no name`);
+    }
+    (group.layers || []).forEach((layer, layerIndex) => {
+      const label = `Layer ${layerIndex} in group "${group.name}"`;
+      if (!layer.name || !layer.type || !layer.url) {
+        throw new BundleError(`${label} requires name, type and url`);
+      }
+      if (!LAYER_TYPES.includes(String(layer.type).toLowerCase())) {
+        throw new BundleError(`${label} has unsupported type "${layer.type}"`);
+      }
+      if (layer.styles !== undefined && !Array.isArray(layer.styles)) {
+        throw new BundleError(`${label} styles must be an array`);
+      }
+      for (const style of layer.styles || []) {
+        const format = style && styleFormats.get(style.name);
+        if (!format) {
+          throw new BundleError(`${label} uses a style that isn't in the bundle`);
+        }
+        if (!isCompatible(format, String(layer.type).toLowerCase())) {
+          throw new BundleError(`${label} can't use the ${format} style "${style.name}"`);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Find a free "Name (n)" variant of a map name
+ */
+async function findFreeName(trx, name) {
+  const taken = new Set(
+    (await trx('maps').select('name').where('name', 'like', `${escapeLike(name)} (%)`)).map(row => row.name)
+  );
+  let counter = 2;
+  while (taken.has(`${name} (${counter})`)) {
+    counter++;
+  }
+  return `${name} (${counter})`;
+}
+
+/**
+ * Resolve the styles of a bundle to library style IDs
+ * A library style with the same name is reused if it has the same format; other styles are
+ * validated and added to the library
+ * @returns {Promise<Map<string, string>>} Style IDs by name
+ */
+async function importStyles(trx, styles, ownerId) {
+  const styleIds = new Map();
+  if (styles.length === 0) {
+    return styleIds;
+  }
+
+  const existing = await trx('styles').select('id', 'name', 'format').whereIn('name', styles.map(style => style.name));
+  for (const style of styles) {
+    if (styleIds.has(style.name)) {
+      continue;
+    }
+    const match = existing.find(row => row.name === style.name);
+    if (match) {
+      if (match.format !== style.format) {
+        throw new BundleError(`A ${match.format} style named "${style.name}" already exists`, 409);
+      }
+      styleIds.set(style.name, match.id);
+      continue;
+    }
+
+    let validated;
+    try {
+      validated = await validateStyle(style.format, style.content);
+    } catch (error) {
+      throw new BundleError(`Style "${style.name}" is invalid: ${[error.message, ...(error.errors || [])].join('; ')}`);
+    }
+
+    const id = uuidv4();
+    await trx('styles').insert({
+      id,
+      name: style.name,
+      description: style.description || null,
+      format: style.format,
+      content: validated.content,
+      summary: JSON.stringify(validated.summary),
+      created_by: ownerId || null,
+    });
+    styleIds.set(style.name, id);
+  }
+  return styleIds;
+}
+
+/**
+ * Import a bundle as a new map with fresh UUIDs
+ * replace updates the existing map in place: its settings are overwritten and its groups and layers
+ * (with their layer permissions and library styles) are swapped for the bundle's, while its ID,
+ * owner, revisions, share links and audit trail are kept
+ * @param {object} bundle - Exported document
+ * @param {object} options - { conflict: 'rename'|'replace'|'fail', ownerId, req (for the acting user) }
+ * @returns {Promise<{ mapId: string, replaced: object|null }>} replaced is the snapshot of the replaced map
+ */
+async function importMap(bundle, options = {}) {
+  const conflict = options.conflict || 'fail';
+  if (!CONFLICT_MODES.includes(conflict)) {
+    throw new BundleError(`conflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+  }
+
+  validateBundle(bundle);
+
+  return db.transaction(async (trx) => {
+    let name = bundle.map.name;
+    let replaced = null;
+
+    const existing = await trx('maps').select('id').where('name', name);
+    if (existing.length > 0) {
+      if (conflict === 'fail') {
+        throw new BundleError(`A map named "${name}" already exists`, 409);
+      }
+      if (conflict === 'rename') {
+        name = await findFreeName(trx, name);
+      } else if (existing.length > 1) {
+        throw new BundleError(`Several maps are named "${name}"; rename them before replacing`, 409);
+      } else {
+        replaced = await buildSnapshot(existing[0].id, trx);
+      }
+    }
+
+    const center = bundle.map.center;
+    const mapData = {
+      name,
+      description: bundle.map.description || null,
+      zoom: bundle.map.zoom || 8,
+      is_public: bundle.map.is_public !== undefined ? bundle.map.is_public : true,
+      center: center && center.coordinates
+        ? trx.raw('ST_SetSRID(ST_MakePoint(?, ?), 4326)', [center.coordinates[0], center.coordinates[1]])
+        : null,
+    };
+
+    let mapId;
+    if (replaced) {
+      mapId = replaced.map.id;
+      // Keep the state being replaced in the history if the map has none yet
+      const revision = await trx('map_revisions').where('map_id', mapId).first('id');
+      if (!revision) {
+        await createRevision(mapId, options.req, 'Initial state', trx);
+      }
+      // GeoServer resources are kept: the imported layers may point at the same ones
+      await trx('layer_groups').where('map_id', mapId).del();
+      await trx('maps').where('id', mapId).update(mapData);
+    } else {
+      mapId = uuidv4();
+      await trx('maps').insert({ ...mapData, id: mapId, owner_id: options.ownerId || null });
+    }
+
+    const styleIds = await importStyles(trx, bundle.styles || [], options.ownerId);
+
+    for (const group of bundle.layer_groups) {
+      const groupId = uuidv4();
+      await trx('layer_groups').insert({
+        id: groupId,
+        map_id: mapId,
+        name: group.name,
+        z_index: group.z_index || 0,
+        is_basemap: group.is_basemap || false,
+      });
+
+      const layers = (group.layers || []).map(layer => ({
+        id: uuidv4(),
+        group_id: groupId,
+        name: layer.name,
+        type: String(layer.type).toLowerCase(),
+        url: layer.url,
+        layer_name: layer.layer_name || null,
+        layer_id: layer.layer_id || null,
+        attribution: layer.attribution || null,
+        style: layer.style || null,
+        z_index: layer.z_index || 0,
+        visible: layer.visible !== undefined ? layer.visible : true,
+      }));
+
+      if (layers.length > 0) {
+        await trx('layers').insert(layers);
+      }
+
+      const layerStyles = (group.layers || []).flatMap((layer, layerIndex) => {
+        const names = [...new Set((layer.styles || []).map(style => style.name))];
+        const defaultStyle = (layer.styles || []).find(style => style.is_default) || layer.styles[0];
+        return names.map((styleName, index) => ({
+          layer_id: layers[layerIndex].id,
+          style_id: styleIds.get(styleName),
+          is_default: styleName === defaultStyle.name,
+          sort_order: index,
+        }));
+      });
+      if (layerStyles.length > 0) {
+        await trx('layer_styles').insert(layerStyles);
+      }
+    }
+
+    await createRevision(mapId, options.req, 'Map imported', trx);
+
+    return { mapId, replaced };
+  });
+}
+
+/**
+ * Parse a center given as GeoJSON Point or { lng, lat }
+ * @returns {number[]|null} [lng, lat]
+ */
+function parseCenter(center) {
+  const coordinates = Array.isArray(center.coordinates) ? center.coordinates : [center.lng, center.lat];
+  const [lng, lat] = coordinates.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    throw new BundleError('center must be a GeoJSON Point or { lng, lat } in WGS84');
+  }
+  return [lng, lat];
+}
+
+/**
+ * Deep-copy a map with its layer groups and layers under fresh UUIDs
+ * Layers keep their library styles, and groups and layers keep their layer permissions so restricted
+ * layers stay restricted; share links and revisions are not copied.
+ * @param {string} mapId - Source map ID
+ * @param {object} options - { name, basemapsOnly, center, zoom, ownerId, req (for the acting user) }
+ * @returns {Promise<{ mapId: string, groupCount: number, layerCount: number }>}
+ * @throws {BundleError} 404 if the map doesn't exist, 409 if the name is taken
+ */
+async function cloneMap(mapId, options = {}) {
+  const center = options.center ? parseCenter(options.center) : null;
+  if (options.zoom !== undefined && options.zoom !== null && !Number.isFinite(Number(options.zoom))) {
+    throw new BundleError('zoom must be a number');
+  }
+  if (options.name !== undefined && (typeof options.name !== 'string' || !options.name.trim())) {
+    throw new BundleError('name must be a non-empty string');
+  }
+
+  return db.transaction(async (trx) => {
+    const snapshot = await buildSnapshot(mapId, trx);
+    if (!snapshot) {
+      throw new BundleError('Map not found', 404);
+    }
+
+    let name;
+    if (options.name) {
+      name = options.name.trim();
+      const existing = await trx('maps').select('id').where('name', name).first();
+      if (existing) {
+        throw new BundleError(`A map named "${name}" already exists`, 409);
+      }
+    } else {
+      name = await findFreeName(trx, snapshot.map.name);
+    }
+
+    const newMapId = uuidv4();
+    const [lng, lat] = center || (snapshot.map.center ? snapshot.map.center.coordinates : []);
+    await trx('maps').insert({
+      id: newMapId,
+      name,
+      description: snapshot.map.description,
+      zoom: options.zoom !== undefined && options.zoom !== null ? Number(options.zoom) : snapshot.map.zoom,
+      is_public: snapshot.map.is_public,
+      owner_id: options.ownerId || null,
+      center: lng !== undefined ? trx.raw('ST_SetSRID(ST_MakePoint(?, ?), 4326)', [lng, lat]) : null,
+    });
+
+    const groups = snapshot.layer_groups.filter(group => !options.basemapsOnly || group.is_basemap);
+    const layerStyles = await trx('layer_styles')
+      .select('layer_id', 'style_id', 'is_default', 'sort_order')
+      .whereIn('layer_id', snapshot.layers.map(layer => layer.id));
+    const permissions = await trx('layer_permissions')
+      .select('role_id', 'layer_id', 'layer_group_id', 'can_view', 'can_edit')
+      .whereIn('layer_group_id', groups.map(group => group.id))
+      .orWhereIn('layer_id', snapshot.layers.map(layer => layer.id));
+    let layerCount = 0;
+
+    for (const group of groups) {
+      const groupId = uuidv4();
+      await trx('layer_groups').insert({
+        ...pick(group, GROUP_FIELDS),
+        id: groupId,
+        map_id: newMapId,
+      });
+
+      const newLayerIds = new Map();
+      const layers = snapshot.layers
+        .filter(layer => layer.group_id === group.id)
+        .map((layer) => {
+          newLayerIds.set(layer.id, uuidv4());
+          return {
+            ...pick(layer, LAYER_FIELDS),
+            id: newLayerIds.get(layer.id),
+            group_id: groupId,
+          };
+        });
+
+      if (layers.length > 0) {
+        await trx('layers').insert(layers);
+        layerCount += layers.length;
+      }
+
+      const styles = layerStyles
+        .filter(row => newLayerIds.has(row.layer_id))
+        .map(row => ({ ...row, layer_id: newLayerIds.get(row.layer_id) }));
+      if (styles.length > 0) {
+        await trx('layer_styles').insert(styles);
+      }
+
+      const groupPermissions = permissions
+        .filter(row => row.layer_group_id === group.id || newLayerIds.has(row.layer_id))
+        .map(row => ({
+          ...row,
+          id: uuidv4(),
+          layer_group_id: row.layer_group_id ? groupId : null,
+          layer_id: row.layer_id ? newLayerIds.get(row.layer_id) : null,
+        }));
+      if (groupPermissions.length > 0) {
+        await trx('layer_permissions').insert(groupPermissions);
+      }
+    }
+
+    await createRevision(newMapId, options.req, 'Map cloned', trx);
+
+    return { mapId: newMapId, groupCount: groups.length, layerCount };
+  });
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  CONFLICT_MODES,
+  BundleError,
+  exportMap,
+  importMap,
+  cloneMap,
+};
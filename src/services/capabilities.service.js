@@ -0,0 +1,291 @@
+const axios = require('axios');
+const xml2js = require('xml2js');
+const { BlockedHostError, assertPublicUrl, PUBLIC_REQUEST_OPTIONS } = require('../utils/network');
+
+const SERVICE_VERSIONS = {
+  wms: '1.3.0',
+  wfs: '2.0.0',
+};
+const REQUEST_TIMEOUT = parseInt(process.env.CAPABILITIES_TIMEOUT) || 30000;
+const MAX_RESPONSE_SIZE = 20 * 1024 * 1024;
+
+// OGC parameters that are set per request and not kept in a layer url
+const OGC_REQUEST_PARAMS = ['service', 'request', 'version', 'acceptversions'];
+
+/**
+ * Error raised when a capabilities document can't be fetched or parsed
+ * Carries a status code so controllers can report it
+ */
+class CapabilitiesError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'CapabilitiesError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Refuse service URLs on loopback, private or link-local hosts
+ * @throws {CapabilitiesError} 400
+ */
+async function checkPublicUrl(url) {
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    if (error instanceof BlockedHostError) {
+      throw new CapabilitiesError(`url must point at a public host: ${error.message}`, 400);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the base service URL for a layer, without per-request OGC parameters
+ * @param {string} url - Service URL as entered by the user
+ * @returns {string}
+ */
+function getServiceBaseUrl(url) {
+  const parsed = new URL(url);
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (OGC_REQUEST_PARAMS.includes(key.toLowerCase())) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  return parsed.toString();
+}
+
+/**
+ * Build the GetCapabilities URL for a service
+ */
+function buildCapabilitiesUrl(url, service) {
+  const parsed = new URL(getServiceBaseUrl(url));
+  parsed.searchParams.set('SERVICE', service.toUpperCase());
+  parsed.searchParams.set('REQUEST', 'GetCapabilities');
+  parsed.searchParams.set(service === 'wfs' ? 'ACCEPTVERSIONS' : 'VERSION', SERVICE_VERSIONS[service]);
+  return parsed.toString();
+}
+
+/**
+ * Read the text content of the first matching child element
+ */
+function text(node, key) {
+  if (!node || !node[key]) return null;
+  const value = node[key][0];
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') return value.trim() || null;
+  return typeof value._ === 'string' ? value._.trim() || null : null;
+}
+
+/**
+ * Read the text content of all matching child elements
+ */
+function texts(node, key) {
+  if (!node || !node[key]) return [];
+  return node[key]
+    .map(value => (typeof value === 'string' ? value : value && value._))
+    .filter(Boolean)
+    .map(value => value.trim());
+}
+
+/**
+ * Read a WMS layer's WGS84 bounding box (1.3.0 or 1.1.1)
+ */
+function parseWmsGeographicBbox(layer) {
+  const geographic = layer.EX_GeographicBoundingBox && layer.EX_GeographicBoundingBox[0];
+  if (geographic) {
+    return [
+      parseFloat(text(geographic, 'westBoundLongitude')),
+      parseFloat(text(geographic, 'southBoundLatitude')),
+      parseFloat(text(geographic, 'eastBoundLongitude')),
+      parseFloat(text(geographic, 'northBoundLatitude')),
+    ];
+  }
+
+  const latLon = layer.LatLonBoundingBox && layer.LatLonBoundingBox[0];
+  if (latLon && latLon.$) {
+    return ['minx', 'miny', 'maxx', 'maxy'].map(key => parseFloat(latLon.$[key]));
+  }
+
+  return null;
+}
+
+/**
+ * Walk the WMS layer tree and collect named layers
+ * Styles and CRS are inherited from parent layers; bounding boxes are replaced
+ * A layer's own first style is its default, so own styles are listed before inherited ones
+ */
+function collectWmsLayers(layer, inherited, result) {
+  const styles = [
+    ...(layer.Style || []).map(style => ({
+      name: text(style, 'Name'),
+      title: text(style, 'Title'),
+    })),
+    ...inherited.styles,
+  ];
+  const crs = [...new Set([...inherited.crs, ...texts(layer, 'CRS'), ...texts(layer, 'SRS')])];
+  const bbox = parseWmsGeographicBbox(layer) || inherited.bbox;
+  const name = text(layer, 'Name');
+
+  if (name) {
+    result.push({
+      name,
+      title: text(layer, 'Title') || name,
+      abstract: text(layer, 'Abstract'),
+      styles,
+      default_style: styles.length > 0 ? styles[0].name : null,
+      crs,
+      bbox,
+      queryable: layer.$ ? layer.$.queryable === '1' : false,
+    });
+  }
+
+  for (const child of layer.Layer || []) {
+    collectWmsLayers(child, { styles, crs, bbox }, result);
+  }
+
+  return result;
+}
+
+/**
+ * Parse a WMS capabilities document
+ */
+function parseWmsCapabilities(doc) {
+  const root = doc.WMS_Capabilities || doc.WMT_MS_Capabilities;
+  if (!root) {
+    throw new CapabilitiesError('Response is not a WMS capabilities document');
+  }
+
+  const capability = root.Capability && root.Capability[0];
+  const service = root.Service && root.Service[0];
+  const layers = [];
+
+  for (const layer of (capability && capability.Layer) || []) {
+    collectWmsLayers(layer, { styles: [], crs: [], bbox: null }, layers);
+  }
+
+  return {
+    service: 'wms',
+    version: root.$ ? root.$.version : null,
+    title: text(service, 'Title'),
+    abstract: text(service, 'Abstract'),
+    layers,
+  };
+}
+
+/**
+ * Parse a WFS capabilities document (2.0, 1.1 or 1.0)
+ */
+function parseWfsCapabilities(doc) {
+  const root = doc.WFS_Capabilities;
+  if (!root) {
+    throw new CapabilitiesError('Response is not a WFS capabilities document');
+  }
+
+  const service = (root.ServiceIdentification || root.Service || [])[0];
+  const featureTypeList = root.FeatureTypeList && root.FeatureTypeList[0];
+
+  const layers = ((featureTypeList && featureTypeList.FeatureType) || []).map((featureType) => {
+    let bbox = null;
+    const wgs84 = featureType.WGS84BoundingBox && featureType.WGS84BoundingBox[0];
+    const latLong = featureType.LatLongBoundingBox && featureType.LatLongBoundingBox[0];
+    if (wgs84) {
+      const lower = (text(wgs84, 'LowerCorner') || '').split(/\s+/).map(parseFloat);
+      const upper = (text(wgs84, 'UpperCorner') || '').split(/\s+/).map(parseFloat);
+      bbox = [lower[0], lower[1], upper[0], upper[1]];
+    } else if (latLong && latLong.$) {
+      bbox = ['minx', 'miny', 'maxx', 'maxy'].map(key => parseFloat(latLong.$[key]));
+    }
+
+    const name = text(featureType, 'Name');
+    return {
+      name,
+      title: text(featureType, 'Title') || name,
+      abstract: text(featureType, 'Abstract'),
+      styles: [],
+      default_style: null,
+      crs: [
+        ...texts(featureType, 'DefaultCRS'),
+        ...texts(featureType, 'DefaultSRS'),
+        ...texts(featureType, 'SRS'),
+        ...texts(featureType, 'OtherCRS'),
+        ...texts(featureType, 'OtherSRS'),
+      ],
+      bbox,
+      queryable: true,
+    };
+  });
+
+  return {
+    service: 'wfs',
+    version: root.$ ? root.$.version : null,
+    title: text(service, 'Title'),
+    abstract: text(service, 'Abstract'),
+    layers,
+  };
+}
+
+/**
+ * Fetch and parse a WMS or WFS GetCapabilities document
+ * @param {string} url - Service URL
+ * @param {string} service - 'wms' or 'wfs'
+ * @returns {Promise<object>} { service, version, title, abstract, url, layers }
+ */
+async function fetchCapabilities(url, service) {
+  const serviceType = String(service || '').toLowerCase();
+  if (!SERVICE_VERSIONS[serviceType]) {
+    throw new CapabilitiesError('service must be one of: wms, wfs', 400);
+  }
+
+  let capabilitiesUrl;
+  try {
+    capabilitiesUrl = buildCapabilitiesUrl(url, serviceType);
+  } catch (error) {
+    throw new CapabilitiesError('url must be a valid http(s) URL', 400);
+  }
+  if (!/^https?:$/.test(new URL(capabilitiesUrl).protocol)) {
+    throw new CapabilitiesError('url must be a valid http(s) URL', 400);
+  }
+  await checkPublicUrl(capabilitiesUrl);
+
+  let response;
+  try {
+    response = await axios.get(capabilitiesUrl, {
+      ...PUBLIC_REQUEST_OPTIONS,
+      timeout: REQUEST_TIMEOUT,
+      maxContentLength: MAX_RESPONSE_SIZE,
+      responseType: 'text',
+      transformResponse: data => data,
+    });
+  } catch (error) {
+    const status = error.response ? ` (HTTP ${error.response.status})` : '';
+    throw new CapabilitiesError(`Failed to fetch capabilities${status}: ${error.message}`);
+  }
+
+  let doc;
+  try {
+    doc = await xml2js.parseStringPromise(response.data, {
+      tagNameProcessors: [xml2js.processors.stripPrefix],
+    });
+  } catch (error) {
+    throw new CapabilitiesError('Capabilities response is not valid XML');
+  }
+
+  if (doc.ServiceExceptionReport || doc.ExceptionReport) {
+    throw new CapabilitiesError('Service returned an exception instead of capabilities');
+  }
+
+  const capabilities = serviceType === 'wms' ? parseWmsCapabilities(doc) : parseWfsCapabilities(doc);
+  return {
+    ...capabilities,
+    url: getServiceBaseUrl(url),
+  };
+}
+
+module.exports = {
+  CapabilitiesError,
+  checkPublicUrl,
+  getServiceBaseUrl,
+  fetchCapabilities,
+  parseWmsCapabilities,
+  parseWfsCapabilities,
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { validate: isUuid } = require('uuid');
+const { db } = require('../db');
+const { resolveFilePath, getProductFilePath } = require('./product.service');
+const logger = require('../utils/logger');
+
+const BUNDLE_MAX_PRODUCTS = parseInt(process.env.BUNDLE_MAX_PRODUCTS) || 100;
+const MANIFEST_FORMATS = ['json', 'csv', 'both'];
+
+// Product files are mostly compressed already (GeoTIFF, PDF, ZIP); storing them keeps the CPU free
+const STORED_EXTENSIONS = ['.tif', '.tiff', '.pdf', '.zip', '.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+const MANIFEST_COLUMNS = [
+  'id', 'title', 'date', 'category', 'description', 'keywords', 'file', 'size', 'status',
+  'crs', 'width', 'height', 'pixel_size_x', 'pixel_size_y', 'band_count', 'acquired_at', 'footprint_wkt',
+];
+
+/**
+ * Error raised for an invalid bundle request
+ */
+class BundleRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BundleRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Strong ETag for a file version
+ * Derived from the size and modification time, so it changes when a product file is replaced
+ * @param {fs.Stats} stat - File stats
+ * @param {string} key - Distinguishes files that could share a stat (e.g. product ID and rendition)
+ */
+function fileETag(stat, key = '') {
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${key}:${stat.size}:${stat.mtimeMs}`)
+    .digest('hex')
+    .slice(0, 27);
+  return `"${hash}"`;
+}
+
+/**
+ * Parse the product IDs of a bundle request
+ * Accepts an array or a comma-separated string (HTML form posts)
+ * @returns {string[]} Unique IDs in request order
+ * @throws {BundleRequestError} 400 if the list is empty, too long or has non-UUID entries
+ */
+function parseBundleIds(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  const unique = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+
+  if (unique.length === 0) {
+    throw new BundleRequestError('ids must list at least one product');
+  }
+  if (unique.length > BUNDLE_MAX_PRODUCTS) {
+    throw new BundleRequestError(`A bundle can contain at most ${BUNDLE_MAX_PRODUCTS} products`);
+  }
+  const invalid = unique.filter(id => !isUuid(id));
+  if (invalid.length > 0) {
+    throw new BundleRequestError(`Invalid product IDs: ${invalid.join(', ')}`);
+  }
+  return unique;
+}
+
+/**
+ * Format a date column without shifting it to UTC
+ */
+function formatDate(value) {
+  if (!(value instanceof Date)) {
+    return value || null;
+  }
+  const pad = number => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Load the products of a bundle with their raster metadata
+ * @returns {Promise<object[]>} Products in request order
+ * @throws {BundleRequestError} 404 if any ID is unknown
+ */
+async function loadBundleProducts(ids) {
+  const rows = await db('products')
+    .leftJoin('product_metadata', 'product_metadata.product_id', 'products.id')
+    .select(
+      'products.id',
+      'products.title',
+      'products.date',
+      'products.category',
+      'products.description',
+      'products.keywords',
+      'products.filename',
+      db.raw('ST_AsGeoJSON(products.footprint, 6) as footprint'),
+      db.raw('ST_AsText(products.footprint) as footprint_wkt'),
+      'product_metadata.crs',
+      'product_metadata.width',
+      'product_metadata.height',
+      'product_metadata.pixel_size_x',
+      'product_metadata.pixel_size_y',
+      'product_metadata.band_count',
+      'product_metadata.acquired_at'
+    )
+    .whereIn('products.id', ids);
+
+  const byId = new Map(rows.map(row => [String(row.id), row]));
+  const missing = ids.filter(id => !byId.has(id));
+  if (missing.length > 0) {
+    throw new BundleRequestError(`Products not found: ${missing.join(', ')}`, 404);
+  }
+
+  return ids.map(id => byId.get(id));
+}
+
+/**
+ * Pick the archive entries of the products
+ * Files keep their name; names used twice are prefixed with the product ID.
+ * Products whose file is missing on disk are listed in the manifest only.
+ * @returns {Promise<object[]>} Manifest entries with the file path to add
+ */
+async function buildBundleEntries(products) {
+  const usedNames = new Set();
+  const entries = [];
+
+  for (const product of products) {
+    const filePath = getProductFilePath(product);
+    const absolutePath = filePath ? resolveFilePath(filePath) : null;
+    const stat = absolutePath ? await fs.promises.stat(absolutePath).catch(() => null) : null;
+
+    let name = null;
+    if (stat && stat.isFile()) {
+      name = path.basename(absolutePath);
+      if (usedNames.has(name)) {
+        name = `${product.id}-${name}`;
+      }
+      usedNames.add(name);
+    }
+
+    entries.push({
+      absolutePath: name ? absolutePath : null,
+      manifest: {
+        id: product.id,
+        title: product.title,
+        date: formatDate(product.date),
+        category: product.category || null,
+        description: product.description || null,
+        keywords: product.keywords ? product.keywords.split(',').map(keyword => keyword.trim()) : [],
+        file: name ? `files/${name}` : null,
+        size: name ? stat.size : null,
+        status: name ? 'included' : 'missing',
+        crs: product.crs || null,
+        width: product.width || null,
+        height: product.height || null,
+        pixel_size_x: product.pixel_size_x || null,
+        pixel_size_y: product.pixel_size_y || null,
+        band_count: product.band_count || null,
+        acquired_at: product.acquired_at || null,
+        footprint: product.footprint ? JSON.parse(product.footprint) : null,
+        footprint_wkt: product.footprint_wkt || null,
+      },
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Quote a value for CSV
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join(', ') : value;
+  text = text instanceof Date ? text.toISOString() : String(text);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render manifest entries as CSV
+ */
+function toManifestCsv(items) {
+  const lines = [MANIFEST_COLUMNS.join(',')];
+  for (const item of items) {
+    lines.push(MANIFEST_COLUMNS.map(column => csvValue(item[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Stream a ZIP of product files and their manifest to a response
+ * Files are read from disk as the archive is written; nothing is buffered to disk.
+ * The archive is aborted if the client disconnects.
+ * @param {object} res - Express response
+ * @param {object[]} entries - Output of buildBundleEntries
+ * @param {object} options - { manifest: 'json'|'csv'|'both', fileName }
+ */
+function streamBundle(res, entries, options = {}) {
+  const manifestFormat = options.manifest || 'both';
+  const items = entries.map(entry => entry.manifest);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  archive.on('warning', error => logger.warn(`Product bundle warning: ${error.message}`));
+  archive.on('error', (error) => {
+    logger.error('Product bundle failed:', error);
+    res.destroy(error);
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      archive.abort();
+    }
+  });
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${options.fileName || 'products.zip'}"`,
+    'Cache-Control': 'no-store',
+  });
+  archive.pipe(res);
+
+  if (manifestFormat === 'json' || manifestFormat === 'both') {
+    archive.append(JSON.stringify({
+      generated_at: new Date().toISOString(),
+      count: items.length,
+      products: items,
+    }, null, 2), { name: 'manifest.json' });
+  }
+  if (manifestFormat === 'csv' || manifestFormat === 'both') {
+    archive.append(toManifestCsv(items), { name: 'manifest.csv' });
+  }
+
+  for (const entry of entries) {
+    if (entry.absolutePath) {
+      const ext = path.extname(entry.absolutePath).toLowerCase();
+      archive.file(entry.absolutePath, {
+        name: entry.manifest.file,
+        store: STORED_EXTENSIONS.includes(ext),
+      });
+    }
+  }
+
+  archive.finalize();
+  return archive;
+}
+
+module.exports = {
+  BundleRequestError,
+  BUNDLE_MAX_PRODUCTS,
+  MANIFEST_FORMATS,
+  fileETag,
+  parseBundleIds,
+  loadBundleProducts,
+  buildBundleEntries,
+  toManifestCsv,
+  streamBundle,
+};
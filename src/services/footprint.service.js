@@ -0,0 +1,168 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const { executeCommand, quoteArg } = require('../utils/exec');
+const { readRasterInfo } = require('./geotiff.service');
+const { extractShapefile } = require('./shapefile.service');
+
+const GEOMETRY_TYPES = [
+  'Point', 'MultiPoint', 'LineString', 'MultiLineString',
+  'Polygon', 'MultiPolygon', 'GeometryCollection',
+];
+const RASTER_EXTENSIONS = ['.tif', '.tiff'];
+const VECTOR_EXTENSIONS = ['.zip'];
+
+/**
+ * Error raised for an invalid footprint or AOI geometry
+ */
+class FootprintError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FootprintError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse a GeoJSON geometry, Feature or FeatureCollection into a geometry
+ * FeatureCollections become a GeometryCollection of their features
+ * @param {string|object} value - GeoJSON text or object
+ * @returns {object} GeoJSON geometry
+ */
+function parseGeoJsonGeometry(value) {
+  let geojson = value;
+  if (typeof value === 'string') {
+    try {
+      geojson = JSON.parse(value);
+    } catch (error) {
+      throw new FootprintError('Geometry must be valid GeoJSON');
+    }
+  }
+
+  if (!geojson || typeof geojson !== 'object') {
+    throw new FootprintError('Geometry must be a GeoJSON object');
+  }
+
+  if (geojson.type === 'Feature') {
+    return parseGeoJsonGeometry(geojson.geometry);
+  }
+
+  if (geojson.type === 'FeatureCollection') {
+    const geometries = (geojson.features || []).map(feature => parseGeoJsonGeometry(feature));
+    if (geometries.length === 0) {
+      throw new FootprintError('FeatureCollection has no features');
+    }
+    return geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries };
+  }
+
+  if (!GEOMETRY_TYPES.includes(geojson.type)) {
+    throw new FootprintError(`Geometry type must be one of: ${GEOMETRY_TYPES.join(', ')}`);
+  }
+
+  if (geojson.type === 'GeometryCollection'
+    ? !Array.isArray(geojson.geometries)
+    : !Array.isArray(geojson.coordinates)) {
+    throw new FootprintError(`${geojson.type} has no coordinates`);
+  }
+
+  return geojson;
+}
+
+/**
+ * SQL expression for a GeoJSON geometry in EPSG:4326
+ */
+function geometrySql(geometry) {
+  return db.raw('ST_SetSRID(ST_GeomFromGeoJSON(?), 4326)', [JSON.stringify(geometry)]);
+}
+
+/**
+ * Build a polygon from a WGS84 bounding box
+ */
+function bboxPolygon(minX, minY, maxX, maxY) {
+  return {
+    type: 'Polygon',
+    coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]],
+  };
+}
+
+/**
+ * Footprint of a GeoTIFF from gdalinfo's WGS84 extent
+ */
+async function extractRasterFootprint(filePath) {
+  const info = await readRasterInfo(filePath);
+  return info.wgs84Extent || null;
+}
+
+/**
+ * Footprint of a zipped shapefile: its extent reprojected to WGS84
+ * The corners of the layer extent are transformed with gdaltransform using the .prj
+ */
+async function extractVectorFootprint(zipPath) {
+  const workDir = path.join(path.dirname(zipPath), `footprint-${uuidv4()}`);
+
+  try {
+    const shpPath = await extractShapefile(zipPath, workDir);
+    const prjPath = shpPath.replace(/\.shp$/i, '.prj');
+
+    const { stdout } = await executeCommand(`ogrinfo -ro -so -al ${quoteArg(shpPath)}`, { ignoreStderr: true });
+    const number = '([-+\\d.eE]+)';
+    const match = stdout.match(new RegExp(`Extent: \\(${number}, ${number}\\) - \\(${number}, ${number}\\)`));
+    if (!match) {
+      return null;
+    }
+
+    const [minX, minY, maxX, maxY] = match.slice(1, 5).map(parseFloat);
+    const corners = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]]
+      .map(corner => corner.join(' '))
+      .join('\\n');
+
+    // OGC:CRS84 keeps longitude/latitude order regardless of GDAL's axis order handling
+    const { stdout: transformed } = await executeCommand(
+      `printf ${quoteArg(`${corners}\\n`)} | gdaltransform -s_srs ${quoteArg(prjPath)} -t_srs OGC:CRS84`,
+      { ignoreStderr: true }
+    );
+
+    const points = transformed.trim().split('\n')
+      .map(line => line.trim().split(/\s+/).slice(0, 2).map(parseFloat))
+      .filter(point => point.length === 2 && point.every(Number.isFinite));
+    if (points.length !== 4) {
+      return null;
+    }
+
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+    return bboxPolygon(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Extract a footprint from a product file
+ * @param {string} filePath - Product file path
+ * @returns {Promise<{ geometry: object, source: string }|null>} null for files without spatial reference
+ */
+async function extractFootprint(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (RASTER_EXTENSIONS.includes(ext)) {
+    const geometry = await extractRasterFootprint(filePath);
+    return geometry ? { geometry, source: 'raster' } : null;
+  }
+
+  if (VECTOR_EXTENSIONS.includes(ext)) {
+    const geometry = await extractVectorFootprint(filePath);
+    return geometry ? { geometry, source: 'vector' } : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  FootprintError,
+  parseGeoJsonGeometry,
+  geometrySql,
+  bboxPolygon,
+  extractFootprint,
+};
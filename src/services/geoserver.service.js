@@ -0,0 +1,296 @@
+const fs = require('fs');
+const axios = require('axios');
+const knexConfig = require('../../knexfile');
+const logger = require('../utils/logger');
+
+/**
+ * GeoServer REST API client
+ *
+ * All create operations are idempotent: existing workspaces, datastores,
+ * featuretypes and styles are reused (or updated) instead of failing.
+ * Delete operations treat a missing resource as already removed.
+ */
+
+/**
+ * Build GeoServer settings from environment variables
+ */
+function getDefaultOptions() {
+  const connection = knexConfig[process.env.NODE_ENV || 'development'].connection;
+
+  return {
+    url: process.env.GEOSERVER_URL || 'http://localhost:8080/geoserver',
+    user: process.env.GEOSERVER_USER || 'admin',
+    password: process.env.GEOSERVER_PASSWORD || 'geoserver',
+    workspace: process.env.GEOSERVER_WORKSPACE || 'spectra',
+    datastore: process.env.GEOSERVER_DATASTORE || 'postgis',
+    timeout: parseInt(process.env.GEOSERVER_TIMEOUT) || 60000,
+    // GeoServer may reach PostGIS under a different host name than the backend
+    database: {
+      host: process.env.GEOSERVER_DB_HOST || connection.host,
+      port: process.env.GEOSERVER_DB_PORT || connection.port || 5432,
+      database: connection.database,
+      user: connection.user,
+      password: connection.password,
+      schema: process.env.IMPORT_SCHEMA || 'public',
+    },
+  };
+}
+
+/**
+ * Create a GeoServer client
+ * @param {object} overrides - Settings overriding the environment defaults
+ *   ({ url, user, password, workspace, datastore, timeout, database })
+ */
+function createGeoServerClient(overrides = {}) {
+  const options = { ...getDefaultOptions(), ...overrides };
+  const baseUrl = options.url.replace(/\/+$/, '');
+  const workspace = options.workspace;
+
+  const http = axios.create({
+    baseURL: `${baseUrl}/rest`,
+    auth: { username: options.user, password: options.password },
+    timeout: options.timeout,
+    headers: { Accept: 'application/json' },
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+  });
+
+  // Surface GeoServer's response body, which explains most REST failures
+  http.interceptors.response.use(null, (error) => {
+    if (error.response) {
+      const { status, data } = error.response;
+      const detail = typeof data === 'string' ? data : JSON.stringify(data);
+      error.message = `GeoServer ${error.config.method.toUpperCase()} ${error.config.url} failed (${status}): ${detail}`;
+    }
+    return Promise.reject(error);
+  });
+
+  /**
+   * Check if a REST resource exists
+   */
+  async function exists(resourcePath) {
+    try {
+      await http.get(resourcePath);
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a REST resource, ignoring 404
+   * @returns {Promise<boolean>} true if something was deleted
+   */
+  async function remove(resourcePath, params = {}) {
+    try {
+      await http.delete(resourcePath, { params });
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create the workspace if it doesn't exist
+   */
+  async function ensureWorkspace() {
+    if (await exists(`/workspaces/${workspace}.json`)) {
+      return false;
+    }
+
+    await http.post('/workspaces', { workspace: { name: workspace } });
+    logger.info(`Created GeoServer workspace ${workspace}`);
+    return true;
+  }
+
+  /**
+   * Create the PostGIS datastore if it doesn't exist
+   */
+  async function ensurePostgisDatastore(storeName = options.datastore) {
+    await ensureWorkspace();
+
+    if (await exists(`/workspaces/${workspace}/datastores/${storeName}.json`)) {
+      return false;
+    }
+
+    const db = options.database;
+    await http.post(`/workspaces/${workspace}/datastores`, {
+      dataStore: {
+        name: storeName,
+        connectionParameters: {
+          entry: [
+            { '@key': 'dbtype', $: 'postgis' },
+            { '@key': 'host', $: String(db.host) },
+            { '@key': 'port', $: String(db.port) },
+            { '@key': 'database', $: db.database },
+            { '@key': 'user', $: db.user },
+            { '@key': 'passwd', $: db.password },
+            { '@key': 'schema', $: db.schema },
+            { '@key': 'Expose primary keys', $: 'true' },
+          ],
+        },
+      },
+    });
+    logger.info(`Created GeoServer datastore ${workspace}:${storeName}`);
+    return true;
+  }
+
+  /**
+   * Publish a PostGIS table as a featuretype (and WMS/WFS layer)
+   * @param {string} tableName - Table in the datastore schema
+   * @param {object} params - { title, srs, storeName }
+   * @returns {Promise<string>} Qualified layer name (workspace:name)
+   */
+  async function publishFeatureType(tableName, params = {}) {
+    const storeName = params.storeName || options.datastore;
+    await ensurePostgisDatastore(storeName);
+
+    const resourcePath = `/workspaces/${workspace}/datastores/${storeName}/featuretypes`;
+    if (!(await exists(`${resourcePath}/${tableName}.json`))) {
+      await http.post(resourcePath, {
+        featureType: {
+          name: tableName,
+          nativeName: tableName,
+          title: params.title || tableName,
+          srs: params.srs || `EPSG:${process.env.DEFAULT_EPSG || 4326}`,
+          enabled: true,
+        },
+      });
+      logger.info(`Published GeoServer featuretype ${workspace}:${tableName}`);
+    }
+
+    return `${workspace}:${tableName}`;
+  }
+
+  /**
+   * Upload a GeoTIFF and publish it as a coverage (and WMS layer)
+   * Creates the coverage store if needed; re-uploading replaces the file
+   * @param {string} storeName - Coverage store and coverage name
+   * @param {string} filePath - Local GeoTIFF path
+   * @param {object} params - { title }
+   * @returns {Promise<string>} Qualified layer name (workspace:name)
+   */
+  async function publishGeoTiff(storeName, filePath, params = {}) {
+    await ensureWorkspace();
+
+    const { size } = await fs.promises.stat(filePath);
+    await http.put(
+      `/workspaces/${workspace}/coveragestores/${storeName}/file.geotiff`,
+      fs.createReadStream(filePath),
+      {
+        params: { configure: 'first', coverageName: storeName },
+        headers: { 'Content-Type': 'image/tiff', 'Content-Length': size },
+      }
+    );
+
+    if (params.title) {
+      await http.put(`/workspaces/${workspace}/coveragestores/${storeName}/coverages/${storeName}`, {
+        coverage: { title: params.title, enabled: true },
+      });
+    }
+
+    logger.info(`Published GeoServer coverage ${workspace}:${storeName}`);
+    return `${workspace}:${storeName}`;
+  }
+
+  /**
+   * Create or replace an SLD style in the workspace
+   * @param {string} styleName - Style name
+   * @param {string} sld - SLD XML document
+   */
+  async function uploadStyle(styleName, sld) {
+    await ensureWorkspace();
+
+    const headers = { 'Content-Type': 'application/vnd.ogc.sld+xml' };
+    if (await exists(`/workspaces/${workspace}/styles/${styleName}.json`)) {
+      await http.put(`/workspaces/${workspace}/styles/${styleName}`, sld, { headers });
+    } else {
+      await http.post(`/workspaces/${workspace}/styles`, sld, { headers, params: { name: styleName } });
+    }
+
+    logger.info(`Uploaded GeoServer style ${workspace}:${styleName}`);
+    return `${workspace}:${styleName}`;
+  }
+
+  /**
+   * Set a layer's default style
+   */
+  async function setDefaultStyle(layerName, styleName) {
+    await http.put(`/layers/${workspace}:${layerName}`, {
+      layer: { defaultStyle: { name: styleName, workspace } },
+    });
+  }
+
+  /**
+   * Delete a style from the workspace
+   */
+  async function deleteStyle(styleName) {
+    return remove(`/workspaces/${workspace}/styles/${styleName}`, { purge: true });
+  }
+
+  /**
+   * Remove a featuretype and its layer
+   */
+  async function unpublishFeatureType(tableName, storeName = options.datastore) {
+    await remove(`/workspaces/${workspace}/layers/${tableName}`);
+    return remove(`/workspaces/${workspace}/datastores/${storeName}/featuretypes/${tableName}`, { recurse: true });
+  }
+
+  /**
+   * Remove a coverage store with its coverage, layer and uploaded file
+   */
+  async function unpublishCoverage(storeName) {
+    return remove(`/workspaces/${workspace}/coveragestores/${storeName}`, { recurse: true, purge: 'all' });
+  }
+
+  /**
+   * Unpublish a resource described by publish metadata
+   * @param {object} resource - { type: 'featuretype'|'coverage', name, store }
+   */
+  async function unpublish(resource) {
+    if (resource.type === 'coverage') {
+      return unpublishCoverage(resource.store || resource.name);
+    }
+    return unpublishFeatureType(resource.name, resource.store);
+  }
+
+  return {
+    options,
+    workspace,
+    wmsUrl: `${baseUrl}/${workspace}/wms`,
+    wfsUrl: `${baseUrl}/${workspace}/wfs`,
+    ensureWorkspace,
+    ensurePostgisDatastore,
+    publishFeatureType,
+    publishGeoTiff,
+    uploadStyle,
+    setDefaultStyle,
+    deleteStyle,
+    unpublishFeatureType,
+    unpublishCoverage,
+    unpublish,
+  };
+}
+
+let defaultClient = null;
+
+/**
+ * Get the shared client configured from environment variables
+ */
+function getGeoServerClient() {
+  if (!defaultClient) {
+    defaultClient = createGeoServerClient();
+  }
+  return defaultClient;
+}
+
+module.exports = {
+  createGeoServerClient,
+  getGeoServerClient,
+};
@@ -0,0 +1,149 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const { executeCommand, quoteArg } = require('../utils/exec');
+const { buildTableName } = require('./shapefile.service');
+const { getGeoServerClient } = require('./geoserver.service');
+const logger = require('../utils/logger');
+
+// Persistent storage for uploaded GeoTIFFs
+const GEOTIFF_DIR = path.join('uploads', 'geotiffs');
+
+/**
+ * Read raster information with gdalinfo
+ * @param {string} filePath - Raster path
+ * @returns {Promise<object>} Parsed gdalinfo -json output
+ */
+async function readRasterInfo(filePath) {
+  const { stdout } = await executeCommand(`gdalinfo -json ${quoteArg(filePath)}`, { ignoreStderr: true });
+  return JSON.parse(stdout);
+}
+
+/**
+ * Validate that a file is a georeferenced GeoTIFF
+ * @returns {Promise<object>} Summary metadata (size, bands, CRS, extent)
+ */
+async function validateGeoTiff(filePath) {
+  let info;
+  try {
+    info = await readRasterInfo(filePath);
+  } catch (error) {
+    throw new Error('File is not a readable raster');
+  }
+
+  if (info.driverShortName !== 'GTiff') {
+    throw new Error(`Expected a GeoTIFF, got ${info.driverShortName || 'unknown format'}`);
+  }
+
+  if (!info.coordinateSystem || !info.coordinateSystem.wkt) {
+    throw new Error('GeoTIFF has no coordinate reference system');
+  }
+
+  return {
+    width: info.size ? info.size[0] : null,
+    height: info.size ? info.size[1] : null,
+    band_count: Array.isArray(info.bands) ? info.bands.length : 0,
+    extent: info.wgs84Extent || null,
+  };
+}
+
+/**
+ * Update an uploads row, keeping updated_at current
+ */
+async function updateUpload(id, data) {
+  await db('uploads')
+    .where('id', id)
+    .update({ ...data, updated_at: db.fn.now() });
+}
+
+/**
+ * Run the full GeoTIFF pipeline for an uploads row:
+ * validate with gdalinfo -> store under uploads/geotiffs -> publish coverage -> optionally register a layer
+ * @param {object} upload - uploads row
+ * @param {string} tempPath - Path of the uploaded file
+ * @param {object} options - { layerGroupId, layerName, onProgress(percent, message), signal }
+ *   signal (AbortSignal) stops the pipeline between steps
+ * @throws Rethrows the pipeline error once the failure is recorded
+ */
+async function processGeoTiffUpload(upload, tempPath, options = {}) {
+  const storagePath = path.resolve(process.cwd(), GEOTIFF_DIR, `${upload.id}.tif`);
+  const progress = options.onProgress || (async () => {});
+  const checkAborted = () => options.signal && options.signal.throwIfAborted();
+  let published = null;
+
+  try {
+    await updateUpload(upload.id, { status: 'processing' });
+    await progress(10, 'Validating GeoTIFF');
+
+    const metadata = await validateGeoTiff(tempPath);
+    checkAborted();
+
+    await fs.promises.mkdir(path.dirname(storagePath), { recursive: true });
+    await fs.promises.rename(tempPath, storagePath);
+    metadata.file = path.posix.join('geotiffs', `${upload.id}.tif`);
+
+    await progress(40, 'Publishing to GeoServer');
+    const geoserver = getGeoServerClient();
+    const storeName = buildTableName(upload.original_name, 'tif');
+    const layerName = await geoserver.publishGeoTiff(storeName, storagePath, {
+      title: options.layerName || upload.original_name,
+    });
+    published = {
+      type: 'coverage',
+      name: storeName,
+      store: storeName,
+      layer: layerName,
+    };
+    metadata.geoserver = published;
+    checkAborted();
+
+    let layerId = null;
+    if (options.layerGroupId) {
+      layerId = uuidv4();
+      await db('layers').insert({
+        id: layerId,
+        group_id: options.layerGroupId,
+        name: options.layerName || path.basename(upload.original_name, path.extname(upload.original_name)),
+        type: 'wms',
+        url: geoserver.wmsUrl,
+        layer_name: layerName,
+        style: null,
+        z_index: 0,
+        visible: true,
+      });
+    }
+
+    await updateUpload(upload.id, {
+      status: 'completed',
+      layer_id: layerId,
+      metadata: JSON.stringify(metadata),
+      error_message: null,
+      completed_at: db.fn.now(),
+    });
+
+    logger.info(`Upload ${upload.id} completed (coverage ${layerName})`);
+  } catch (error) {
+    logger.error(`Upload ${upload.id} failed:`, error);
+    if (published) {
+      await getGeoServerClient().unpublish(published)
+        .catch(unpublishError => logger.error(`Failed to unpublish ${published.layer}:`, unpublishError));
+    }
+    await fs.promises.rm(storagePath, { force: true });
+    await updateUpload(upload.id, {
+      status: 'failed',
+      error_message: error.stderr || error.message,
+      completed_at: db.fn.now(),
+    }).catch(updateError => logger.error(`Failed to record upload ${upload.id} failure:`, updateError));
+    throw error;
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
+
+module.exports = {
+  GEOTIFF_DIR,
+  readRasterInfo,
+  validateGeoTiff,
+  processGeoTiffUpload,
+};
@@ -0,0 +1,364 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const { runWithAbortSignal } = require('../utils/exec');
+const logger = require('../utils/logger');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 2000;
+const JOB_TIMEOUT = parseInt(process.env.JOB_TIMEOUT) || 30 * 60 * 1000;
+const JOB_RETRY_DELAY = parseInt(process.env.JOB_RETRY_DELAY) || 30000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// Running jobs refresh locked_at this often; one not refreshed for STALE_GRACE lost its worker
+const HEARTBEAT_INTERVAL = 15 * 1000;
+const STALE_GRACE = 60 * 1000;
+// Command output kept in the job logs
+const MAX_LOG_OUTPUT = 10000;
+
+// Recorded in locked_by to show which process runs a job
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Handlers by job type: { handler, timeout, maxAttempts, onAbandoned }
+const handlers = new Map();
+
+let workerTimer = null;
+let recoveryTimer = null;
+let activeJobs = 0;
+let polling = false;
+
+/**
+ * Error raised when a job runs longer than its timeout
+ */
+class JobTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Job timed out after ${Math.round(timeout / 1000)}s`);
+    this.name = 'JobTimeoutError';
+  }
+}
+
+/**
+ * Register the handler of a job type
+ * The handler receives the job payload and a context:
+ * { job, attempt, isLastAttempt, signal, progress(percent, message), log(message) }.
+ * signal is aborted when the job times out: commands run with executeCommand inside the handler
+ * are killed, and handlers must call signal.throwIfAborted() between steps. The job stays
+ * running until the handler settles, so it is never retried while an earlier attempt still runs.
+ * onAbandoned(payload, message) is called when stale recovery fails a job whose worker died.
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, context) => result
+ * @param {object} options - { timeout (ms), maxAttempts, onAbandoned }
+ */
+function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, {
+    handler,
+    timeout: options.timeout || JOB_TIMEOUT,
+    maxAttempts: options.maxAttempts || 3,
+    onAbandoned: options.onAbandoned || null,
+  });
+}
+
+/**
+ * Queue a job
+ * @param {string} type - Job type
+ * @param {object} payload - Job input (stored as JSON)
+ * @param {object} options - { userId, maxAttempts, timeout, runAt }
+ * @returns {Promise<object>} jobs row
+ */
+async function enqueueJob(type, payload = {}, options = {}) {
+  const registered = handlers.get(type);
+
+  const [job] = await db('jobs')
+    .insert({
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      payload: JSON.stringify(payload),
+      max_attempts: options.maxAttempts || (registered ? registered.maxAttempts : 3),
+      timeout_ms: options.timeout || (registered ? registered.timeout : null),
+      run_at: options.runAt || db.fn.now(),
+      user_id: options.userId || null,
+    })
+    .returning('*');
+
+  logger.info(`Queued job ${job.id} (${type})`);
+
+  // Start right away instead of waiting for the next poll
+  if (workerTimer) {
+    setImmediate(pollJobs);
+  }
+
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @returns {Promise<object|null>}
+ */
+async function getJob(id) {
+  const job = await db('jobs').where('id', id).first();
+  return job || null;
+}
+
+/**
+ * Update a jobs row, keeping updated_at current
+ */
+async function updateJob(id, data) {
+  await db('jobs')
+    .where('id', id)
+    .update({ ...data, updated_at: db.fn.now() });
+}
+
+/**
+ * Claim the next due job this worker has a handler for
+ * FOR UPDATE SKIP LOCKED lets several API instances poll the same table without taking the same job
+ * @returns {Promise<object|null>} Claimed jobs row
+ */
+async function claimJob() {
+  const types = [...handlers.keys()];
+  if (types.length === 0) {
+    return null;
+  }
+
+  return db.transaction(async (trx) => {
+    const job = await trx('jobs')
+      .where('status', 'queued')
+      .where('run_at', '<=', trx.fn.now())
+      .whereIn('type', types)
+      .orderBy('run_at', 'asc')
+      .orderBy('created_at', 'asc')
+      .forUpdate()
+      .skipLocked()
+      .first();
+
+    if (!job) {
+      return null;
+    }
+
+    const [claimed] = await trx('jobs')
+      .where('id', job.id)
+      .update({
+        status: 'running',
+        attempts: job.attempts + 1,
+        locked_by: WORKER_ID,
+        locked_at: trx.fn.now(),
+        started_at: job.started_at || trx.fn.now(),
+        updated_at: trx.fn.now(),
+      })
+      .returning('*');
+    return claimed;
+  });
+}
+
+/**
+ * Backoff before the next attempt: JOB_RETRY_DELAY doubled for each failed attempt
+ */
+function retryDelay(attempt) {
+  return Math.min(JOB_RETRY_DELAY * Math.pow(2, attempt - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Build a log entry for a failed attempt
+ */
+function failureLogEntry(job, error) {
+  const trim = value => (value ? String(value).slice(-MAX_LOG_OUTPUT) : null);
+  return {
+    attempt: job.attempts,
+    at: new Date().toISOString(),
+    error: error.message,
+    stderr: trim(error.stderr),
+    stdout: trim(error.stdout),
+  };
+}
+
+/**
+ * Run a claimed job and record its outcome
+ * Failed attempts are re-queued with backoff until max_attempts is reached
+ */
+async function runJob(job) {
+  const registered = handlers.get(job.type);
+  const timeout = job.timeout_ms || registered.timeout;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new JobTimeoutError(timeout)), timeout);
+  const heartbeat = setInterval(() => {
+    db('jobs')
+      .where({ id: job.id, status: 'running', locked_by: WORKER_ID })
+      .update({ locked_at: db.fn.now() })
+      .catch(error => logger.error(`Failed to refresh lock of job ${job.id}:`, error));
+  }, HEARTBEAT_INTERVAL);
+
+  const context = {
+    job,
+    attempt: job.attempts,
+    isLastAttempt: job.attempts >= job.max_attempts,
+    signal: controller.signal,
+    progress: async (percent, message = null) => {
+      await updateJob(job.id, {
+        progress: Math.max(0, Math.min(100, Math.round(percent))),
+        progress_message: message,
+      }).catch(error => logger.error(`Failed to record progress of job ${job.id}:`, error));
+    },
+    log: async (message) => {
+      await db('jobs')
+        .where('id', job.id)
+        .update({
+          logs: db.raw('logs || ?::jsonb', [JSON.stringify([{ at: new Date().toISOString(), message }])]),
+          updated_at: db.fn.now(),
+        })
+        .catch(error => logger.error(`Failed to write log of job ${job.id}:`, error));
+    },
+  };
+
+  // Wait for the handler to settle even after a timeout, so the job can't be retried (or another
+  // worker start it) while this attempt is still running
+  const settled = runWithAbortSignal(controller.signal, () => registered.handler(job.payload, context))
+    .finally(() => {
+      clearTimeout(timer);
+      clearInterval(heartbeat);
+    });
+
+  try {
+    const result = await settled;
+
+    await updateJob(job.id, {
+      status: 'completed',
+      result: result === undefined ? null : JSON.stringify(result),
+      progress: 100,
+      error_message: null,
+      locked_by: null,
+      locked_at: null,
+      completed_at: db.fn.now(),
+    });
+    logger.info(`Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    const retry = job.attempts < job.max_attempts;
+    const logEntry = JSON.stringify([failureLogEntry(job, error)]);
+
+    await updateJob(job.id, {
+      status: retry ? 'queued' : 'failed',
+      error_message: error.message,
+      logs: db.raw('logs || ?::jsonb', [logEntry]),
+      locked_by: null,
+      locked_at: null,
+      run_at: retry ? new Date(Date.now() + retryDelay(job.attempts)) : db.raw('run_at'),
+      completed_at: retry ? null : db.fn.now(),
+    }).catch(updateError => logger.error(`Failed to record failure of job ${job.id}:`, updateError));
+
+    if (retry) {
+      logger.warn(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying: ${error.message}`);
+    } else {
+      logger.error(`Job ${job.id} (${job.type}) failed after ${job.attempts} attempt(s):`, error);
+    }
+  } finally {
+    controller.abort();
+  }
+}
+
+/**
+ * Claim and start jobs until JOB_CONCURRENCY jobs are running
+ */
+async function pollJobs() {
+  if (polling) {
+    return;
+  }
+  polling = true;
+
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) {
+        break;
+      }
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+        setImmediate(pollJobs);
+      });
+    }
+  } catch (error) {
+    logger.error('Job queue poll failed:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Re-queue jobs whose worker died
+ * A live worker refreshes locked_at until the handler settles, so a running job whose lock is
+ * older than STALE_GRACE was orphaned by a restart or crash; it is retried like any other failed
+ * attempt, and its handler's onAbandoned hook runs once it has no attempts left
+ */
+async function recoverStaleJobs() {
+  const message = 'Worker stopped while the job was running';
+  const recovered = await db('jobs')
+    .where('status', 'running')
+    .whereRaw('locked_at < now() - ? * interval \'1 millisecond\'', [STALE_GRACE])
+    .update({
+      status: db.raw("CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END"),
+      error_message: message,
+      logs: db.raw('logs || ?::jsonb', [JSON.stringify([{ at: new Date().toISOString(), error: message }])]),
+      locked_by: null,
+      locked_at: null,
+      completed_at: db.raw('CASE WHEN attempts < max_attempts THEN NULL ELSE now() END'),
+      updated_at: db.fn.now(),
+    })
+    .returning(['id', 'type', 'status', 'payload']);
+
+  if (recovered.length > 0) {
+    logger.warn(`Recovered ${recovered.length} stale job(s)`);
+  }
+
+  for (const job of recovered.filter(row => row.status === 'failed')) {
+    const registered = handlers.get(job.type);
+    if (registered && registered.onAbandoned) {
+      try {
+        await registered.onAbandoned(job.payload, message);
+      } catch (error) {
+        logger.error(`Failed to clean up abandoned job ${job.id}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Start the job worker
+ * JOB_CONCURRENCY is the number of jobs run at the same time by this process; 0 disables the worker
+ */
+function startJobWorker() {
+  if (workerTimer || process.env.JOB_CONCURRENCY === '0') {
+    return;
+  }
+
+  const recover = () => recoverStaleJobs().catch(error => logger.error('Failed to recover stale jobs:', error));
+
+  workerTimer = setInterval(pollJobs, JOB_POLL_INTERVAL);
+  workerTimer.unref();
+  recoveryTimer = setInterval(recover, STALE_GRACE);
+  recoveryTimer.unref();
+  recover().finally(() => setImmediate(pollJobs));
+  logger.info(`Job worker ${WORKER_ID} started (${JOB_CONCURRENCY} concurrent, types: ${[...handlers.keys()].join(', ')})`);
+}
+
+/**
+ * Stop polling for jobs; running jobs finish in the background
+ */
+function stopJobWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    clearInterval(recoveryTimer);
+    workerTimer = null;
+    recoveryTimer = null;
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobTimeoutError,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  startJobWorker,
+  stopJobWorker,
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { db } = require('../db');
+const permissionService = require('./permission.service');
+const { getLayerHealth } = require('./monitor.service');
+const { getLayerStyles } = require('./style.service');
+
+// Layer types accepted by the layers table
+const LAYER_TYPES = ['wms', 'wfs', 'xyz', 'mvt', 'geojson', 'arcgis', 'mapserver', 'arcgismapserver'];
+
+/**
+ * Error raised for an invalid layer order
+ * Carries a status code so controllers can report it
+ */
+class MapOrderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MapOrderError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Load a map row with its center parsed to GeoJSON
+ * @returns {Promise<object|null>}
+ */
+async function getMap(id) {
+  const map = await db('maps')
+    .select(
+      'id',
+      'name',
+      'description',
+      db.raw('ST_AsGeoJSON(center) as center'),
+      'zoom',
+      'is_public',
+      'owner_id'
+    )
+    .where('id', id)
+    .first();
+
+  if (!map) {
+    return null;
+  }
+
+  return {
+    ...map,
+    center: map.center ? JSON.parse(map.center) : null,
+  };
+}
+
+/**
+ * Check if a caller may open a map
+ * Private maps are only visible to signed-in users
+ */
+function canViewMap(user, map) {
+  return map.is_public !== false || Boolean(user && user.id);
+}
+
+/**
+ * Check if a caller manages a map (its owner or an admin)
+ */
+function canManageMap(user, map) {
+  if (!user || !user.id) {
+    return false;
+  }
+  return permissionService.isAdmin(user) || (map.owner_id && map.owner_id === user.id);
+}
+
+/**
+ * Hash a share token for storage and lookup
+ */
+function hashShareToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Find an unrevoked, unexpired share link by its token
+ * @returns {Promise<object|null>} map_share_links row
+ */
+async function findActiveShareLink(token) {
+  const link = await db('map_share_links')
+    .where('token_hash', hashShareToken(token))
+    .whereNull('revoked_at')
+    .where(query => query.whereNull('expires_at').orWhere('expires_at', '>', db.fn.now()))
+    .first();
+  return link || null;
+}
+
+/**
+ * Build the map configuration with layer groups and layers visible to the caller
+ * @param {string} id - Map ID
+ * @param {object|undefined} user - req.user
+ * @returns {Promise<object|null>} null if the map doesn't exist
+ */
+async function getMapConfig(id, user) {
+  const map = await getMap(id);
+
+  if (!map) {
+    return null;
+  }
+
+  // Get layer groups with layers
+  const layerGroups = await db('layer_groups')
+    .select(
+      'id',
+      'map_id',
+      'name',
+      'z_index',
+      'is_basemap'
+    )
+    .where('map_id', id)
+    .orderBy('z_index', 'asc')
+    .orderBy('name', 'asc');
+
+  // Get layers for each group
+  for (const group of layerGroups) {
+    const layers = await db('layers')
+      .select(
+        'id',
+        'group_id',
+        'name',
+        'type',
+        'url',
+        'layer_name',
+        'style',
+        'z_index',
+        'visible'
+      )
+      .where('group_id', group.id)
+      .orderBy('z_index', 'asc')
+      .orderBy('name', 'asc');
+
+    group.layers = layers;
+  }
+
+  // Attach the latest availability check; null until the monitor has probed the layer
+  const layerIds = layerGroups.flatMap(group => group.layers.map(layer => layer.id));
+  const health = await getLayerHealth(layerIds);
+  // Styles from the library the layer can be switched to, default first
+  const styles = await getLayerStyles(layerIds);
+  for (const group of layerGroups) {
+    for (const layer of group.layers) {
+      layer.health = health.get(layer.id) || null;
+      layer.styles = styles.get(layer.id) || [];
+    }
+  }
+
+  return {
+    ...map,
+    layer_groups: await permissionService.filterLayerGroups(user, layerGroups),
+  };
+}
+
+/**
+ * Normalize an ordered tree of layer groups and layers
+ * Layers can be given as IDs or as objects with an id
+ * @param {object[]} tree - [{ id, layers: [id | { id }] }], first entry lowest
+ * @returns {{ id: string, layers: string[] }[]}
+ */
+function parseOrderTree(tree) {
+  if (!Array.isArray(tree)) {
+    throw new MapOrderError('layer_groups must be an array');
+  }
+
+  return tree.map((group, groupIndex) => {
+    if (!group || typeof group.id !== 'string') {
+      throw new MapOrderError(`layer_groups[${groupIndex}] requires an id`);
+    }
+    if (group.layers !== undefined && !Array.isArray(group.layers)) {
+      throw new MapOrderError(`layer_groups[${groupIndex}].layers must be an array`);
+    }
+
+    const layers = (group.layers || []).map((layer, layerIndex) => {
+      const layerId = layer && typeof layer === 'object' ? layer.id : layer;
+      if (typeof layerId !== 'string') {
+        throw new MapOrderError(`layer_groups[${groupIndex}].layers[${layerIndex}] requires an id`);
+      }
+      return layerId;
+    });
+
+    return { id: group.id, layers };
+  });
+}
+
+/**
+ * Check that an ID list names every ID of a set exactly once
+ */
+function checkComplete(label, given, existing) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const id of given) {
+    if (seen.has(id)) {
+      duplicates.add(id);
+    }
+    seen.add(id);
+  }
+
+  const unknown = given.filter(id => !existing.has(id));
+  if (unknown.length > 0) {
+    throw new MapOrderError(`${label} not in this map: ${[...new Set(unknown)].join(', ')}`);
+  }
+  if (duplicates.size > 0) {
+    throw new MapOrderError(`${label} listed more than once: ${[...duplicates].join(', ')}`);
+  }
+
+  const missing = [...existing].filter(id => !seen.has(id));
+  if (missing.length > 0) {
+    throw new MapOrderError(`${label} missing from the order: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Apply a full ordering of a map's layer groups and layers in one transaction
+ * Every group and layer of the map must appear exactly once; layers listed under another
+ * group are moved there. z_index is renumbered from 0 in list order, so no duplicates remain.
+ * @param {string} mapId - Map ID
+ * @param {object[]} tree - See parseOrderTree
+ * @param {object} outerTrx - Optional transaction to run in
+ * @returns {Promise<{ movedLayers: object[] }>} Layers whose group changed ({ id, from, to })
+ * @throws {MapOrderError} 404 if the map doesn't exist, 400 for an invalid tree
+ */
+async function reorderMap(mapId, tree, outerTrx = db) {
+  const order = parseOrderTree(tree);
+
+  return outerTrx.transaction(async (trx) => {
+    // Serialize concurrent reorders of the same map
+    const map = await trx('maps').select('id').where('id', mapId).forUpdate().first();
+    if (!map) {
+      throw new MapOrderError('Map not found', 404);
+    }
+
+    const groups = await trx('layer_groups').select('id').where('map_id', mapId);
+    const layers = await trx('layers')
+      .select('id', 'group_id')
+      .whereIn('group_id', groups.map(group => group.id));
+
+    checkComplete('Layer groups', order.map(group => group.id), new Set(groups.map(group => group.id)));
+    checkComplete('Layers', order.flatMap(group => group.layers), new Set(layers.map(layer => layer.id)));
+
+    const currentGroup = new Map(layers.map(layer => [layer.id, layer.group_id]));
+    const movedLayers = [];
+
+    for (const [groupIndex, group] of order.entries()) {
+      await trx('layer_groups').where('id', group.id).update({ z_index: groupIndex });
+
+      for (const [layerIndex, layerId] of group.layers.entries()) {
+        await trx('layers').where('id', layerId).update({ group_id: group.id, z_index: layerIndex });
+        if (currentGroup.get(layerId) !== group.id) {
+          movedLayers.push({ id: layerId, from: currentGroup.get(layerId), to: group.id });
+        }
+      }
+    }
+
+    return { movedLayers };
+  });
+}
+
+module.exports = {
+  LAYER_TYPES,
+  MapOrderError,
+  getMap,
+  canViewMap,
+  canManageMap,
+  hashShareToken,
+  findActiveShareLink,
+  getMapConfig,
+  reorderMap,
+};
@@ -0,0 +1,192 @@
+const path = require('path');
+const { db } = require('../db');
+const { readRasterInfo } = require('./geotiff.service');
+
+const RASTER_EXTENSIONS = ['.tif', '.tiff'];
+
+// Metadata items kept as acquisition tags (default and IMAGERY domains)
+const ACQUISITION_TAG_PATTERN = /DATE|TIME|ACQUI|SENSOR|SATELLITE|PLATFORM|INSTRUMENT|MISSION|CLOUD|SUN_|SOLAR/i;
+// Tags holding the acquisition time, most specific first
+const ACQUISITION_TIME_TAGS = [
+  'ACQUISITIONDATETIME',
+  'ACQUISITION_DATETIME',
+  'ACQUISITION_DATE',
+  'DATE_ACQUIRED',
+  'SENSING_TIME',
+  'TIFFTAG_DATETIME',
+];
+
+/**
+ * Check if a product file is a raster gdalinfo metadata can be read from
+ */
+function isRasterFile(filePath) {
+  return RASTER_EXTENSIONS.includes(path.extname(filePath || '').toLowerCase());
+}
+
+/**
+ * Authority code of the raster CRS (e.g. EPSG:32748)
+ * Uses the STAC/PROJJSON blocks of newer GDAL versions, then the outermost ID in the WKT
+ */
+function parseCrsCode(info) {
+  if (info.stac && info.stac['proj:epsg']) {
+    return `EPSG:${info.stac['proj:epsg']}`;
+  }
+
+  const system = info.coordinateSystem || {};
+  if (system.projjson && system.projjson.id) {
+    return `${system.projjson.id.authority}:${system.projjson.id.code}`;
+  }
+
+  // The CRS's own ID/AUTHORITY closes the WKT; nested ones belong to datums and units
+  const match = (system.wkt || '').match(/(?:ID|AUTHORITY)\["([^"]+)",\s*"?(\w+)"?\]\s*\]\s*$/);
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Parse a date from a metadata tag
+ * TIFF dates use colons in the date part ("2024:01:31 10:20:00")
+ */
+function parseTagDate(value) {
+  const text = String(value).trim().replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Collect acquisition tags and the acquisition time from the raster metadata
+ */
+function parseAcquisition(info) {
+  const domains = info.metadata || {};
+  const tags = {};
+
+  for (const domain of ['', 'IMAGERY']) {
+    for (const [key, value] of Object.entries(domains[domain] || {})) {
+      if (ACQUISITION_TAG_PATTERN.test(key)) {
+        tags[key] = value;
+      }
+    }
+  }
+
+  let acquiredAt = null;
+  for (const key of ACQUISITION_TIME_TAGS) {
+    if (tags[key] && (acquiredAt = parseTagDate(tags[key]))) {
+      break;
+    }
+  }
+
+  return { tags, acquiredAt };
+}
+
+/**
+ * Bounding box in the raster CRS from gdalinfo's corner coordinates
+ */
+function parseExtent(info) {
+  const corners = info.cornerCoordinates;
+  if (!corners || !corners.upperLeft || !corners.lowerRight) {
+    return null;
+  }
+
+  const points = [corners.upperLeft, corners.lowerLeft, corners.lowerRight, corners.upperRight].filter(Boolean);
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  return {
+    minx: Math.min(...xs),
+    miny: Math.min(...ys),
+    maxx: Math.max(...xs),
+    maxy: Math.max(...ys),
+  };
+}
+
+/**
+ * Build a product_metadata row from gdalinfo -json output
+ * @param {object} info - Parsed gdalinfo -json output
+ * @returns {object} product_metadata columns (without product_id)
+ */
+function parseRasterMetadata(info) {
+  const geoTransform = info.geoTransform || [];
+  const bands = (info.bands || []).map(band => ({
+    band: band.band,
+    type: band.type || null,
+    nodata: band.noDataValue !== undefined ? String(band.noDataValue) : null,
+    color_interpretation: band.colorInterpretation || null,
+    description: band.description || null,
+  }));
+
+  // A single nodata value is only meaningful if every band shares it
+  const nodataValues = [...new Set(bands.map(band => band.nodata))];
+  const { tags, acquiredAt } = parseAcquisition(info);
+
+  return {
+    driver: info.driverShortName || null,
+    crs: parseCrsCode(info),
+    crs_wkt: info.coordinateSystem ? info.coordinateSystem.wkt || null : null,
+    width: info.size ? info.size[0] : null,
+    height: info.size ? info.size[1] : null,
+    pixel_size_x: geoTransform.length === 6 ? Math.abs(geoTransform[1]) : null,
+    pixel_size_y: geoTransform.length === 6 ? Math.abs(geoTransform[5]) : null,
+    band_count: bands.length,
+    bands,
+    nodata: nodataValues.length === 1 ? nodataValues[0] : null,
+    extent: parseExtent(info),
+    acquisition_tags: tags,
+    acquired_at: acquiredAt,
+  };
+}
+
+/**
+ * Read the raster metadata of a product file
+ * @param {string} filePath - Absolute product file path
+ * @returns {Promise<object|null>} null for files that aren't rasters
+ */
+async function extractRasterMetadata(filePath) {
+  if (!isRasterFile(filePath)) {
+    return null;
+  }
+  return parseRasterMetadata(await readRasterInfo(filePath));
+}
+
+/**
+ * Extract and store the raster metadata of a product, replacing any previous extraction
+ * @param {string} productId - Product ID
+ * @param {string} filePath - Absolute product file path
+ * @returns {Promise<object|null>} Stored row, or null if the file isn't a raster
+ */
+async function refreshProductMetadata(productId, filePath) {
+  const metadata = await extractRasterMetadata(filePath);
+  if (!metadata) {
+    await db('product_metadata').where('product_id', productId).del();
+    return null;
+  }
+
+  const row = {
+    ...metadata,
+    bands: JSON.stringify(metadata.bands),
+    extent: metadata.extent ? JSON.stringify(metadata.extent) : null,
+    acquisition_tags: JSON.stringify(metadata.acquisition_tags),
+    extracted_at: db.fn.now(),
+  };
+
+  const [stored] = await db('product_metadata')
+    .insert({ product_id: productId, ...row })
+    .onConflict('product_id')
+    .merge()
+    .returning('*');
+  return stored;
+}
+
+/**
+ * Get the stored metadata of a product
+ * @returns {Promise<object|null>}
+ */
+async function getProductMetadata(productId) {
+  const metadata = await db('product_metadata').where('product_id', productId).first();
+  return metadata || null;
+}
+
+module.exports = {
+  isRasterFile,
+  parseRasterMetadata,
+  extractRasterMetadata,
+  refreshProductMetadata,
+  getProductMetadata,
+};
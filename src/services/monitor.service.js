@@ -0,0 +1,285 @@
+const axios = require('axios');
+const { db } = require('../db');
+const logger = require('../utils/logger');
+const { fetchCapabilities } = require('./capabilities.service');
+const { isArcGisServiceUrl, fetchArcGisService, parseLayerIds } = require('./arcgis.service');
+
+const PROBE_TIMEOUT = parseInt(process.env.LAYER_MONITOR_TIMEOUT) || 15000;
+const PROBE_CONCURRENCY = parseInt(process.env.LAYER_MONITOR_CONCURRENCY) || 4;
+const MAX_TILE_SIZE = 10 * 1024 * 1024;
+
+const HEALTH_STATUSES = ['up', 'down', 'skipped'];
+
+/**
+ * Build the URL of a sample tile (0/0/0) from an XYZ or MVT template
+ */
+function buildSampleTileUrl(template) {
+  return template
+    .replace(/\{s\}/g, 'a')
+    .replace(/\{z\}/g, '0')
+    .replace(/\{x\}/g, '0')
+    .replace(/\{-?y\}/g, '0')
+    .replace(/\{r\}/g, '');
+}
+
+/**
+ * Memoize a service lookup for the duration of one monitor run
+ * Many layers usually share the same capabilities document or ArcGIS service,
+ * so the request time is kept with the result and reported for each of them
+ * @returns {Promise<{ value: any, latency: number }>}
+ */
+function cached(cache, key, load) {
+  if (!cache.has(key)) {
+    const started = Date.now();
+    cache.set(key, load().then(value => ({ value, latency: Date.now() - started })));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Check that an OGC service lists the layer
+ */
+async function probeOgcLayer(layer, service, cache) {
+  const { value: capabilities, latency } = await cached(
+    cache,
+    `${service}:${layer.url}`,
+    () => fetchCapabilities(layer.url, service)
+  );
+  if (layer.layer_name && !capabilities.layers.some(entry => entry.name === layer.layer_name)) {
+    throw new Error(`Layer "${layer.layer_name}" is not listed in the ${service.toUpperCase()} capabilities`);
+  }
+  return { latency };
+}
+
+/**
+ * Check that an ArcGIS service has the layer's sublayers
+ */
+async function probeArcGisLayer(layer, cache) {
+  const { value: service, latency } = await cached(cache, `arcgis:${layer.url}`, () => fetchArcGisService(layer.url));
+  if (layer.layer_id) {
+    const ids = parseLayerIds(layer.layer_id) || [];
+    const available = new Set(service.layers.map(entry => entry.id));
+    const missing = ids.filter(id => !available.has(id));
+    if (ids.length === 0 || missing.length > 0) {
+      throw new Error(`Sublayer ${layer.layer_id} not found in ${service.service_type}`);
+    }
+  }
+  return { latency };
+}
+
+/**
+ * Request a URL and discard the body
+ */
+async function probeUrl(url) {
+  const started = Date.now();
+  const response = await axios.get(url, {
+    timeout: PROBE_TIMEOUT,
+    responseType: 'stream',
+  });
+  response.data.destroy();
+  return { latency: Date.now() - started, httpStatus: response.status };
+}
+
+/**
+ * Request a sample tile
+ */
+async function probeTile(layer) {
+  const started = Date.now();
+  const response = await axios.get(buildSampleTileUrl(layer.url), {
+    timeout: PROBE_TIMEOUT,
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_TILE_SIZE,
+  });
+  return { latency: Date.now() - started, httpStatus: response.status };
+}
+
+/**
+ * Probe a single layer according to its type
+ * @param {object} layer - layers row
+ * @param {Map} cache - Per-run service cache
+ * @returns {Promise<object>} { status, latency_ms, http_status, error_message }
+ */
+async function probeLayer(layer, cache = new Map()) {
+  if (!/^https?:\/\//i.test(layer.url || '')) {
+    return {
+      status: 'skipped',
+      latency_ms: null,
+      http_status: null,
+      error_message: 'Layer URL is not an absolute http(s) URL',
+    };
+  }
+
+  const type = (layer.type || '').toLowerCase();
+  const started = Date.now();
+
+  try {
+    let probe;
+    if (type === 'wms' || type === 'wfs') {
+      probe = await probeOgcLayer(layer, type, cache);
+    } else if (['arcgis', 'arcgismapserver', 'mapserver'].includes(type) && isArcGisServiceUrl(layer.url)) {
+      probe = await probeArcGisLayer(layer, cache);
+    } else if (type === 'mapserver') {
+      probe = await probeOgcLayer(layer, 'wms', cache);
+    } else if (type === 'xyz' || type === 'mvt') {
+      probe = await probeTile(layer);
+    } else {
+      probe = await probeUrl(layer.url);
+    }
+
+    return {
+      status: 'up',
+      latency_ms: probe.latency,
+      http_status: probe.httpStatus || null,
+      error_message: null,
+    };
+  } catch (error) {
+    return {
+      status: 'down',
+      latency_ms: Date.now() - started,
+      http_status: error.response ? error.response.status : null,
+      error_message: error.message,
+    };
+  }
+}
+
+/**
+ * Store a probe result, keeping the failure count and last time the layer was up
+ */
+async function saveLayerHealth(layerId, result) {
+  const previous = await db('layer_health').where('layer_id', layerId).first();
+
+  const row = {
+    layer_id: layerId,
+    ...result,
+    consecutive_failures: result.status === 'down'
+      ? ((previous && previous.consecutive_failures) || 0) + 1
+      : 0,
+    checked_at: db.fn.now(),
+    last_up_at: result.status === 'up' ? db.fn.now() : (previous ? previous.last_up_at : null),
+  };
+
+  const [health] = await db('layer_health')
+    .insert(row)
+    .onConflict('layer_id')
+    .merge()
+    .returning('*');
+
+  return health;
+}
+
+/**
+ * Probe one layer now and store the result
+ * @returns {Promise<object|null>} layer_health row, null if the layer doesn't exist
+ */
+async function checkLayer(layerId) {
+  const layer = await db('layers').where('id', layerId).first();
+  if (!layer) {
+    return null;
+  }
+  return saveLayerHealth(layer.id, await probeLayer(layer));
+}
+
+/**
+ * Probe every layer and store the results
+ * @returns {Promise<object>} { checked, up, down, skipped }
+ */
+async function checkAllLayers() {
+  const layers = await db('layers').select('id', 'type', 'url', 'layer_name', 'layer_id');
+  const cache = new Map();
+  const summary = { checked: 0, up: 0, down: 0, skipped: 0 };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < layers.length) {
+      const layer = layers[next++];
+      const result = await probeLayer(layer, cache);
+      try {
+        await saveLayerHealth(layer.id, result);
+      } catch (error) {
+        // The layer may have been deleted while the run was in progress
+        logger.warn(`Failed to store health for layer ${layer.id}: ${error.message}`);
+      }
+      summary.checked++;
+      summary[result.status]++;
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(PROBE_CONCURRENCY, layers.length) }, worker));
+  return summary;
+}
+
+/**
+ * Get the stored health of layers
+ * @param {string[]} layerIds
+ * @returns {Promise<Map<string, object>>} layer ID -> { status, latency_ms, http_status, error_message, ... }
+ */
+async function getLayerHealth(layerIds) {
+  if (layerIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await db('layer_health')
+    .select('layer_id', 'status', 'latency_ms', 'http_status', 'error_message',
+      'consecutive_failures', 'checked_at', 'last_up_at')
+    .whereIn('layer_id', layerIds);
+
+  return new Map(rows.map(({ layer_id, ...health }) => [layer_id, health]));
+}
+
+let monitorTimer = null;
+let monitorRunning = false;
+
+/**
+ * Run a full check unless one is already in progress
+ */
+async function runMonitor() {
+  if (monitorRunning) {
+    return;
+  }
+
+  monitorRunning = true;
+  try {
+    const summary = await checkAllLayers();
+    logger.info(`Layer monitor: ${summary.checked} checked, ${summary.up} up, ${summary.down} down, ${summary.skipped} skipped`);
+  } catch (error) {
+    logger.error('Layer monitor run failed:', error);
+  } finally {
+    monitorRunning = false;
+  }
+}
+
+/**
+ * Start checking layers periodically
+ * LAYER_MONITOR_INTERVAL is in minutes; 0 disables the monitor
+ */
+function startLayerMonitor() {
+  const minutes = parseFloat(process.env.LAYER_MONITOR_INTERVAL ?? '15');
+  if (!minutes || minutes <= 0 || monitorTimer) {
+    return;
+  }
+
+  monitorTimer = setInterval(runMonitor, minutes * 60 * 1000);
+  monitorTimer.unref();
+  setImmediate(runMonitor);
+  logger.info(`Layer monitor started (every ${minutes} min)`);
+}
+
+/**
+ * Stop the periodic checks
+ */
+function stopLayerMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+module.exports = {
+  HEALTH_STATUSES,
+  probeLayer,
+  checkLayer,
+  checkAllLayers,
+  getLayerHealth,
+  startLayerMonitor,
+  stopLayerMonitor,
+};
@@ -0,0 +1,196 @@
+const { db } = require('../db');
+
+const PUBLIC_ROLE = 'public';
+const ADMIN_ROLE = 'admin';
+
+/**
+ * Layer permission rules
+ *
+ * Rights are resolved per layer from the most specific rules that exist:
+ * 1. layer_permissions rows for the layer itself
+ * 2. otherwise rows for the layer's group
+ * 3. otherwise the defaults: everyone can view, only admins can edit
+ *
+ * Every caller, including anonymous ones, has the "public" role.
+ * Admins can always view and edit everything.
+ */
+
+/**
+ * Get the roles a caller acts with
+ * @param {object|undefined} user - req.user
+ * @returns {string[]}
+ */
+function getCallerRoles(user) {
+  const roles = user && Array.isArray(user.roles) ? user.roles : [];
+  return roles.includes(PUBLIC_ROLE) ? roles : [...roles, PUBLIC_ROLE];
+}
+
+/**
+ * Check if a caller is an admin
+ */
+function isAdmin(user) {
+  return getCallerRoles(user).includes(ADMIN_ROLE);
+}
+
+/**
+ * Summarize permission rows into rights per resource
+ * @returns {Map<string, { canView: boolean, canEdit: boolean }>} Only resources that have rules
+ */
+function summarizeRules(rows, key, roles) {
+  const rules = new Map();
+
+  for (const row of rows) {
+    const id = row[key];
+    if (!rules.has(id)) {
+      rules.set(id, { canView: false, canEdit: false });
+    }
+    if (roles.includes(row.role_name)) {
+      const rule = rules.get(id);
+      rule.canView = rule.canView || row.can_view || row.can_edit;
+      rule.canEdit = rule.canEdit || row.can_edit;
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Load the rules that apply to a set of layer groups and layers
+ * @param {object} user - req.user
+ * @param {object} targets - { groupIds: string[], layerIds: string[] }
+ * @returns {Promise<{ groups: Map, layers: Map }>}
+ */
+async function loadRules(user, { groupIds = [], layerIds = [] }) {
+  const roles = getCallerRoles(user);
+
+  if (groupIds.length === 0 && layerIds.length === 0) {
+    return { groups: new Map(), layers: new Map() };
+  }
+
+  const rows = await db('layer_permissions')
+    .join('roles', 'layer_permissions.role_id', 'roles.id')
+    .where(query => {
+      if (groupIds.length > 0) query.orWhereIn('layer_permissions.layer_group_id', groupIds);
+      if (layerIds.length > 0) query.orWhereIn('layer_permissions.layer_id', layerIds);
+    })
+    .select(
+      'layer_permissions.layer_id',
+      'layer_permissions.layer_group_id',
+      'layer_permissions.can_view',
+      'layer_permissions.can_edit',
+      'roles.name as role_name'
+    );
+
+  return {
+    groups: summarizeRules(rows.filter(row => row.layer_group_id), 'layer_group_id', roles),
+    layers: summarizeRules(rows.filter(row => row.layer_id), 'layer_id', roles),
+  };
+}
+
+/**
+ * Resolve a caller's rights on a layer group
+ */
+function resolveGroupRights(user, rules, groupId) {
+  if (isAdmin(user)) {
+    return { canView: true, canEdit: true };
+  }
+  return rules.groups.get(groupId) || { canView: true, canEdit: false };
+}
+
+/**
+ * Resolve a caller's rights on a layer (layer rules override group rules)
+ */
+function resolveLayerRights(user, rules, layer) {
+  if (isAdmin(user)) {
+    return { canView: true, canEdit: true };
+  }
+  return rules.layers.get(layer.id) || resolveGroupRights(user, rules, layer.group_id);
+}
+
+/**
+ * Remove layer groups and layers the caller can't view
+ * A group is kept if the caller can view it or any layer with its own rules inside it
+ * @param {object} user - req.user
+ * @param {object[]} layerGroups - Groups with a `layers` array
+ * @returns {Promise<object[]>}
+ */
+async function filterLayerGroups(user, layerGroups) {
+  if (isAdmin(user)) {
+    return layerGroups;
+  }
+
+  const rules = await loadRules(user, {
+    groupIds: layerGroups.map(group => group.id),
+    layerIds: layerGroups.flatMap(group => (group.layers || []).map(layer => layer.id)),
+  });
+
+  return layerGroups
+    .map(group => ({
+      ...group,
+      layers: (group.layers || []).filter(layer => resolveLayerRights(user, rules, layer).canView),
+    }))
+    .filter(group => resolveGroupRights(user, rules, group.id).canView || group.layers.length > 0);
+}
+
+/**
+ * Check if the caller can edit a layer group (and create layers in it)
+ */
+async function canEditLayerGroup(user, groupId) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const rules = await loadRules(user, { groupIds: [groupId] });
+  return resolveGroupRights(user, rules, groupId).canEdit;
+}
+
+/**
+ * Check if the caller can edit at least one layer group (and so add layers somewhere)
+ */
+async function canEditAnyLayerGroup(user) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const rule = await db('layer_permissions')
+    .join('roles', 'layer_permissions.role_id', 'roles.id')
+    .whereNotNull('layer_permissions.layer_group_id')
+    .where('layer_permissions.can_edit', true)
+    .whereIn('roles.name', getCallerRoles(user))
+    .first('layer_permissions.id');
+  return Boolean(rule);
+}
+
+/**
+ * Check if the caller can edit a layer
+ * @param {object} layer - layers row (needs id and group_id)
+ */
+async function canEditLayer(user, layer) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const rules = await loadRules(user, { groupIds: [layer.group_id], layerIds: [layer.id] });
+  return resolveLayerRights(user, rules, layer).canEdit;
+}
+
+/**
+ * Check if the caller can view a layer
+ * @param {object} layer - layers row (needs id and group_id)
+ */
+async function canViewLayer(user, layer) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const rules = await loadRules(user, { groupIds: [layer.group_id], layerIds: [layer.id] });
+  return resolveLayerRights(user, rules, layer).canView;
+}
+
+module.exports = {
+  PUBLIC_ROLE,
+  ADMIN_ROLE,
+  getCallerRoles,
+  isAdmin,
+  filterLayerGroups,
+  canEditLayerGroup,
+  canEditAnyLayerGroup,
+  canEditLayer,
+  canViewLayer,
+};
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { executeCommand, quoteArg } = require('../utils/exec');
+const { isThumbnailSupported } = require('./thumbnail.service');
+const logger = require('../utils/logger');
+
+// Rendered previews live next to the thumbnails, one directory per product
+const PREVIEW_DIR = path.resolve(process.cwd(), process.env.PREVIEW_CACHE_DIR || path.join('uploads', 'previews'));
+const PREVIEW_DEFAULT_WIDTH = parseInt(process.env.PREVIEW_DEFAULT_WIDTH) || 1024;
+const PREVIEW_MAX_WIDTH = parseInt(process.env.PREVIEW_MAX_WIDTH) || 4096;
+const PREVIEW_MIN_WIDTH = 16;
+// Files above this size (bytes) are rendered instead of sent whole when there is no thumbnail
+const PREVIEW_RENDER_SIZE = parseInt(process.env.PREVIEW_RENDER_SIZE) || 10 * 1024 * 1024;
+
+const PREVIEW_FORMATS = {
+  png: { driver: 'PNG', extension: 'png', contentType: 'image/png' },
+  jpeg: { driver: 'JPEG', extension: 'jpg', contentType: 'image/jpeg' },
+  webp: { driver: 'WEBP', extension: 'webp', contentType: 'image/webp' },
+};
+
+// GDAL would otherwise write .aux.xml statistics next to the product file
+const GDAL_OPTIONS = '--config GDAL_PAM_ENABLED NO';
+
+// Renders in progress, so concurrent requests for the same preview share one run
+const pendingRenders = new Map();
+
+/**
+ * Error raised for invalid preview parameters or unsupported files
+ */
+class PreviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PreviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check whether a rendered preview can be produced for a file
+ */
+function isPreviewSupported(filePath) {
+  return isThumbnailSupported(filePath);
+}
+
+/**
+ * Check if a file is a PDF
+ */
+function isPdf(filePath) {
+  return path.extname(filePath).toLowerCase() === '.pdf';
+}
+
+/**
+ * Check whether a preview without a thumbnail should be rendered rather than the file sent as is
+ * Browsers can't display TIFFs, PDFs would be downloaded whole just to show page 1, and large
+ * images are cheaper to send downsampled
+ * @param {string} filePath - Product file path
+ * @param {number} size - File size in bytes
+ */
+function shouldRenderPreview(filePath, size) {
+  if (!isPreviewSupported(filePath)) {
+    return false;
+  }
+  const ext = path.extname(filePath).toLowerCase();
+  return ['.tif', '.tiff'].includes(ext) || isPdf(filePath) || size > PREVIEW_RENDER_SIZE;
+}
+
+/**
+ * Parse preview query parameters
+ * @param {object} query - { width, format, page }
+ * @returns {{ width: number, format: string, page: number }}
+ */
+function parsePreviewOptions(query) {
+  const options = {
+    width: PREVIEW_DEFAULT_WIDTH,
+    format: 'png',
+    page: 1,
+  };
+
+  if (query.width !== undefined) {
+    options.width = Number(query.width);
+    if (!Number.isInteger(options.width) || options.width < PREVIEW_MIN_WIDTH || options.width > PREVIEW_MAX_WIDTH) {
+      throw new PreviewError(`width must be an integer between ${PREVIEW_MIN_WIDTH} and ${PREVIEW_MAX_WIDTH}`);
+    }
+  }
+
+  if (query.format !== undefined) {
+    options.format = String(query.format).toLowerCase();
+    if (options.format === 'jpg') {
+      options.format = 'jpeg';
+    }
+    if (!PREVIEW_FORMATS[options.format]) {
+      throw new PreviewError(`format must be one of: ${Object.keys(PREVIEW_FORMATS).join(', ')}`);
+    }
+  }
+
+  if (query.page !== undefined) {
+    options.page = Number(query.page);
+    if (!Number.isInteger(options.page) || options.page < 1) {
+      throw new PreviewError('page must be a positive integer');
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Stamp identifying the current version of a source file
+ * Previews are keyed by it, so replacing the file invalidates them
+ */
+function sourceStamp(stat) {
+  return crypto
+    .createHash('sha1')
+    .update(`${stat.size}:${stat.mtimeMs}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Number of pages of a PDF
+ */
+async function getPdfPageCount(sourcePath) {
+  const { stdout } = await executeCommand(`pdfinfo ${quoteArg(sourcePath)}`, { ignoreStderr: true });
+  const match = stdout.match(/^Pages:\s+(\d+)/m);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Render a PDF page to PNG with pdftoppm
+ * pdftoppm appends the .png extension to the output prefix itself
+ * @returns {Promise<string>} Path of the rendered PNG
+ */
+async function renderPdfPage(sourcePath, outputPrefix, width, page) {
+  const pageCount = await getPdfPageCount(sourcePath);
+  if (page > pageCount) {
+    throw new PreviewError(`page must be between 1 and ${pageCount}`);
+  }
+
+  await executeCommand(
+    `pdftoppm -png -f ${page} -l ${page} -singlefile -scale-to-x ${width} -scale-to-y -1 `
+      + `${quoteArg(sourcePath)} ${quoteArg(outputPrefix)}`,
+    { ignoreStderr: true }
+  );
+  return `${outputPrefix}.png`;
+}
+
+/**
+ * gdal_translate arguments that stretch a raster to 8-bit
+ * Each band is scaled from mean ± 2 standard deviations (clamped to its range), using approximate
+ * statistics so large rasters are read from their overviews. Palette rasters are expanded to RGB.
+ */
+async function buildStretchArgs(sourcePath) {
+  const { stdout } = await executeCommand(
+    `gdalinfo ${GDAL_OPTIONS} -json -approx_stats ${quoteArg(sourcePath)}`,
+    { ignoreStderr: true }
+  );
+  const info = JSON.parse(stdout);
+  const bands = Array.isArray(info.bands) ? info.bands : [];
+
+  if (bands.length === 1 && bands[0].colorInterpretation === 'Palette') {
+    return ['-expand rgb'];
+  }
+
+  const selected = bands.length >= 3 ? bands.slice(0, 3) : bands.slice(0, 1);
+  const args = ['-ot Byte', ...selected.map(band => `-b ${band.band}`)];
+
+  selected.forEach((band, index) => {
+    const { minimum, maximum, mean, stdDev } = band;
+    if (![minimum, maximum].every(Number.isFinite)) {
+      args.push(`-scale_${index + 1}`);
+      return;
+    }
+
+    let low = minimum;
+    let high = maximum;
+    if (Number.isFinite(mean) && Number.isFinite(stdDev) && stdDev > 0) {
+      low = Math.max(minimum, mean - 2 * stdDev);
+      high = Math.min(maximum, mean + 2 * stdDev);
+    }
+    if (high <= low) {
+      high = low + 1;
+    }
+    args.push(`-scale_${index + 1} ${low} ${high} 0 255`);
+  });
+
+  return args;
+}
+
+/**
+ * Convert or downsample an image with gdal_translate
+ */
+async function translateImage(sourcePath, outputPath, width, format, extraArgs = []) {
+  const { driver } = PREVIEW_FORMATS[format];
+  const args = [GDAL_OPTIONS, `-of ${driver}`, `-outsize ${width} 0`, ...extraArgs];
+  if (format !== 'png') {
+    args.push('-co QUALITY=85');
+  }
+
+  await executeCommand(
+    `gdal_translate ${args.join(' ')} ${quoteArg(sourcePath)} ${quoteArg(outputPath)}`,
+    { ignoreStderr: true }
+  );
+}
+
+/**
+ * Render a preview to outputPath
+ */
+async function renderPreview(sourcePath, outputPath, options) {
+  const tempPrefix = `${outputPath}.${uuidv4()}`;
+  const tempPath = `${tempPrefix}.tmp`;
+
+  try {
+    if (isPdf(sourcePath)) {
+      const pngPath = await renderPdfPage(sourcePath, tempPrefix, options.width, options.page);
+      if (options.format === 'png') {
+        await fs.promises.rename(pngPath, tempPath);
+      } else {
+        await translateImage(pngPath, tempPath, options.width, options.format);
+        await fs.promises.rm(pngPath, { force: true });
+      }
+    } else {
+      const ext = path.extname(sourcePath).toLowerCase();
+      const stretch = ext === '.tif' || ext === '.tiff' ? await buildStretchArgs(sourcePath) : [];
+      await translateImage(sourcePath, tempPath, options.width, options.format, stretch);
+    }
+
+    // Rename last so readers never see a partially written preview
+    await fs.promises.rename(tempPath, outputPath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+    await fs.promises.rm(`${tempPrefix}.png`, { force: true });
+  }
+}
+
+/**
+ * Remove a product's previews rendered from older versions of its file
+ */
+async function removeStalePreviews(dir, stamp) {
+  const files = await fs.promises.readdir(dir).catch(() => []);
+  for (const file of files) {
+    if (!file.startsWith(`${stamp}-`)) {
+      await fs.promises.rm(path.join(dir, file), { force: true });
+    }
+  }
+}
+
+/**
+ * Get a rendered preview of a product file, rendering it on a cache miss
+ * @param {string} productId - Product ID, used as the cache directory
+ * @param {string} sourcePath - Absolute product file path
+ * @param {object} options - Output of parsePreviewOptions
+ * @returns {Promise<{ path: string, contentType: string, cached: boolean }>}
+ */
+async function getPreview(productId, sourcePath, options) {
+  if (!isPreviewSupported(sourcePath)) {
+    throw new PreviewError('Previews are only available for GeoTIFF, image and PDF products');
+  }
+
+  const stat = await fs.promises.stat(sourcePath);
+  const stamp = sourceStamp(stat);
+  const page = isPdf(sourcePath) ? options.page : 1;
+  const { extension, contentType } = PREVIEW_FORMATS[options.format];
+
+  const dir = path.join(PREVIEW_DIR, productId);
+  const outputPath = path.join(dir, `${stamp}-${options.width}-${page}.${extension}`);
+
+  if (fs.existsSync(outputPath)) {
+    return { path: outputPath, contentType, cached: true };
+  }
+
+  if (!pendingRenders.has(outputPath)) {
+    const render = (async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await renderPreview(sourcePath, outputPath, { ...options, page });
+      await removeStalePreviews(dir, stamp);
+      logger.info(`Rendered preview ${path.basename(outputPath)} for product ${productId}`);
+    })().finally(() => pendingRenders.delete(outputPath));
+    pendingRenders.set(outputPath, render);
+  }
+
+  await pendingRenders.get(outputPath);
+  return { path: outputPath, contentType, cached: false };
+}
+
+/**
+ * Remove all rendered previews of a product
+ */
+async function clearPreviews(productId) {
+  await fs.promises.rm(path.join(PREVIEW_DIR, productId), { recursive: true, force: true });
+}
+
+module.exports = {
+  PreviewError,
+  PREVIEW_DIR,
+  PREVIEW_FORMATS,
+  isPreviewSupported,
+  shouldRenderPreview,
+  parsePreviewOptions,
+  getPreview,
+  clearPreviews,
+};
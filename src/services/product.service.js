@@ -0,0 +1,425 @@
+const path = require('path');
+const { db } = require('../db');
+const { FootprintError, parseGeoJsonGeometry, geometrySql, bboxPolygon } = require('./footprint.service');
+const { escapeLike } = require('../utils/sql');
+
+// Columns products can be sorted by; prefix with "-" for descending
+// relevance is only available with a search query and always sorts best matches first
+const SORT_FIELDS = ['relevance', 'date', 'title', 'created_at'];
+const DEFAULT_SORT = '-created_at';
+
+// Text search configurations used to build products.search_vector
+const SEARCH_CONFIGS = ['indonesian', 'english'];
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+
+// "All events" value still sent by older catalogue clients; treated as no category filter
+const LEGACY_ALL_CATEGORIES = 'Semua kejadian';
+
+/**
+ * Error raised for invalid product search parameters
+ */
+class ProductQueryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProductQueryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse a comma-separated list of numbers
+ */
+function parseNumbers(value, count, name) {
+  const numbers = String(value).split(',').map(part => parseFloat(part.trim()));
+  if (numbers.length !== count || numbers.some(number => !Number.isFinite(number))) {
+    throw new ProductQueryError(`${name} must be ${count} comma-separated numbers`);
+  }
+  return numbers;
+}
+
+/**
+ * SQL expression matching a search text in any of the search configurations
+ * Accepts web search syntax: quoted phrases, OR and -excluded words
+ */
+function searchQuerySql(text) {
+  return db.raw(
+    `(${SEARCH_CONFIGS.map(config => `websearch_to_tsquery('${config}', ?)`).join(' || ')})`,
+    SEARCH_CONFIGS.map(() => text)
+  );
+}
+
+/**
+ * Normalize keywords given as an array or comma-separated text
+ * @returns {string|null} Comma-separated keywords as stored
+ */
+function normalizeKeywords(value) {
+  const keywords = [...new Set(parseList(value))];
+  return keywords.length > 0 ? keywords.join(', ') : null;
+}
+
+/**
+ * Parse a list parameter given as repeated values and/or comma-separated values
+ */
+function parseList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a date parameter (YYYY-MM-DD)
+ * @param {string} name - Name used in the error message
+ * @returns {string|null} The date as YYYY-MM-DD, null if empty
+ * @throws {ProductQueryError} For other formats and dates that don't exist
+ */
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  // Date.UTC rolls impossible days over (2024-02-30 -> 2024-03-01), so compare the result
+  const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+  if (!date || date.toISOString().slice(0, 10) !== match[0]) {
+    throw new ProductQueryError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return match[0];
+}
+
+/**
+ * Parse product search filters from query parameters
+ * @param {object} query - req.query
+ * @returns {object} Filters for applyProductFilters
+ */
+function parseProductFilters(query) {
+  // region is the search parameter used by older catalogue clients
+  const text = query.q || query.region;
+  const filters = {
+    q: text ? String(text).trim() || null : null,
+    categories: parseList(query.category).filter(category => category !== LEGACY_ALL_CATEGORIES),
+    dateFrom: parseDate(query.date_from, 'date_from'),
+    dateTo: parseDate(query.date_to, 'date_to'),
+    bbox: null,
+    intersects: null,
+    near: null,
+  };
+
+  if (filters.dateFrom && filters.dateTo && new Date(filters.dateFrom) > new Date(filters.dateTo)) {
+    throw new ProductQueryError('date_from must not be after date_to');
+  }
+
+  if (query.bbox) {
+    const [minX, minY, maxX, maxY] = parseNumbers(query.bbox, 4, 'bbox');
+    if (minX > maxX || minY > maxY) {
+      throw new ProductQueryError('bbox must be minLng,minLat,maxLng,maxLat');
+    }
+    filters.bbox = [minX, minY, maxX, maxY];
+  }
+
+  if (query.intersects) {
+    try {
+      filters.intersects = parseGeoJsonGeometry(query.intersects);
+    } catch (error) {
+      if (error instanceof FootprintError) {
+        throw new ProductQueryError(`intersects: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  if (query.near) {
+    const [lng, lat, radius] = parseNumbers(query.near, 3, 'near');
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90 || radius < 0) {
+      throw new ProductQueryError('near must be lng,lat,radius with radius in meters');
+    }
+    filters.near = { lng, lat, radius };
+  }
+
+  return filters;
+}
+
+/**
+ * Apply parsed filters to a products query
+ * @param {object} query - Knex query on products
+ * @param {object} filters - From parseProductFilters
+ * @returns {object} The query
+ */
+function applyProductFilters(query, filters) {
+  // Full-text search, plus the substring match on title that region used to do
+  if (filters.q) {
+    query.where(builder => builder
+      .whereRaw('products.search_vector @@ ?', [searchQuerySql(filters.q)])
+      .orWhere('products.title', 'ilike', `%${escapeLike(filters.q)}%`));
+  }
+
+  // Category filter (event type), any of the given categories
+  // Query parameters never produce null; the STAC "uncategorized" collection passes it for products without one
+  if (filters.categories && filters.categories.length > 0) {
+    const named = filters.categories.filter(category => category !== null);
+    const includeUncategorized = named.length < filters.categories.length;
+    query.where((builder) => {
+      builder.whereIn('products.category', named);
+      if (includeUncategorized) {
+        builder.orWhereNull('products.category');
+      }
+    });
+  }
+
+  if (filters.ids && filters.ids.length > 0) {
+    query.whereIn('products.id', filters.ids);
+  }
+
+  if (filters.dateFrom) {
+    query.where('products.date', '>=', filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    query.where('products.date', '<=', filters.dateTo);
+  }
+
+  if (filters.bbox) {
+    query.whereRaw('ST_Intersects(products.footprint, ?)', [geometrySql(bboxPolygon(...filters.bbox))]);
+  }
+
+  if (filters.intersects) {
+    query.whereRaw('ST_Intersects(products.footprint, ?)', [geometrySql(filters.intersects)]);
+  }
+
+  if (filters.near) {
+    query.whereRaw(
+      'ST_DWithin(products.footprint::geography, ST_SetSRID(ST_MakePoint(?, ?), 4326)::geography, ?)',
+      [filters.near.lng, filters.near.lat, filters.near.radius]
+    );
+  }
+
+  return query;
+}
+
+/**
+ * Parse the sort parameter
+ * Searches default to relevance, everything else to newest first
+ * @param {string} value - e.g. "date", "-date", "title", "relevance"
+ * @param {object} filters - From parseProductFilters
+ * @returns {{ column: string, direction: string }}
+ */
+function parseProductSort(value, filters = {}) {
+  const sort = String(value || (filters.q ? 'relevance' : DEFAULT_SORT)).trim();
+  const descending = sort.startsWith('-');
+  const column = descending ? sort.slice(1) : sort;
+
+  if (!SORT_FIELDS.includes(column)) {
+    throw new ProductQueryError(
+      `sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with "-" for descending)`
+    );
+  }
+
+  if (column === 'relevance' && !filters.q) {
+    throw new ProductQueryError('sort=relevance requires a search query (q)');
+  }
+
+  return { column, direction: descending ? 'desc' : 'asc' };
+}
+
+/**
+ * Apply a parsed sort to a products query
+ * Products without a date sort last; id keeps pages stable when values tie
+ */
+function applyProductSort(query, sort, filters = {}) {
+  if (sort.column === 'relevance') {
+    query.orderByRaw('ts_rank(products.search_vector, ?) desc', [searchQuerySql(filters.q)]);
+  } else {
+    query.orderByRaw(`products.${sort.column} ${sort.direction} nulls last`);
+  }
+  return query.orderBy('products.id', 'asc');
+}
+
+/**
+ * SQL expression HTML-escaping a text column, so the <mark> tags added by ts_headline
+ * are the only markup in a highlight
+ */
+function escapedHtmlSql(column) {
+  return [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["''", '&#39;']]
+    .reduce((sql, [char, entity]) => `replace(${sql}, '${char}', '${entity}')`, column);
+}
+
+/**
+ * Select expressions for search rank and highlighted title/description snippets
+ * Snippets are HTML-escaped and matches are wrapped in <mark></mark>
+ */
+function searchColumns(filters) {
+  const tsquery = searchQuerySql(filters.q);
+  return [
+    db.raw('ts_rank(products.search_vector, ?) as rank', [tsquery]),
+    db.raw(
+      `ts_headline('${SEARCH_CONFIGS[0]}', ${escapedHtmlSql('products.title')}, ?, '${HIGHLIGHT_OPTIONS}, HighlightAll=true') as title_highlight`,
+      [tsquery]
+    ),
+    db.raw(
+      `ts_headline('${SEARCH_CONFIGS[0]}', ${escapedHtmlSql("coalesce(products.description, '')")}, ?, '${HIGHLIGHT_OPTIONS}, MaxFragments=2, MaxWords=25, MinWords=10') as description_highlight`,
+      [tsquery]
+    ),
+  ];
+}
+
+/**
+ * Suggest search terms for autocomplete from titles, categories and keywords
+ * @param {string} text - Partial search text
+ * @param {number} limit - Maximum suggestions per type
+ * @returns {Promise<object[]>} [{ value, type: 'title'|'category'|'keyword', count }]
+ */
+async function suggestProducts(text, limit = 10) {
+  const pattern = `%${escapeLike(text)}%`;
+  const prefix = `${escapeLike(text)}%`;
+
+  const titles = await db('products')
+    .select('title as value')
+    .count('id as count')
+    .where('title', 'ilike', pattern)
+    .groupBy('title')
+    // Titles starting with the text come first
+    .orderByRaw('(title ilike ?) desc', [prefix])
+    .orderBy('title', 'asc')
+    .limit(limit);
+
+  const categories = await db('products')
+    .select('category as value')
+    .count('id as count')
+    .where('category', 'ilike', pattern)
+    .groupBy('category')
+    .orderBy('count', 'desc')
+    .limit(limit);
+
+  const keywords = await db
+    .select('keyword as value')
+    .count('* as count')
+    .from(db('products')
+      .select(db.raw("trim(unnest(string_to_array(keywords, ','))) as keyword"))
+      .whereNotNull('keywords')
+      .as('product_keywords'))
+    .where('keyword', 'ilike', pattern)
+    .groupBy('keyword')
+    .orderBy('count', 'desc')
+    .limit(limit);
+
+  const format = type => row => ({ value: row.value, type, count: parseInt(row.count) || 0 });
+  return [
+    ...titles.map(format('title')),
+    ...categories.map(format('category')),
+    ...keywords.map(format('keyword')),
+  ];
+}
+
+/**
+ * Count products per category, year and month
+ * Each facet ignores its own filter so the UI can show the alternatives to the current selection
+ * @param {object} filters - From parseProductFilters
+ * @returns {Promise<object>} { category: [{ value, count }], year: [...], month: [...] }
+ */
+async function getProductFacets(filters) {
+  const categoryRows = await applyProductFilters(db('products'), { ...filters, categories: [] })
+    .select('products.category as value')
+    .count('products.id as count')
+    .groupBy('products.category')
+    .orderBy('count', 'desc')
+    .orderBy('value', 'asc');
+
+  const dateFilters = { ...filters, dateFrom: null, dateTo: null };
+
+  const yearRows = await applyProductFilters(db('products'), dateFilters)
+    .whereNotNull('products.date')
+    .select(db.raw('EXTRACT(YEAR FROM products.date)::int as value'))
+    .count('products.id as count')
+    .groupByRaw('1')
+    .orderBy('value', 'desc');
+
+  const monthRows = await applyProductFilters(db('products'), dateFilters)
+    .whereNotNull('products.date')
+    .select(db.raw("to_char(products.date, 'YYYY-MM') as value"))
+    .count('products.id as count')
+    .groupByRaw('1')
+    .orderBy('value', 'desc');
+
+  const toFacet = rows => rows.map(row => ({ value: row.value, count: parseInt(row.count) || 0 }));
+
+  return {
+    category: toFacet(categoryRows),
+    year: toFacet(yearRows),
+    month: toFacet(monthRows),
+  };
+}
+
+/**
+ * Select expression for a product's footprint as GeoJSON text
+ */
+function footprintColumn() {
+  return db.raw('ST_AsGeoJSON(products.footprint, 6) as footprint');
+}
+
+/**
+ * Helper to resolve file path safely
+ */
+function resolveFilePath(filePath) {
+  // If path is already absolute, keep it; otherwise resolve from project root
+  if (path.isAbsolute(filePath)) {
+    return filePath;
+  }
+  return path.resolve(process.cwd(), filePath);
+}
+
+/**
+ * Get the absolute file path for a product
+ * Products store filename as relative path (e.g., "PCS_Planet/file.pdf")
+ * Files are stored under uploads/file/
+ */
+function getProductFilePath(product) {
+  if (!product.filename) {
+    return null;
+  }
+
+  // If filename is already absolute, use as-is
+  if (path.isAbsolute(product.filename)) {
+    return product.filename;
+  }
+
+  // Construct path: uploads/file/{filename}
+  return path.join('uploads', 'file', product.filename);
+}
+
+/**
+ * Get the absolute thumbnail path for a product
+ * Thumbnails are stored under uploads/thumbnails/
+ */
+function getProductThumbnailPath(product) {
+  if (!product.thumbnail) {
+    return null;
+  }
+
+  // If thumbnail path is already absolute, use as-is
+  if (path.isAbsolute(product.thumbnail)) {
+    return product.thumbnail;
+  }
+
+  // Construct path: uploads/thumbnails/{thumbnail}
+  return path.join('uploads', 'thumbnails', product.thumbnail);
+}
+
+module.exports = {
+  ProductQueryError,
+  SORT_FIELDS,
+  normalizeKeywords,
+  parseDate,
+  parseProductFilters,
+  applyProductFilters,
+  parseProductSort,
+  applyProductSort,
+  searchColumns,
+  suggestProducts,
+  getProductFacets,
+  footprintColumn,
+  resolveFilePath,
+  getProductFilePath,
+  getProductThumbnailPath,
+};
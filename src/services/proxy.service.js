@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { isArcGisServiceUrl } = require('./arcgis.service');
+
+// Cached responses may belong to restricted layers, so the default is outside the statically served uploads/
+const PROXY_CACHE_DIR = path.resolve(process.cwd(), process.env.PROXY_CACHE_DIR || path.join('cache', 'proxy'));
+const PROXY_CACHE_TTL = parseInt(process.env.PROXY_CACHE_TTL) || 86400; // seconds
+const PROXY_CACHE_MAX_SIZE = (parseInt(process.env.PROXY_CACHE_MAX_SIZE_MB) || 1024) * 1024 * 1024;
+const PROXY_CACHE_MAX_ENTRY_SIZE = (parseInt(process.env.PROXY_CACHE_MAX_ENTRY_SIZE_MB) || 5) * 1024 * 1024;
+const PROXY_TIMEOUT = parseInt(process.env.PROXY_TIMEOUT) || 30000;
+const PRUNE_DELAY = 60 * 1000;
+
+// Query parameters that select layers; forced to the proxied layer's layer_name
+const LAYER_PARAMS = ['layers', 'query_layers', 'layer', 'typename', 'typenames'];
+
+// Query parameters forwarded for each protocol (lower case); anything else, such as SLD_BODY,
+// CQL_FILTER, FEATUREID or VIEWPARAMS, is dropped. Tiles are filled from the path and take none.
+const FORWARDED_PARAMS = {
+  wms: [
+    'service', 'version', 'request', 'layers', 'styles', 'crs', 'srs', 'bbox', 'width', 'height', 'format',
+    'transparent', 'bgcolor', 'exceptions', 'time', 'elevation', 'tiled', 'tilesorigin', 'dpi', 'map_resolution',
+    'query_layers', 'info_format', 'feature_count', 'i', 'j', 'x', 'y',
+    // GetLegendGraphic
+    'layer', 'style', 'scale', 'rule', 'sld_version', 'legend_options',
+    // WMTS
+    'tilematrixset', 'tilematrix', 'tilerow', 'tilecol',
+  ],
+  wfs: [
+    'service', 'version', 'request', 'typename', 'typenames', 'outputformat', 'srsname', 'bbox', 'maxfeatures',
+    'count', 'startindex', 'propertyname', 'sortby', 'resulttype', 'exceptions',
+  ],
+  arcgis: [
+    'f', 'bbox', 'bboxsr', 'imagesr', 'size', 'dpi', 'format', 'transparent', 'layers', 'time', 'geometry',
+    'geometrytype', 'sr', 'insr', 'outsr', 'spatialrel', 'tolerance', 'mapextent', 'imagedisplay', 'where',
+    'outfields', 'returngeometry', 'resultoffset', 'resultrecordcount', 'orderbyfields',
+  ],
+  tile: [],
+  geojson: [],
+};
+
+/**
+ * Error raised when a proxy request can't be mapped to the layer's service
+ */
+class ProxyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProxyError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Read per-host credentials from PROXY_CREDENTIALS
+ * JSON object keyed by host: { "host": { username, password } | { token } | { headers } }
+ */
+function loadCredentials() {
+  if (!process.env.PROXY_CREDENTIALS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.PROXY_CREDENTIALS);
+  } catch (error) {
+    logger.error('PROXY_CREDENTIALS is not valid JSON; no credentials will be sent');
+    return {};
+  }
+}
+
+const credentialsByHost = loadCredentials();
+
+/**
+ * Get the credentials to inject for an upstream URL
+ * GeoServer requests use the read-only GEOSERVER_PROXY_USER account unless PROXY_CREDENTIALS overrides
+ * the host; the REST admin account (GEOSERVER_USER) is never sent through the proxy
+ */
+function getCredentials(url) {
+  if (credentialsByHost[url.host]) {
+    return credentialsByHost[url.host];
+  }
+
+  if (process.env.GEOSERVER_URL && process.env.GEOSERVER_PROXY_USER) {
+    const geoserver = new URL(process.env.GEOSERVER_URL);
+    if (geoserver.origin === url.origin) {
+      return {
+        username: process.env.GEOSERVER_PROXY_USER,
+        password: process.env.GEOSERVER_PROXY_PASSWORD || '',
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the protocol a layer is requested with, which decides the forwarded query parameters
+ * mapserver layers are ArcGIS services or MapServer WMS endpoints
+ */
+function getProtocol(layer, isTemplate) {
+  const type = (layer.type || '').toLowerCase();
+  if (isTemplate || type === 'xyz' || type === 'mvt') {
+    return 'tile';
+  }
+  if (type === 'arcgis' || type === 'arcgismapserver') {
+    return 'arcgis';
+  }
+  if (type === 'mapserver') {
+    return isArcGisServiceUrl(layer.url) ? 'arcgis' : 'wms';
+  }
+  return FORWARDED_PARAMS[type] ? type : 'geojson';
+}
+
+/**
+ * Fill an XYZ/MVT template from a z/x/y request path
+ */
+function buildTileUrl(template, subPath) {
+  const match = subPath.match(/^(\d+)\/(\d+)\/(\d+)(\.\w+)?$/);
+  if (!match) {
+    throw new ProxyError('Tile requests must have the form {z}/{x}/{y}');
+  }
+
+  const [z, x, y] = match.slice(1, 4).map(value => parseInt(value, 10));
+  return template
+    .replace(/\{s\}/g, 'a')
+    .replace(/\{z\}/g, z)
+    .replace(/\{x\}/g, x)
+    .replace(/\{-y\}/g, Math.pow(2, z) - 1 - y)
+    .replace(/\{y\}/g, y)
+    .replace(/\{r\}/g, '');
+}
+
+/**
+ * Build the upstream request for a proxied layer request
+ * XYZ/MVT templates are filled from the path; other services get the path appended to the layer URL.
+ * The request must stay on the layer's host and under its path, and only the query parameters of the
+ * layer's protocol are forwarded.
+ * @param {object} layer - layers row
+ * @param {string} subPath - Path after /proxy/
+ * @param {object} query - Request query parameters
+ * @returns {{ url: string, cacheKey: string, cacheable: boolean, headers: object, auth: object|undefined }}
+ */
+function buildUpstreamRequest(layer, subPath, query) {
+  let base;
+  try {
+    // Tile templates may put the subdomain placeholder in the host
+    base = new URL(layer.url.replace(/\{s\}/g, 'a'));
+  } catch (error) {
+    throw new ProxyError('Layer URL cannot be proxied');
+  }
+  if (!/^https?:$/.test(base.protocol)) {
+    throw new ProxyError('Layer URL cannot be proxied');
+  }
+
+  const type = (layer.type || '').toLowerCase();
+  const isTemplate = /\{z\}/.test(layer.url);
+  let upstream;
+
+  if (isTemplate) {
+    upstream = new URL(buildTileUrl(layer.url, subPath || ''));
+  } else {
+    upstream = new URL(base.toString());
+    if (subPath) {
+      upstream.pathname = `${base.pathname.replace(/\/$/, '')}/${subPath}`;
+    }
+  }
+
+  // Tile templates are only held to their host; other services must stay at or below the layer path,
+  // so /ws/wms doesn't reach /ws/wms2
+  const basePath = isTemplate ? '' : base.pathname.replace(/\/$/, '');
+  const withinBase = upstream.pathname === basePath || upstream.pathname.startsWith(`${basePath}/`);
+  if (upstream.origin !== base.origin || !withinBase) {
+    throw new ProxyError('Request is outside the layer service', 403);
+  }
+
+  const protocol = getProtocol(layer, isTemplate);
+  const forwarded = FORWARDED_PARAMS[protocol];
+  for (const [key, value] of Object.entries(query)) {
+    if (!forwarded.includes(key.toLowerCase())) continue;
+    const values = Array.isArray(value) ? value : [value];
+    upstream.searchParams.delete(key);
+    values.forEach(item => upstream.searchParams.append(key, String(item)));
+  }
+
+  // Keep OGC requests to the registered layer so the injected credentials can't reach other layers
+  if (protocol === 'wms' || protocol === 'wfs') {
+    for (const key of [...upstream.searchParams.keys()]) {
+      if (!LAYER_PARAMS.includes(key.toLowerCase())) continue;
+      if (!layer.layer_name) {
+        throw new ProxyError('Layer has no layer_name; requests for it cannot select layers', 403);
+      }
+      upstream.searchParams.set(key, layer.layer_name);
+    }
+  }
+
+  const params = new Map([...upstream.searchParams].map(([key, value]) => [key.toLowerCase(), value.toLowerCase()]));
+  const cacheable = type === 'xyz'
+    || type === 'mvt'
+    || params.get('request') === 'getmap'
+    || params.get('request') === 'gettile'
+    || /\/tile\//i.test(upstream.pathname);
+
+  const cacheKey = crypto
+    .createHash('sha256')
+    .update(`${layer.id}\n${upstream.toString()}`)
+    .digest('hex');
+
+  const headers = {};
+  let auth;
+  const credentials = getCredentials(upstream);
+  if (credentials) {
+    if (credentials.username) {
+      auth = { username: credentials.username, password: credentials.password || '' };
+    }
+    if (credentials.token) {
+      upstream.searchParams.set('token', credentials.token);
+    }
+    if (credentials.headers) {
+      Object.assign(headers, credentials.headers);
+    }
+  }
+
+  return {
+    url: upstream.toString(),
+    host: upstream.host,
+    cacheKey,
+    cacheable,
+    headers,
+    auth,
+  };
+}
+
+/**
+ * Check that a response can be stored as a tile
+ * OGC services report errors with HTTP 200 and an XML body, so only binary responses are kept
+ */
+function isCacheableResponse(status, contentType, size) {
+  return status === 200
+    && size <= PROXY_CACHE_MAX_ENTRY_SIZE
+    && !/xml|html|json|text/i.test(contentType || '');
+}
+
+/**
+ * Paths of a cache entry's body and metadata files
+ */
+function cachePaths(cacheKey) {
+  const dir = path.join(PROXY_CACHE_DIR, cacheKey.slice(0, 2));
+  return {
+    dir,
+    body: path.join(dir, cacheKey),
+    meta: path.join(dir, `${cacheKey}.json`),
+  };
+}
+
+/**
+ * Read a cached response if it hasn't expired
+ * @returns {Promise<{ body: Buffer, contentType: string }|null>}
+ */
+async function readCache(cacheKey) {
+  const paths = cachePaths(cacheKey);
+  try {
+    const meta = JSON.parse(await fs.promises.readFile(paths.meta, 'utf8'));
+    if (Date.now() - meta.cached_at > PROXY_CACHE_TTL * 1000) {
+      return null;
+    }
+    return {
+      body: await fs.promises.readFile(paths.body),
+      contentType: meta.content_type,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+let pruneTimer = null;
+
+/**
+ * Store a response in the cache and schedule a size check
+ */
+async function writeCache(cacheKey, body, contentType) {
+  const paths = cachePaths(cacheKey);
+  try {
+    await fs.promises.mkdir(paths.dir, { recursive: true });
+    await fs.promises.writeFile(paths.body, body);
+    await fs.promises.writeFile(paths.meta, JSON.stringify({
+      content_type: contentType,
+      size: body.length,
+      cached_at: Date.now(),
+    }));
+  } catch (error) {
+    logger.error(`Failed to cache proxy response ${cacheKey}:`, error);
+    return;
+  }
+
+  if (!pruneTimer) {
+    pruneTimer = setTimeout(() => {
+      pruneTimer = null;
+      pruneCache().catch(error => logger.error('Proxy cache prune failed:', error));
+    }, PRUNE_DELAY);
+    pruneTimer.unref();
+  }
+}
+
+/**
+ * Remove expired entries, then the oldest ones until the cache fits PROXY_CACHE_MAX_SIZE_MB
+ * @returns {Promise<{ removed: number, size: number }>}
+ */
+async function pruneCache() {
+  const entries = [];
+  let buckets;
+  try {
+    buckets = await fs.promises.readdir(PROXY_CACHE_DIR);
+  } catch (error) {
+    return { removed: 0, size: 0 };
+  }
+
+  for (const bucket of buckets) {
+    const dir = path.join(PROXY_CACHE_DIR, bucket);
+    for (const file of await fs.promises.readdir(dir).catch(() => [])) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+        entries.push({ key: file.slice(0, -5), size: meta.size || 0, cachedAt: meta.cached_at || 0 });
+      } catch (error) {
+        entries.push({ key: file.slice(0, -5), size: 0, cachedAt: 0 });
+      }
+    }
+  }
+
+  entries.sort((a, b) => a.cachedAt - b.cachedAt);
+  let size = entries.reduce((total, entry) => total + entry.size, 0);
+  const expiredBefore = Date.now() - PROXY_CACHE_TTL * 1000;
+  let removed = 0;
+
+  for (const entry of entries) {
+    if (entry.cachedAt >= expiredBefore && size <= PROXY_CACHE_MAX_SIZE) {
+      break;
+    }
+    const paths = cachePaths(entry.key);
+    await fs.promises.rm(paths.body, { force: true });
+    await fs.promises.rm(paths.meta, { force: true });
+    size -= entry.size;
+    removed++;
+  }
+
+  if (removed > 0) {
+    logger.info(`Proxy cache pruned: ${removed} entries removed, ${Math.round(size / 1024 / 1024)} MB kept`);
+  }
+  return { removed, size };
+}
+
+module.exports = {
+  ProxyError,
+  PROXY_CACHE_DIR,
+  PROXY_CACHE_TTL,
+  PROXY_TIMEOUT,
+  buildUpstreamRequest,
+  isCacheableResponse,
+  readCache,
+  writeCache,
+  pruneCache,
+};
@@ -0,0 +1,311 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const { diffStates } = require('./audit.service');
+
+// Map columns that are not restored from a snapshot
+const MAP_SKIP_COLUMNS = ['id', 'center', 'created_at', 'updated_at'];
+
+/**
+ * Error raised for snapshots that can't be restored
+ * Carries a status code so controllers can report it
+ */
+class RevisionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RevisionError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Build a full snapshot of a map, its layer groups and layers
+ * Permissions are not applied: snapshots always hold the complete state, including the layer
+ * permissions, library styles and health of the groups and layers
+ * @param {string} mapId - Map ID
+ * @param {object} trx - Optional transaction
+ * @returns {Promise<object|null>} { map, layer_groups, layers, layer_permissions, layer_styles, layer_health }
+ */
+async function buildSnapshot(mapId, trx = db) {
+  const map = await trx('maps')
+    .select('*', trx.raw('ST_AsGeoJSON(center) as center_geojson'))
+    .where('id', mapId)
+    .first();
+
+  if (!map) {
+    return null;
+  }
+
+  const { center_geojson, ...mapRow } = map;
+  mapRow.center = center_geojson ? JSON.parse(center_geojson) : null;
+
+  const layerGroups = await trx('layer_groups')
+    .where('map_id', mapId)
+    .orderBy('z_index', 'asc')
+    .orderBy('name', 'asc');
+
+  const layers = await trx('layers')
+    .whereIn('group_id', layerGroups.map(group => group.id))
+    .orderBy('z_index', 'asc')
+    .orderBy('name', 'asc');
+
+  const groupIds = layerGroups.map(group => group.id);
+  const layerIds = layers.map(layer => layer.id);
+
+  const layerPermissions = await trx('layer_permissions')
+    .where(builder => builder.whereIn('layer_group_id', groupIds).orWhereIn('layer_id', layerIds))
+    .orderBy('id', 'asc');
+
+  const layerStyles = await trx('layer_styles')
+    .whereIn('layer_id', layerIds)
+    .orderBy('layer_id', 'asc')
+    .orderBy('sort_order', 'asc');
+
+  const layerHealth = await trx('layer_health')
+    .whereIn('layer_id', layerIds)
+    .orderBy('layer_id', 'asc');
+
+  // Round-trip through JSON so dates compare the same way as stored snapshots
+  return JSON.parse(JSON.stringify({
+    map: mapRow,
+    layer_groups: layerGroups,
+    layers,
+    layer_permissions: layerPermissions,
+    layer_styles: layerStyles,
+    layer_health: layerHealth,
+  }));
+}
+
+/**
+ * Store a snapshot of the map's current state as a new revision
+ * The map row is locked so concurrent revisions of a map get consecutive numbers
+ * @param {string} mapId - Map ID
+ * @param {object} req - Express request (for the acting user)
+ * @param {string} summary - Description of the change
+ * @param {object} trx - Optional transaction; without one the revision gets its own
+ * @returns {Promise<object|null>} The revision row
+ */
+async function createRevision(mapId, req, summary, trx = null) {
+  if (!trx) {
+    return db.transaction(ownTrx => createRevision(mapId, req, summary, ownTrx));
+  }
+
+  const map = await trx('maps').select('id').where('id', mapId).forUpdate().first();
+  if (!map) {
+    return null;
+  }
+
+  const snapshot = await buildSnapshot(mapId, trx);
+
+  const latest = await trx('map_revisions')
+    .where('map_id', mapId)
+    .max('revision as revision')
+    .first();
+
+  const [revision] = await trx('map_revisions')
+    .insert({
+      id: uuidv4(),
+      map_id: mapId,
+      revision: (parseInt(latest.revision) || 0) + 1,
+      snapshot: JSON.stringify(snapshot),
+      summary: summary ? summary.slice(0, 255) : null,
+      created_by: req.user?.id || null,
+    })
+    .returning(['id', 'map_id', 'revision', 'summary', 'created_by', 'created_at']);
+
+  return revision;
+}
+
+/**
+ * Apply a change to a map and record its revision in the same transaction
+ * The map row is locked first, so changes to the same map are serialized and each revision holds
+ * the state its change produced. Maps created before revisions existed get a baseline revision of
+ * their original state before the change.
+ * A change that returns nothing, no rows or a count of 0 records no revision.
+ * @param {string} mapId - Map ID
+ * @param {object} req - Express request (for the acting user)
+ * @param {string|Function} summary - Description of the change, or (result) => description
+ * @param {Function} change - async (trx) => result
+ * @returns {Promise<*>} The change's result
+ */
+async function withRevision(mapId, req, summary, change) {
+  return db.transaction(async (trx) => {
+    await trx('maps').select('id').where('id', mapId).forUpdate().first();
+
+    const baseline = await trx('map_revisions').where('map_id', mapId).first('id');
+    if (!baseline) {
+      await createRevision(mapId, req, 'Initial state', trx);
+    }
+
+    const result = await change(trx);
+    if (Array.isArray(result) ? result.length > 0 : result) {
+      await createRevision(mapId, req, typeof summary === 'function' ? summary(result) : summary, trx);
+    }
+    return result;
+  });
+}
+
+/**
+ * Get the map ID a layer group belongs to
+ */
+async function getMapIdForGroup(groupId) {
+  const group = await db('layer_groups').select('map_id').where('id', groupId).first();
+  return group ? group.map_id : null;
+}
+
+/**
+ * Diff two lists of rows by ID
+ * @returns {{ added: object[], removed: object[], changed: object[] }}
+ */
+function diffRows(fromRows, toRows) {
+  const fromById = new Map(fromRows.map(row => [row.id, row]));
+  const toById = new Map(toRows.map(row => [row.id, row]));
+
+  const added = toRows.filter(row => !fromById.has(row.id));
+  const removed = fromRows.filter(row => !toById.has(row.id));
+  const changed = [];
+
+  for (const row of toRows) {
+    const previous = fromById.get(row.id);
+    if (previous) {
+      const changes = diffStates(previous, row);
+      if (changes) {
+        changed.push({ id: row.id, name: row.name, changes });
+      }
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Diff two snapshots
+ */
+function diffSnapshots(fromSnapshot, toSnapshot) {
+  return {
+    map: diffStates(fromSnapshot.map, toSnapshot.map),
+    layer_groups: diffRows(fromSnapshot.layer_groups, toSnapshot.layer_groups),
+    layers: diffRows(fromSnapshot.layers, toSnapshot.layers),
+  };
+}
+
+/**
+ * Insert the snapshot's layer permissions, library styles and health of recreated groups and layers
+ * Rows of roles and styles deleted since the snapshot are skipped
+ */
+async function restoreRelatedRows(trx, snapshot, recreatedGroupIds, recreatedLayerIds) {
+  const permissions = (snapshot.layer_permissions || [])
+    .filter(row => recreatedGroupIds.has(row.layer_group_id) || recreatedLayerIds.has(row.layer_id));
+  const roleIds = new Set((await trx('roles')
+    .select('id')
+    .whereIn('id', permissions.map(row => row.role_id))).map(row => row.id));
+  const restoredPermissions = permissions.filter(row => roleIds.has(row.role_id));
+  if (restoredPermissions.length > 0) {
+    await trx('layer_permissions').insert(restoredPermissions);
+  }
+
+  const styles = (snapshot.layer_styles || []).filter(row => recreatedLayerIds.has(row.layer_id));
+  const styleIds = new Set((await trx('styles')
+    .select('id')
+    .whereIn('id', styles.map(row => row.style_id))).map(row => row.id));
+  const restoredStyles = styles.filter(row => styleIds.has(row.style_id));
+  if (restoredStyles.length > 0) {
+    await trx('layer_styles').insert(restoredStyles);
+  }
+
+  const health = (snapshot.layer_health || []).filter(row => recreatedLayerIds.has(row.layer_id));
+  if (health.length > 0) {
+    await trx('layer_health').insert(health);
+  }
+}
+
+/**
+ * Restore a map to a snapshot in one transaction
+ * Groups and layers missing from the snapshot are deleted, the rest are recreated or overwritten,
+ * and a new revision is recorded for the restored state.
+ * Recreated groups and layers get back their layer permissions, library styles and health; groups and
+ * layers that still exist keep their current ones, so later permission changes aren't undone.
+ * @returns {Promise<object>} The new revision row
+ * @throws {RevisionError} 409 if the snapshot would recreate groups or layers but predates stored permissions
+ */
+async function restoreSnapshot(mapId, snapshot, req, summary) {
+  return db.transaction(async (trx) => {
+    const existingGroupIds = new Set((await trx('layer_groups')
+      .select('id')
+      .whereIn('id', snapshot.layer_groups.map(group => group.id))).map(row => row.id));
+    const existingLayerIds = new Set((await trx('layers')
+      .select('id')
+      .whereIn('id', snapshot.layers.map(layer => layer.id))).map(row => row.id));
+
+    const recreatedGroupIds = new Set(snapshot.layer_groups
+      .map(group => group.id)
+      .filter(id => !existingGroupIds.has(id)));
+    const recreatedLayerIds = new Set(snapshot.layers
+      .map(layer => layer.id)
+      .filter(id => !existingLayerIds.has(id)));
+
+    // Without their permissions, recreated groups and layers would be visible to everyone
+    if (!snapshot.layer_permissions && (recreatedGroupIds.size > 0 || recreatedLayerIds.size > 0)) {
+      throw new RevisionError(
+        'This revision predates stored layer permissions and would recreate deleted groups or layers',
+        409
+      );
+    }
+
+    const mapData = {};
+    for (const [column, value] of Object.entries(snapshot.map)) {
+      if (!MAP_SKIP_COLUMNS.includes(column)) {
+        mapData[column] = value;
+      }
+    }
+    mapData.center = snapshot.map.center
+      ? trx.raw('ST_SetSRID(ST_GeomFromGeoJSON(?), 4326)', [JSON.stringify(snapshot.map.center)])
+      : null;
+
+    await trx('maps').where('id', mapId).update(mapData);
+
+    const groupIds = snapshot.layer_groups.map(group => group.id);
+    const layerIds = snapshot.layers.map(layer => layer.id);
+
+    if (snapshot.layer_groups.length > 0) {
+      await trx('layer_groups')
+        .insert(snapshot.layer_groups.map(group => ({ ...group, map_id: mapId })))
+        .onConflict('id')
+        .merge();
+    }
+
+    if (snapshot.layers.length > 0) {
+      await trx('layers')
+        .insert(snapshot.layers)
+        .onConflict('id')
+        .merge();
+    }
+
+    // Remove what was added after the snapshot
+    const staleLayers = trx('layers')
+      .whereIn('group_id', trx('layer_groups').select('id').where('map_id', mapId));
+    if (layerIds.length > 0) {
+      staleLayers.whereNotIn('id', layerIds);
+    }
+    await staleLayers.del();
+
+    const staleGroups = trx('layer_groups').where('map_id', mapId);
+    if (groupIds.length > 0) {
+      staleGroups.whereNotIn('id', groupIds);
+    }
+    await staleGroups.del();
+
+    await restoreRelatedRows(trx, snapshot, recreatedGroupIds, recreatedLayerIds);
+
+    return createRevision(mapId, req, summary, trx);
+  });
+}
+
+module.exports = {
+  RevisionError,
+  buildSnapshot,
+  createRevision,
+  withRevision,
+  getMapIdForGroup,
+  diffSnapshots,
+  restoreSnapshot,
+};
@@ -0,0 +1,286 @@
+const path = require('path');
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const knexConfig = require('../../knexfile');
+const { executeCommand, quoteArg } = require('../utils/exec');
+const { getGeoServerClient } = require('./geoserver.service');
+const logger = require('../utils/logger');
+
+const DEFAULT_EPSG = parseInt(process.env.DEFAULT_EPSG) || 4326;
+const IMPORT_SCHEMA = process.env.IMPORT_SCHEMA || 'public';
+
+// Shapefile components that must be present in the ZIP
+const REQUIRED_EXTENSIONS = ['.shp', '.shx', '.dbf', '.prj'];
+// Optional components that are extracted alongside the required ones
+const OPTIONAL_EXTENSIONS = ['.cpg', '.qix', '.sbn', '.sbx', '.xml'];
+
+/**
+ * Error raised for invalid shapefile archives
+ * Carries a 400 status so controllers can report it to the client
+ */
+class ShapefileValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShapefileValidationError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Inspect a ZIP archive and return its shapefile components
+ * @param {string} zipPath - Path of the uploaded ZIP
+ * @returns {{ baseName: string, entries: object[] }}
+ */
+function inspectShapefileZip(zipPath) {
+  let zip;
+  try {
+    zip = new AdmZip(zipPath);
+  } catch (error) {
+    throw new ShapefileValidationError('File is not a valid ZIP archive');
+  }
+
+  const entries = zip.getEntries().filter(entry => {
+    if (entry.isDirectory) return false;
+    const name = path.basename(entry.entryName);
+    // Skip macOS resource forks and hidden files
+    return !name.startsWith('.') && !entry.entryName.startsWith('__MACOSX/');
+  });
+
+  const shpEntries = entries.filter(entry => path.extname(entry.entryName).toLowerCase() === '.shp');
+  if (shpEntries.length === 0) {
+    throw new ShapefileValidationError('ZIP does not contain a .shp file');
+  }
+  if (shpEntries.length > 1) {
+    throw new ShapefileValidationError('ZIP must contain exactly one shapefile');
+  }
+
+  const shpName = shpEntries[0].entryName;
+  const baseName = path.basename(shpName, path.extname(shpName));
+  const components = entries.filter(entry => {
+    const name = path.basename(entry.entryName);
+    return path.basename(name, path.extname(name)) === baseName;
+  });
+
+  const present = components.map(entry => path.extname(entry.entryName).toLowerCase());
+  const missing = REQUIRED_EXTENSIONS.filter(ext => !present.includes(ext));
+  if (missing.length > 0) {
+    throw new ShapefileValidationError(`Shapefile is missing required components: ${missing.join(', ')}`);
+  }
+
+  return {
+    baseName,
+    entries: components.filter(entry => {
+      const ext = path.extname(entry.entryName).toLowerCase();
+      return REQUIRED_EXTENSIONS.includes(ext) || OPTIONAL_EXTENSIONS.includes(ext);
+    }),
+  };
+}
+
+/**
+ * Extract shapefile components into a flat directory
+ * Entries are written by base name only, so archive paths can't escape destDir
+ * @returns {Promise<string>} Path of the extracted .shp file
+ */
+async function extractShapefile(zipPath, destDir) {
+  const { baseName, entries } = inspectShapefileZip(zipPath);
+
+  await fs.promises.mkdir(destDir, { recursive: true });
+
+  let shpPath = null;
+  for (const entry of entries) {
+    const ext = path.extname(entry.entryName).toLowerCase();
+    const target = path.join(destDir, `${baseName}${ext}`);
+    await fs.promises.writeFile(target, entry.getData());
+    if (ext === '.shp') {
+      shpPath = target;
+    }
+  }
+
+  return shpPath;
+}
+
+/**
+ * Build a PostgreSQL/GeoServer-safe name from an uploaded file name
+ * Appends a short unique suffix so repeated uploads don't collide
+ * @param {string} originalName - Uploaded file name
+ * @param {string} fallbackPrefix - Prefix used when the name doesn't start with a letter
+ */
+function buildTableName(originalName, fallbackPrefix = 'shp') {
+  const base = path.basename(originalName, path.extname(originalName))
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const prefix = /^[a-z]/.test(base) ? base : `${fallbackPrefix}_${base}`;
+  const suffix = uuidv4().split('-')[0];
+  return `${prefix.slice(0, 50)}_${suffix}`.replace(/_+/g, '_');
+}
+
+/**
+ * Import a shapefile into PostGIS with ogr2ogr
+ * Geometries are reprojected to DEFAULT_EPSG and promoted to multi-types
+ * @returns {Promise<object>} Import metadata (feature count, geometry type, extent)
+ */
+async function importShapefile(shpPath, tableName) {
+  const connection = knexConfig[process.env.NODE_ENV || 'development'].connection;
+  const pgConnection = `PG:host=${connection.host} port=${connection.port || 5432} dbname=${connection.database} user=${connection.user}`;
+
+  const command = [
+    'ogr2ogr',
+    '-f PostgreSQL',
+    quoteArg(pgConnection),
+    quoteArg(shpPath),
+    `-nln ${quoteArg(`${IMPORT_SCHEMA}.${tableName}`)}`,
+    `-t_srs EPSG:${DEFAULT_EPSG}`,
+    '-nlt PROMOTE_TO_MULTI',
+    '-lco GEOMETRY_NAME=geom',
+    '-lco FID=gid',
+    '-lco SPATIAL_INDEX=NONE',
+    '-lco PRECISION=NO',
+  ].join(' ');
+
+  // Pass the password via the environment so it never appears in logs
+  await executeCommand(command, {
+    env: { ...process.env, PGPASSWORD: connection.password || '' },
+    ignoreStderr: true,
+  });
+
+  await db.raw('CREATE INDEX IF NOT EXISTS ?? ON ??.?? USING GIST (geom)', [
+    `${tableName}_geom_idx`,
+    IMPORT_SCHEMA,
+    tableName,
+  ]);
+  await db.raw('ANALYZE ??.??', [IMPORT_SCHEMA, tableName]);
+
+  const stats = await db.raw(
+    `SELECT COUNT(*) AS feature_count,
+            (SELECT GeometryType(geom) FROM ??.?? WHERE geom IS NOT NULL LIMIT 1) AS geometry_type,
+            ST_AsGeoJSON(ST_Extent(geom)::geometry) AS extent
+       FROM ??.??`,
+    [IMPORT_SCHEMA, tableName, IMPORT_SCHEMA, tableName]
+  );
+  const row = stats.rows[0];
+
+  return {
+    schema: IMPORT_SCHEMA,
+    table_name: tableName,
+    srid: DEFAULT_EPSG,
+    feature_count: parseInt(row.feature_count) || 0,
+    geometry_type: row.geometry_type,
+    extent: row.extent ? JSON.parse(row.extent) : null,
+  };
+}
+
+/**
+ * Update an uploads row, keeping updated_at current
+ */
+async function updateUpload(id, data) {
+  await db('uploads')
+    .where('id', id)
+    .update({ ...data, updated_at: db.fn.now() });
+}
+
+/**
+ * Run the full shapefile pipeline for an uploads row:
+ * extract ZIP -> import into PostGIS -> index -> publish to GeoServer -> optionally register a layer
+ * Status and errors are recorded on the uploads row; the ZIP and extracted files are removed afterwards
+ * @param {object} upload - uploads row
+ * @param {string} zipPath - Path of the uploaded ZIP
+ * @param {object} options - { layerGroupId, layerName, onProgress(percent, message), signal }
+ *   signal (AbortSignal) stops the pipeline between steps
+ * @throws Rethrows the pipeline error once the failure is recorded
+ */
+async function processShapefileUpload(upload, zipPath, options = {}) {
+  const workDir = path.join(path.dirname(zipPath), upload.id);
+  const progress = options.onProgress || (async () => {});
+  const checkAborted = () => options.signal && options.signal.throwIfAborted();
+  let tableName = null;
+  let published = null;
+
+  try {
+    await updateUpload(upload.id, { status: 'processing' });
+    await progress(10, 'Extracting shapefile');
+
+    const shpPath = await extractShapefile(zipPath, workDir);
+    tableName = buildTableName(upload.original_name);
+    checkAborted();
+
+    logger.info(`Importing upload ${upload.id} into ${IMPORT_SCHEMA}.${tableName}`);
+    await progress(20, 'Importing into PostGIS');
+    const metadata = await importShapefile(shpPath, tableName);
+
+    checkAborted();
+    await progress(70, 'Publishing to GeoServer');
+    const geoserver = getGeoServerClient();
+    const layerName = await geoserver.publishFeatureType(tableName, {
+      title: options.layerName || upload.original_name,
+      srs: `EPSG:${DEFAULT_EPSG}`,
+    });
+    published = {
+      type: 'featuretype',
+      name: tableName,
+      store: geoserver.options.datastore,
+      layer: layerName,
+    };
+    metadata.geoserver = published;
+    checkAborted();
+
+    let layerId = null;
+    if (options.layerGroupId) {
+      layerId = uuidv4();
+      await db('layers').insert({
+        id: layerId,
+        group_id: options.layerGroupId,
+        name: options.layerName || path.basename(upload.original_name, path.extname(upload.original_name)),
+        type: 'wms',
+        url: geoserver.wmsUrl,
+        layer_name: layerName,
+        style: null,
+        z_index: 0,
+        visible: true,
+      });
+    }
+
+    await updateUpload(upload.id, {
+      status: 'completed',
+      table_name: tableName,
+      layer_id: layerId,
+      metadata: JSON.stringify(metadata),
+      error_message: null,
+      completed_at: db.fn.now(),
+    });
+
+    logger.info(`Upload ${upload.id} completed (${metadata.feature_count} features)`);
+  } catch (error) {
+    logger.error(`Upload ${upload.id} failed:`, error);
+    if (published) {
+      await getGeoServerClient().unpublish(published)
+        .catch(unpublishError => logger.error(`Failed to unpublish ${published.layer}:`, unpublishError));
+    }
+    if (tableName) {
+      // Drop any partially imported table
+      await db.raw('DROP TABLE IF EXISTS ??.??', [IMPORT_SCHEMA, tableName])
+        .catch(dropError => logger.error(`Failed to drop table ${tableName}:`, dropError));
+    }
+    await updateUpload(upload.id, {
+      status: 'failed',
+      error_message: error.stderr || error.message,
+      completed_at: db.fn.now(),
+    }).catch(updateError => logger.error(`Failed to record upload ${upload.id} failure:`, updateError));
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    await fs.promises.rm(zipPath, { force: true });
+  }
+}
+
+module.exports = {
+  REQUIRED_EXTENSIONS,
+  ShapefileValidationError,
+  inspectShapefileZip,
+  extractShapefile,
+  buildTableName,
+  importShapefile,
+  processShapefileUpload,
+};
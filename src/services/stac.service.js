@@ -0,0 +1,391 @@
+const path = require('path');
+const { validate: isUuid } = require('uuid');
+const { db } = require('../db');
+const productService = require('./product.service');
+const { FootprintError, parseGeoJsonGeometry } = require('./footprint.service');
+
+const STAC_VERSION = '1.0.0';
+const CATALOG_ID = 'spectra-products';
+const UNCATEGORIZED = 'uncategorized';
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const CONFORMANCE = [
+  'https://api.stacspec.org/v1.0.0/core',
+  'https://api.stacspec.org/v1.0.0/collections',
+  'https://api.stacspec.org/v1.0.0/ogcapi-features',
+  'https://api.stacspec.org/v1.0.0/item-search',
+  'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core',
+  'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson',
+];
+
+const MEDIA_TYPES = {
+  '.pdf': 'application/pdf',
+  '.tif': 'image/tiff; application=geotiff',
+  '.tiff': 'image/tiff; application=geotiff',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+};
+
+/**
+ * Error raised for invalid STAC request parameters
+ */
+class StacError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'StacError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Build a collection ID from a product category
+ */
+function toCollectionId(category) {
+  if (!category) {
+    return UNCATEGORIZED;
+  }
+  return category
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || UNCATEGORIZED;
+}
+
+/**
+ * Load categories with their product counts and extents as collections
+ * @returns {Promise<object[]>} [{ id, title, categories, count, bbox, start, end }]
+ */
+async function getCollections() {
+  const rows = await db('products')
+    .select(
+      'category',
+      db.raw('count(id) as count'),
+      db.raw('ST_XMin(ST_Extent(footprint)) as min_x'),
+      db.raw('ST_YMin(ST_Extent(footprint)) as min_y'),
+      db.raw('ST_XMax(ST_Extent(footprint)) as max_x'),
+      db.raw('ST_YMax(ST_Extent(footprint)) as max_y'),
+      db.raw('min(date) as start'),
+      db.raw('max(date) as end')
+    )
+    .groupBy('category')
+    .orderBy('category', 'asc');
+
+  // Categories that only differ in case or punctuation share a collection
+  const collections = new Map();
+  for (const row of rows) {
+    const id = toCollectionId(row.category);
+    const collection = collections.get(id) || { id, categories: [], count: 0, bboxes: [], dates: [] };
+    collection.categories.push(row.category);
+    collection.count += parseInt(row.count) || 0;
+    if (row.min_x !== null) {
+      collection.bboxes.push([row.min_x, row.min_y, row.max_x, row.max_y]);
+    }
+    collection.dates.push(row.start, row.end);
+    collections.set(id, collection);
+  }
+
+  return [...collections.values()].map((collection) => {
+    const dates = collection.dates.filter(Boolean).map(date => new Date(date));
+    const bboxes = collection.bboxes;
+    return {
+      id: collection.id,
+      title: collection.categories.find(Boolean) || 'Uncategorized',
+      categories: collection.categories,
+      count: collection.count,
+      bbox: bboxes.length > 0
+        ? [
+          Math.min(...bboxes.map(bbox => bbox[0])),
+          Math.min(...bboxes.map(bbox => bbox[1])),
+          Math.max(...bboxes.map(bbox => bbox[2])),
+          Math.max(...bboxes.map(bbox => bbox[3])),
+        ]
+        : [-180, -90, 180, 90],
+      start: dates.length > 0 ? new Date(Math.min(...dates)).toISOString() : null,
+      end: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null,
+    };
+  });
+}
+
+/**
+ * Find a collection by ID
+ * @returns {Promise<object|null>}
+ */
+async function findCollection(collectionId) {
+  const collections = await getCollections();
+  return collections.find(collection => collection.id === collectionId) || null;
+}
+
+/**
+ * Parse a STAC datetime: a single instant or an interval with ".." for open ends
+ * @returns {{ from: string|null, to: string|null }}
+ */
+function parseDatetime(value) {
+  const parts = String(value).split('/');
+  if (parts.length > 2) {
+    throw new StacError('datetime must be an RFC 3339 instant or interval');
+  }
+
+  const [start, end = start] = parts.map(part => (part === '..' || part === '' ? null : part));
+  for (const part of [start, end]) {
+    if (part && isNaN(Date.parse(part))) {
+      throw new StacError('datetime must be an RFC 3339 instant or interval');
+    }
+  }
+  if (!start && !end) {
+    throw new StacError('datetime interval must have at least one end');
+  }
+  if (start && end && new Date(start) > new Date(end)) {
+    throw new StacError('datetime interval start must not be after its end');
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Parse a list parameter given as an array or comma-separated text
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse search parameters (query string for GET, JSON body for POST)
+ * @returns {Promise<object>} { filters, limit, page, empty }
+ */
+async function parseSearch(params) {
+  const limit = params.limit !== undefined ? parseInt(params.limit) : DEFAULT_LIMIT;
+  const page = params.page !== undefined ? parseInt(params.page) : 1;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new StacError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    throw new StacError('page must be greater than 0');
+  }
+
+  // Item ids are product UUIDs; other ids can't match anything
+  const ids = parseList(params.ids);
+  const filters = { ids: ids.filter(id => isUuid(id)) };
+
+  if (params.bbox) {
+    const bbox = parseList(params.bbox).map(parseFloat);
+    // 3D bboxes carry min/max elevation at positions 2 and 5
+    const flat = bbox.length === 6 ? [bbox[0], bbox[1], bbox[3], bbox[4]] : bbox;
+    if (flat.length !== 4 || flat.some(number => !Number.isFinite(number))) {
+      throw new StacError('bbox must have 4 or 6 numbers');
+    }
+    filters.bbox = flat;
+  }
+
+  if (params.intersects) {
+    if (filters.bbox) {
+      throw new StacError('bbox and intersects cannot be used together');
+    }
+    try {
+      filters.intersects = parseGeoJsonGeometry(params.intersects);
+    } catch (error) {
+      if (error instanceof FootprintError) {
+        throw new StacError(`intersects: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  if (params.datetime) {
+    const { from, to } = parseDatetime(params.datetime);
+    filters.dateFrom = from;
+    filters.dateTo = to;
+  }
+
+  const collectionIds = parseList(params.collections);
+  if (collectionIds.length > 0) {
+    const collections = (await getCollections()).filter(collection => collectionIds.includes(collection.id));
+    filters.categories = collections.flatMap(collection => collection.categories);
+  }
+
+  // Unknown collections and ids match nothing rather than being ignored
+  const empty = (collectionIds.length > 0 && filters.categories.length === 0)
+    || (ids.length > 0 && filters.ids.length === 0);
+
+  return { filters, limit, page, empty };
+}
+
+/**
+ * Search products as STAC items
+ * @returns {Promise<{ rows: object[], matched: number }>}
+ */
+async function searchItems({ filters, limit, page, empty }) {
+  if (empty) {
+    return { rows: [], matched: 0 };
+  }
+
+  const countResult = await productService.applyProductFilters(db('products'), filters)
+    .count('products.id as count')
+    .first();
+
+  const rows = await productService.applyProductFilters(db('products'), filters)
+    .select(
+      'products.id',
+      'products.title',
+      'products.date',
+      'products.category',
+      'products.description',
+      'products.keywords',
+      'products.filename',
+      'products.thumbnail',
+      'products.created_at',
+      db.raw('ST_AsGeoJSON(products.footprint, 6) as footprint'),
+      db.raw('ST_XMin(products.footprint) as min_x'),
+      db.raw('ST_YMin(products.footprint) as min_y'),
+      db.raw('ST_XMax(products.footprint) as max_x'),
+      db.raw('ST_YMax(products.footprint) as max_y')
+    )
+    .orderByRaw('products.date desc nulls last')
+    .orderBy('products.id', 'asc')
+    .limit(limit)
+    .offset((page - 1) * limit);
+
+  return {
+    rows,
+    matched: parseInt(countResult.count) || 0,
+  };
+}
+
+/**
+ * Build a STAC item from a product row
+ * @param {object} row - Row from searchItems
+ * @param {string} baseUrl - Absolute URL of the API root (e.g. https://host/api)
+ */
+function toItem(row, baseUrl) {
+  const stacUrl = `${baseUrl}/stac`;
+  const collection = toCollectionId(row.category);
+  const datetime = row.date || row.created_at;
+  const ext = row.filename ? path.extname(row.filename).toLowerCase() : '';
+
+  const item = {
+    type: 'Feature',
+    stac_version: STAC_VERSION,
+    stac_extensions: [],
+    id: row.id,
+    collection,
+    geometry: row.footprint ? JSON.parse(row.footprint) : null,
+    properties: {
+      title: row.title,
+      description: row.description || undefined,
+      datetime: datetime ? new Date(datetime).toISOString() : null,
+      created: row.created_at ? new Date(row.created_at).toISOString() : undefined,
+      keywords: row.keywords ? row.keywords.split(',').map(keyword => keyword.trim()) : undefined,
+      category: row.category || undefined,
+    },
+    links: [
+      { rel: 'self', type: 'application/geo+json', href: `${stacUrl}/collections/${collection}/items/${row.id}` },
+      { rel: 'parent', type: 'application/json', href: `${stacUrl}/collections/${collection}` },
+      { rel: 'collection', type: 'application/json', href: `${stacUrl}/collections/${collection}` },
+      { rel: 'root', type: 'application/json', href: stacUrl },
+    ],
+    assets: {},
+  };
+
+  // bbox is only allowed alongside a geometry
+  if (item.geometry) {
+    item.bbox = [row.min_x, row.min_y, row.max_x, row.max_y];
+  }
+
+  if (row.filename) {
+    item.assets.data = {
+      href: `${baseUrl}/products/${row.id}/download`,
+      type: MEDIA_TYPES[ext] || 'application/octet-stream',
+      title: path.basename(row.filename),
+      roles: ['data'],
+    };
+  }
+  if (row.thumbnail) {
+    item.assets.thumbnail = {
+      href: `${baseUrl}/products/${row.id}/preview`,
+      type: 'image/png',
+      roles: ['thumbnail'],
+    };
+  }
+
+  return item;
+}
+
+/**
+ * Build a STAC collection document
+ */
+function toCollection(collection, baseUrl) {
+  const stacUrl = `${baseUrl}/stac`;
+  return {
+    type: 'Collection',
+    stac_version: STAC_VERSION,
+    stac_extensions: [],
+    id: collection.id,
+    title: collection.title,
+    description: `Products in category ${collection.title} (${collection.count})`,
+    license: 'proprietary',
+    extent: {
+      spatial: { bbox: [collection.bbox] },
+      temporal: { interval: [[collection.start, collection.end]] },
+    },
+    links: [
+      { rel: 'self', type: 'application/json', href: `${stacUrl}/collections/${collection.id}` },
+      { rel: 'items', type: 'application/geo+json', href: `${stacUrl}/collections/${collection.id}/items` },
+      { rel: 'parent', type: 'application/json', href: stacUrl },
+      { rel: 'root', type: 'application/json', href: stacUrl },
+    ],
+  };
+}
+
+/**
+ * Build the landing page
+ */
+function toLandingPage(collections, baseUrl) {
+  const stacUrl = `${baseUrl}/stac`;
+  return {
+    type: 'Catalog',
+    stac_version: STAC_VERSION,
+    id: CATALOG_ID,
+    title: 'Spectra products',
+    description: 'Products catalogue of the Spectra Web GIS',
+    conformsTo: CONFORMANCE,
+    links: [
+      { rel: 'self', type: 'application/json', href: stacUrl },
+      { rel: 'root', type: 'application/json', href: stacUrl },
+      { rel: 'conformance', type: 'application/json', href: `${stacUrl}/conformance` },
+      { rel: 'data', type: 'application/json', href: `${stacUrl}/collections` },
+      { rel: 'search', type: 'application/geo+json', href: `${stacUrl}/search`, method: 'GET' },
+      { rel: 'search', type: 'application/geo+json', href: `${stacUrl}/search`, method: 'POST' },
+      ...collections.map(collection => ({
+        rel: 'child',
+        type: 'application/json',
+        href: `${stacUrl}/collections/${collection.id}`,
+        title: collection.title,
+      })),
+    ],
+  };
+}
+
+module.exports = {
+  STAC_VERSION,
+  CONFORMANCE,
+  StacError,
+  toCollectionId,
+  getCollections,
+  findCollection,
+  parseSearch,
+  searchItems,
+  toItem,
+  toCollection,
+  toLandingPage,
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+const { resolveFilePath, getProductFilePath, getProductThumbnailPath } = require('./product.service');
+const { PREVIEW_DIR } = require('./preview.service');
+const { THUMBNAIL_DIR: THUMBNAIL_PATH } = require('./thumbnail.service');
+const logger = require('../utils/logger');
+
+const PRODUCT_FILE_DIR = path.resolve(process.cwd(), 'uploads', 'file');
+const THUMBNAIL_DIR = path.resolve(process.cwd(), THUMBNAIL_PATH);
+
+// Suffix of files moved aside while a product change is committed
+const STAGED_SUFFIX = '.deleting-';
+
+/**
+ * Files owned by a product: its file and thumbnail
+ * Products created through the API own their whole uploads/file/{id}/ directory; older products
+ * share directories, so only their file is included.
+ * @returns {string[]} Absolute paths
+ */
+function getProductFiles(product) {
+  const files = [];
+
+  const filePath = getProductFilePath(product);
+  if (filePath) {
+    const absolutePath = resolveFilePath(filePath);
+    const ownDir = path.join(PRODUCT_FILE_DIR, String(product.id));
+    files.push(path.dirname(absolutePath) === ownDir ? ownDir : absolutePath);
+  }
+
+  const thumbnailPath = getProductThumbnailPath(product);
+  if (thumbnailPath) {
+    files.push(resolveFilePath(thumbnailPath));
+  }
+
+  return files;
+}
+
+/**
+ * Move files aside until a database change is committed
+ * Missing files are skipped. Call commit() once the change is stored to delete them,
+ * or rollback() to put them back.
+ * @param {string[]} paths - Absolute file or directory paths
+ * @returns {Promise<{ commit: Function, rollback: Function }>}
+ */
+async function stageRemoval(paths) {
+  const staged = [];
+
+  const rollback = async () => {
+    for (const entry of staged.reverse()) {
+      await fs.promises.rename(entry.stagedPath, entry.path)
+        .catch(error => logger.error(`Failed to restore ${entry.path}:`, error));
+    }
+  };
+
+  for (const filePath of paths) {
+    const stagedPath = `${filePath}${STAGED_SUFFIX}${uuidv4()}`;
+    try {
+      await fs.promises.rename(filePath, stagedPath);
+      staged.push({ path: filePath, stagedPath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        await rollback();
+        throw error;
+      }
+    }
+  }
+
+  return {
+    commit: async () => {
+      for (const entry of staged) {
+        await fs.promises.rm(entry.stagedPath, { recursive: true, force: true })
+          .catch(error => logger.error(`Failed to remove ${entry.stagedPath}:`, error));
+      }
+    },
+    rollback,
+  };
+}
+
+/**
+ * List the files under a directory, relative to it (POSIX separators)
+ */
+async function listFiles(dir, recursive = true) {
+  const files = [];
+  const walk = async (current) => {
+    const entries = await fs.promises.readdir(current, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) {
+          await walk(entryPath);
+        }
+      } else if (entry.isFile()) {
+        files.push(path.relative(dir, entryPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  await walk(dir);
+  return files;
+}
+
+/**
+ * Describe a file for the storage report
+ */
+async function describeFile(absolutePath, relativePath) {
+  const stat = await fs.promises.stat(absolutePath).catch(() => null);
+  return {
+    path: relativePath,
+    size: stat ? stat.size : null,
+    modified_at: stat ? stat.mtime.toISOString() : null,
+  };
+}
+
+/**
+ * Compare product storage with the products table
+ * @returns {Promise<object>} {
+ *   orphaned_files, orphaned_thumbnails, orphaned_previews: files no product refers to,
+ *   missing_files, missing_thumbnails: products whose file or thumbnail isn't on disk,
+ *   summary: counts and reclaimable bytes
+ * }
+ */
+async function getStorageReport() {
+  const products = await db('products').select('id', 'title', 'filename', 'thumbnail');
+
+  const referencedFiles = new Set();
+  const referencedThumbnails = new Set();
+  const missingFiles = [];
+  const missingThumbnails = [];
+
+  for (const product of products) {
+    const filePath = getProductFilePath(product);
+    if (!filePath) {
+      missingFiles.push({ id: product.id, title: product.title, filename: null });
+    } else {
+      const absolutePath = resolveFilePath(filePath);
+      referencedFiles.add(absolutePath);
+      if (!fs.existsSync(absolutePath)) {
+        missingFiles.push({ id: product.id, title: product.title, filename: product.filename });
+      }
+    }
+
+    const thumbnailPath = getProductThumbnailPath(product);
+    if (thumbnailPath) {
+      const absolutePath = resolveFilePath(thumbnailPath);
+      referencedThumbnails.add(absolutePath);
+      if (!fs.existsSync(absolutePath)) {
+        missingThumbnails.push({ id: product.id, title: product.title, thumbnail: product.thumbnail });
+      }
+    }
+  }
+
+  const orphanedFiles = [];
+  for (const file of await listFiles(PRODUCT_FILE_DIR)) {
+    const absolutePath = path.join(PRODUCT_FILE_DIR, file);
+    if (!referencedFiles.has(absolutePath)) {
+      orphanedFiles.push(await describeFile(absolutePath, path.posix.join('file', file)));
+    }
+  }
+
+  const orphanedThumbnails = [];
+  for (const file of await listFiles(THUMBNAIL_DIR, false)) {
+    const absolutePath = path.join(THUMBNAIL_DIR, file);
+    if (!referencedThumbnails.has(absolutePath)) {
+      orphanedThumbnails.push(await describeFile(absolutePath, path.posix.join('thumbnails', file)));
+    }
+  }
+
+  // Preview directories are named after the product ID
+  const productIds = new Set(products.map(product => String(product.id)));
+  const orphanedPreviews = [];
+  for (const file of await listFiles(PREVIEW_DIR)) {
+    if (!productIds.has(file.split('/')[0])) {
+      orphanedPreviews.push(await describeFile(path.join(PREVIEW_DIR, file), path.posix.join('previews', file)));
+    }
+  }
+
+  const orphaned = [...orphanedFiles, ...orphanedThumbnails, ...orphanedPreviews];
+
+  return {
+    summary: {
+      products: products.length,
+      missing_files: missingFiles.length,
+      missing_thumbnails: missingThumbnails.length,
+      orphaned: orphaned.length,
+      orphaned_bytes: orphaned.reduce((total, file) => total + (file.size || 0), 0),
+    },
+    missing_files: missingFiles,
+    missing_thumbnails: missingThumbnails,
+    orphaned_files: orphanedFiles,
+    orphaned_thumbnails: orphanedThumbnails,
+    orphaned_previews: orphanedPreviews,
+  };
+}
+
+module.exports = {
+  getProductFiles,
+  stageRemoval,
+  getStorageReport,
+};
@@ -0,0 +1,314 @@
+const xml2js = require('xml2js');
+const { validateStyleMin } = require('@maplibre/maplibre-gl-style-spec');
+const { db } = require('../db');
+
+const STYLE_FORMATS = ['sld', 'maplibre'];
+// Layer types each style format can be applied to
+const STYLE_LAYER_TYPES = {
+  sld: ['wms', 'wfs'],
+  maplibre: ['mvt', 'geojson', 'wfs', 'xyz'],
+};
+const MAX_STYLE_SIZE = 1024 * 1024;
+
+const SLD_VERSIONS = ['1.0.0', '1.1.0'];
+const SLD_SYMBOLIZERS = ['PointSymbolizer', 'LineSymbolizer', 'PolygonSymbolizer', 'TextSymbolizer', 'RasterSymbolizer'];
+
+// Maximum number of problems reported for one document
+const MAX_ERRORS = 50;
+
+/**
+ * Error raised for style documents or requests that fail validation
+ * Carries a status code and the list of problems found
+ */
+class StyleValidationError extends Error {
+  constructor(message, errors = [], statusCode = 400) {
+    super(message);
+    this.name = 'StyleValidationError';
+    this.errors = errors;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check for a plain JSON object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read the text content of an xml2js element
+ */
+function elementText(node) {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'string') return node.trim() || null;
+  return typeof node._ === 'string' ? node._.trim() || null : null;
+}
+
+/**
+ * Validate an SLD document
+ * Checks the StyledLayerDescriptor structure down to the symbolizers of each rule
+ * @param {string} content - SLD XML
+ * @returns {Promise<object>} Summary: { version, layers, styles, rule_count }
+ */
+async function validateSld(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new StyleValidationError('SLD content must be an XML string');
+  }
+
+  let doc;
+  try {
+    doc = await xml2js.parseStringPromise(content, {
+      tagNameProcessors: [xml2js.processors.stripPrefix],
+    });
+  } catch (error) {
+    throw new StyleValidationError('Invalid SLD', [`XML could not be parsed: ${error.message.split('\n')[0]}`]);
+  }
+
+  if (!doc || doc.StyledLayerDescriptor === undefined) {
+    throw new StyleValidationError('Invalid SLD', ['Root element must be StyledLayerDescriptor']);
+  }
+  // Empty elements are parsed as strings
+  const root = isObject(doc.StyledLayerDescriptor) ? doc.StyledLayerDescriptor : {};
+
+  const errors = [];
+  const version = root.$ && root.$.version;
+  if (!SLD_VERSIONS.includes(version)) {
+    errors.push(`StyledLayerDescriptor version must be one of: ${SLD_VERSIONS.join(', ')}`);
+  }
+
+  const layers = [
+    ...(root.NamedLayer || []).map((layer, index) => ({ layer, path: `NamedLayer[${index}]` })),
+    ...(root.UserLayer || []).map((layer, index) => ({ layer, path: `UserLayer[${index}]` })),
+  ];
+  if (layers.length === 0) {
+    errors.push('StyledLayerDescriptor must contain a NamedLayer or UserLayer');
+  }
+
+  const layerNames = [];
+  const styleNames = [];
+  let ruleCount = 0;
+
+  for (const { layer, path } of layers) {
+    const layerName = elementText(layer.Name && layer.Name[0]);
+    if (layerName) {
+      layerNames.push(layerName);
+    }
+
+    const userStyles = layer.UserStyle || [];
+    const namedStyles = layer.NamedStyle || [];
+    if (userStyles.length === 0 && namedStyles.length === 0) {
+      errors.push(`${path} must contain a UserStyle or NamedStyle`);
+    }
+
+    for (const style of namedStyles) {
+      const name = elementText(style.Name && style.Name[0]);
+      if (!name) {
+        errors.push(`${path}.NamedStyle requires a Name`);
+      } else {
+        styleNames.push(name);
+      }
+    }
+
+    userStyles.forEach((style, styleIndex) => {
+      const stylePath = `${path}.UserStyle[${styleIndex}]`;
+      const name = elementText(style.Name && style.Name[0]);
+      if (name) {
+        styleNames.push(name);
+      }
+
+      const typeStyles = [...(style.FeatureTypeStyle || []), ...(style.CoverageStyle || [])];
+      if (typeStyles.length === 0) {
+        errors.push(`${stylePath} must contain a FeatureTypeStyle or CoverageStyle`);
+      }
+
+      typeStyles.forEach((typeStyle, typeIndex) => {
+        const rules = typeStyle.Rule || [];
+        if (rules.length === 0) {
+          errors.push(`${stylePath}.FeatureTypeStyle[${typeIndex}] must contain a Rule`);
+        }
+        rules.forEach((rule, ruleIndex) => {
+          ruleCount++;
+          if (!SLD_SYMBOLIZERS.some(symbolizer => rule[symbolizer])) {
+            errors.push(`${stylePath}.FeatureTypeStyle[${typeIndex}].Rule[${ruleIndex}] has no symbolizer`);
+          }
+        });
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new StyleValidationError('Invalid SLD', errors.slice(0, MAX_ERRORS));
+  }
+
+  return {
+    version,
+    layers: layerNames,
+    styles: styleNames,
+    rule_count: ruleCount,
+  };
+}
+
+/**
+ * Validate a MapLibre/Mapbox GL style document (style specification version 8)
+ * Uses the MapLibre style spec validator, which also checks expressions and paint/layout values
+ * @param {string|object} content - Style JSON
+ * @returns {{ content: string, summary: object }} Normalized JSON and summary
+ */
+function validateMapLibre(content) {
+  let style = content;
+  if (typeof content === 'string') {
+    try {
+      style = JSON.parse(content);
+    } catch (error) {
+      throw new StyleValidationError('Invalid MapLibre style', [`JSON could not be parsed: ${error.message}`]);
+    }
+  }
+
+  if (!isObject(style)) {
+    throw new StyleValidationError('Invalid MapLibre style', ['Style must be a JSON object']);
+  }
+
+  const errors = validateStyleMin(style)
+    .filter(error => error.severity !== 'warning')
+    .map(error => error.message);
+
+  if (errors.length > 0) {
+    throw new StyleValidationError('Invalid MapLibre style', errors.slice(0, MAX_ERRORS));
+  }
+
+  return {
+    content: JSON.stringify(style),
+    summary: {
+      name: style.name || null,
+      sources: Object.keys(style.sources),
+      layer_count: style.layers.length,
+    },
+  };
+}
+
+/**
+ * Validate a style document of the given format
+ * @param {string} format - sld or maplibre
+ * @param {string|object} content - Document (MapLibre styles may be given as an object)
+ * @returns {Promise<{ content: string, summary: object }>} Content to store and its summary
+ * @throws {StyleValidationError}
+ */
+async function validateStyle(format, content) {
+  if (!STYLE_FORMATS.includes(format)) {
+    throw new StyleValidationError(`format must be one of: ${STYLE_FORMATS.join(', ')}`);
+  }
+  if (content === undefined || content === null || content === '') {
+    throw new StyleValidationError('Style content is required');
+  }
+
+  const size = Buffer.byteLength(typeof content === 'string' ? content : JSON.stringify(content));
+  if (size > MAX_STYLE_SIZE) {
+    throw new StyleValidationError(`Style content must be at most ${MAX_STYLE_SIZE / 1024} KB`);
+  }
+
+  if (format === 'sld') {
+    return { content, summary: await validateSld(content) };
+  }
+  return validateMapLibre(content);
+}
+
+/**
+ * Check if a style format can be applied to a layer type
+ */
+function isCompatible(format, layerType) {
+  return (STYLE_LAYER_TYPES[format] || []).includes(layerType);
+}
+
+/**
+ * Load the selectable styles of layers
+ * @param {string[]} layerIds - Layer IDs
+ * @returns {Promise<Map<string, object[]>>} Styles by layer ID, default first
+ */
+async function getLayerStyles(layerIds) {
+  const stylesByLayer = new Map();
+  if (layerIds.length === 0) {
+    return stylesByLayer;
+  }
+
+  const rows = await db('layer_styles')
+    .join('styles', 'styles.id', 'layer_styles.style_id')
+    .select(
+      'layer_styles.layer_id',
+      'styles.id',
+      'styles.name',
+      'styles.description',
+      'styles.format',
+      'layer_styles.is_default'
+    )
+    .whereIn('layer_styles.layer_id', layerIds)
+    .orderBy('layer_styles.is_default', 'desc')
+    .orderBy('layer_styles.sort_order', 'asc');
+
+  for (const { layer_id, ...style } of rows) {
+    if (!stylesByLayer.has(layer_id)) {
+      stylesByLayer.set(layer_id, []);
+    }
+    stylesByLayer.get(layer_id).push(style);
+  }
+  return stylesByLayer;
+}
+
+/**
+ * Replace the selectable styles of a layer in one transaction
+ * @param {object} layer - layers row
+ * @param {string[]} styleIds - Styles in the order they should be offered
+ * @param {string|null} defaultStyleId - Default style; the first style when omitted
+ * @returns {Promise<object[]>} The layer's styles, default first
+ * @throws {StyleValidationError} For unknown or incompatible styles
+ */
+async function setLayerStyles(layer, styleIds, defaultStyleId = null) {
+  if (!Array.isArray(styleIds) || styleIds.some(id => typeof id !== 'string')) {
+    throw new StyleValidationError('style_ids must be an array of style IDs');
+  }
+  const ids = [...new Set(styleIds)];
+  if (defaultStyleId && !ids.includes(defaultStyleId)) {
+    throw new StyleValidationError('default_style_id must be one of style_ids');
+  }
+
+  const styles = ids.length > 0 ? await db('styles').select('id', 'name', 'format').whereIn('id', ids) : [];
+  const missing = ids.filter(id => !styles.some(style => style.id === id));
+  if (missing.length > 0) {
+    throw new StyleValidationError('Unknown styles', missing.map(id => `Style ${id} not found`));
+  }
+
+  const incompatible = styles.filter(style => !isCompatible(style.format, layer.type));
+  if (incompatible.length > 0) {
+    throw new StyleValidationError(
+      `Styles can't be applied to ${layer.type} layers`,
+      incompatible.map(style => `"${style.name}" is a ${style.format} style`)
+    );
+  }
+
+  const defaultId = defaultStyleId || ids[0];
+  await db.transaction(async (trx) => {
+    await trx('layer_styles').where('layer_id', layer.id).del();
+    if (ids.length > 0) {
+      await trx('layer_styles').insert(ids.map((styleId, index) => ({
+        layer_id: layer.id,
+        style_id: styleId,
+        is_default: styleId === defaultId,
+        sort_order: index,
+      })));
+    }
+  });
+
+  return (await getLayerStyles([layer.id])).get(layer.id) || [];
+}
+
+module.exports = {
+  STYLE_FORMATS,
+  STYLE_LAYER_TYPES,
+  StyleValidationError,
+  validateSld,
+  validateMapLibre,
+  validateStyle,
+  isCompatible,
+  getLayerStyles,
+  setLayerStyles,
+};
@@ -0,0 +1,100 @@
+const path = require('path');
+const fs = require('fs');
+const { executeCommand, quoteArg } = require('../utils/exec');
+const logger = require('../utils/logger');
+
+const THUMBNAIL_DIR = path.join('uploads', 'thumbnails');
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE) || 512;
+
+// Extensions that GDAL can downscale directly to PNG
+const RASTER_EXTENSIONS = ['.tif', '.tiff', '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+
+/**
+ * Check whether a thumbnail can be generated for a file
+ * @param {string} filePath - Source file path
+ * @returns {boolean}
+ */
+function isThumbnailSupported(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.pdf' || RASTER_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Render the first page of a PDF to PNG using pdftoppm
+ * pdftoppm appends the .png extension to the output prefix itself
+ */
+async function renderPdfThumbnail(sourcePath, outputPath, size) {
+  const outputPrefix = outputPath.replace(/\.png$/i, '');
+  await executeCommand(
+    `pdftoppm -png -f 1 -l 1 -singlefile -scale-to ${size} ${quoteArg(sourcePath)} ${quoteArg(outputPrefix)}`,
+    { ignoreStderr: true }
+  );
+}
+
+/**
+ * Downscale an image or GeoTIFF to PNG using gdal_translate
+ * GeoTIFFs are stretched to 8-bit and limited to the first three bands
+ */
+async function renderRasterThumbnail(sourcePath, outputPath, size) {
+  const ext = path.extname(sourcePath).toLowerCase();
+  const args = ['-of PNG', `-outsize ${size} 0`];
+
+  if (ext === '.tif' || ext === '.tiff') {
+    const { stdout } = await executeCommand(`gdalinfo -json ${quoteArg(sourcePath)}`, { ignoreStderr: true });
+    const info = JSON.parse(stdout);
+    const bandCount = Array.isArray(info.bands) ? info.bands.length : 1;
+
+    args.push('-ot Byte', '-scale');
+    if (bandCount >= 3) {
+      args.push('-b 1 -b 2 -b 3');
+    } else {
+      args.push('-b 1');
+    }
+  }
+
+  await executeCommand(
+    `gdal_translate ${args.join(' ')} ${quoteArg(sourcePath)} ${quoteArg(outputPath)}`,
+    { ignoreStderr: true }
+  );
+
+  // gdal_translate writes a sidecar .aux.xml for PNG output; it is not needed
+  await fs.promises.rm(`${outputPath}.aux.xml`, { force: true });
+}
+
+/**
+ * Generate a PNG thumbnail for a product file
+ * @param {string} sourcePath - Absolute or cwd-relative path of the source file
+ * @param {string} thumbnailName - File name for the thumbnail (stored under uploads/thumbnails)
+ * @param {object} options - { size }
+ * @returns {Promise<string|null>} Thumbnail file name, or null if the type is unsupported
+ */
+async function generateThumbnail(sourcePath, thumbnailName, options = {}) {
+  const size = options.size || THUMBNAIL_SIZE;
+
+  if (!isThumbnailSupported(sourcePath)) {
+    return null;
+  }
+
+  await fs.promises.mkdir(THUMBNAIL_DIR, { recursive: true });
+  const outputPath = path.resolve(process.cwd(), THUMBNAIL_DIR, thumbnailName);
+
+  if (path.extname(sourcePath).toLowerCase() === '.pdf') {
+    await renderPdfThumbnail(sourcePath, outputPath, size);
+  } else {
+    await renderRasterThumbnail(sourcePath, outputPath, size);
+  }
+
+  if (!fs.existsSync(outputPath)) {
+    throw new Error(`Thumbnail was not created for ${sourcePath}`);
+  }
+
+  logger.info(`Generated thumbnail ${thumbnailName} for ${sourcePath}`);
+  return thumbnailName;
+}
+
+module.exports = {
+  THUMBNAIL_DIR,
+  THUMBNAIL_SIZE,
+  isThumbnailSupported,
+  generateThumbnail,
+};
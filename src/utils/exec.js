@@ -1,25 +1,120 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const execAsync = promisify(exec);
 
+// Abort signal of the background job running the current call chain, if any
+const abortContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with an abort signal that applies to every command it executes
+ * Used by the job queue so a timed-out job kills its child processes without passing
+ * the signal through every service
+ * @param {AbortSignal} signal - Abort signal
+ * @param {Function} fn - Function to run
+ */
+function runWithAbortSignal(signal, fn) {
+  return abortContext.run({ signal }, fn);
+}
+
+/**
+ * Run a shell command in its own process group
+ * exec() can't start detached processes, so output is collected here with the same maxBuffer limit
+ */
+function spawnCommand(command, options, signal) {
+  return new Promise((resolve, reject) => {
+    const maxBuffer = options.maxBuffer;
+    const child = spawn(command, {
+      cwd: options.cwd,
+      env: options.env,
+      shell: true,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const stdout = [];
+    const stderr = [];
+    let size = 0;
+    let failure = null;
+
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (killError) {
+        // The process group has already exited
+      }
+    };
+    const onAbort = () => {
+      failure = signal.reason || new Error('Command aborted');
+      killGroup();
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    const collect = chunks => (chunk) => {
+      size += chunk.length;
+      if (size > maxBuffer && !failure) {
+        failure = new RangeError('stdout/stderr maxBuffer exceeded');
+        killGroup();
+      }
+      chunks.push(chunk);
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    child.on('error', (error) => {
+      failure = failure || error;
+    });
+    child.on('close', (code, killSignal) => {
+      signal.removeEventListener('abort', onAbort);
+      const result = {
+        stdout: Buffer.concat(stdout).toString(),
+        stderr: Buffer.concat(stderr).toString(),
+      };
+
+      let error = failure;
+      if (!error && code !== 0) {
+        error = new Error(`Command failed: ${command}\n${result.stderr}`);
+        error.code = code;
+        error.signal = killSignal;
+      }
+      if (error) {
+        error.stdout = result.stdout;
+        error.stderr = result.stderr;
+        return reject(error);
+      }
+      resolve(result);
+    });
+  });
+}
+
 /**
  * Execute shell command and return result
+ * When an abort signal is given (or set with runWithAbortSignal), aborting kills the command's
+ * whole process group, including pipelines and the programs started by the shell
  * @param {string} command - Command to execute
  * @param {object} options - Execution options
  * @returns {Promise<{stdout: string, stderr: string}>}
  */
 async function executeCommand(command, options = {}) {
+  const { signal = abortContext.getStore()?.signal, ...execOptions } = options;
+  const commandOptions = {
+    maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+    ...execOptions,
+  };
+
   try {
-    const { stdout, stderr } = await execAsync(command, {
-      maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-      ...options,
-    });
-    
+    if (signal?.aborted) {
+      throw signal.reason || new Error('Command aborted');
+    }
+
+    const { stdout, stderr } = signal
+      ? await spawnCommand(command, commandOptions, signal)
+      : await execAsync(command, commandOptions);
+
     if (stderr && !options.ignoreStderr) {
       console.warn('Command stderr:', stderr);
     }
-    
+
     return { stdout, stderr };
   } catch (error) {
     console.error(`Error executing command: ${command}`, error);
@@ -27,7 +122,17 @@ async function executeCommand(command, options = {}) {
   }
 }
 
+/**
+ * Quote a value for safe use as a single shell argument
+ * @param {string|number} value - Argument value
+ * @returns {string}
+ */
+function quoteArg(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
 module.exports = {
   executeCommand,
+  quoteArg,
+  runWithAbortSignal,
 };
-
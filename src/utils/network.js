@@ -0,0 +1,139 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Outbound request guard
+ *
+ * Service URLs are supplied by users, so requests made for them must not reach the
+ * server's own network. Loopback, private, link-local (cloud metadata) and unique-local
+ * addresses are refused before the request, when the host name is resolved and on redirects.
+ */
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6');
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+class BlockedHostError extends Error {
+  constructor(hostname) {
+    super(`${hostname} is not a public address`);
+    this.name = 'BlockedHostError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Get the IPv4 address inside an IPv4-mapped IPv6 address (::ffff:a.b.c.d or ::ffff:xxxx:xxxx)
+ * @returns {string|null}
+ */
+function unmapIpv4(address) {
+  const match = address.toLowerCase().match(/^(?:0{0,4}:){0,5}:?ffff:(.+)$/);
+  if (!match) {
+    return null;
+  }
+  if (net.isIPv4(match[1])) {
+    return match[1];
+  }
+  const hex = match[1].match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!hex) {
+    return null;
+  }
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or unique-local
+ * Anything that isn't an IP address counts as blocked
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  if (family === 6) {
+    const mapped = unmapIpv4(address);
+    if (mapped) {
+      return BLOCKED_ADDRESSES.check(mapped, 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  }
+  return BLOCKED_ADDRESSES.check(address, 'ipv4');
+}
+
+/**
+ * dns.lookup replacement for outbound requests that refuses non-public addresses,
+ * so a public name can't resolve (or be re-pointed) to an internal host
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new BlockedHostError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Reject redirects to IP literals outside the public range
+ * Host names are checked by publicLookup when the redirect is followed
+ */
+function checkRedirect(options) {
+  const hostname = String(options.hostname || '').replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new BlockedHostError(hostname);
+  }
+}
+
+/**
+ * Make sure a URL's host is public before requesting it
+ * Lookup failures are left to the request itself to report
+ * @param {string} url - http(s) URL
+ * @throws {BlockedHostError}
+ */
+async function assertPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return;
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw new BlockedHostError(hostname);
+  }
+}
+
+/**
+ * axios options that keep a request (and its redirects) on public addresses
+ */
+const PUBLIC_REQUEST_OPTIONS = {
+  lookup: publicLookup,
+  beforeRedirect: checkRedirect,
+};
+
+module.exports = {
+  BlockedHostError,
+  isBlockedAddress,
+  assertPublicUrl,
+  PUBLIC_REQUEST_OPTIONS,
+};
@@ -0,0 +1,13 @@
+/**
+ * Escape LIKE/ILIKE wildcards so text only matches literally
+ * Backslash is PostgreSQL's default LIKE escape character
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
+module.exports = {
+  escapeLike,
+};
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fetchArcGisService, validateArcGisLayerId } = require('../src/services/arcgis.service');
+const { CapabilitiesError } = require('../src/services/capabilities.service');
+
+const internalService = 'http://10.0.0.5/arcgis/rest/services/Base/MapServer';
+
+test('refuses to describe services on internal hosts', async () => {
+  await assert.rejects(fetchArcGisService(internalService), error => (
+    error instanceof CapabilitiesError && error.statusCode === 400
+  ));
+});
+
+test('refuses to check layer ids against services on internal hosts', async () => {
+  await assert.rejects(validateArcGisLayerId(internalService, '0'), error => (
+    error instanceof CapabilitiesError && error.statusCode === 400
+  ));
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBundleIds, BundleRequestError } = require('../src/services/download.service');
+
+const productId = '0b8f3c2e-5d6a-4f1b-9c7e-2a4d6e8f0a1b';
+
+test('parses comma-separated ids without duplicates', () => {
+  assert.deepStrictEqual(parseBundleIds(`${productId}, ${productId}`), [productId]);
+});
+
+test('rejects ids that are not UUIDs with a 400', () => {
+  assert.throws(() => parseBundleIds([productId, 'abc']), error => (
+    error instanceof BundleRequestError && error.statusCode === 400 && /abc/.test(error.message)
+  ));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createGeoServerClient } = require('../src/services/geoserver.service');
+
+// Stub GeoServer: records requests and answers with the status the current test picks
+const requests = [];
+let respond = () => [404, ''];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const request = { method: req.method, url: req.url, auth: req.headers.authorization, body };
+    requests.push(request);
+    const [status, responseBody] = respond(request);
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(responseBody);
+  });
+});
+
+let client;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  client = createGeoServerClient({
+    url: `http://127.0.0.1:${server.address().port}/geoserver/`,
+    user: 'admin',
+    password: 'secret',
+    workspace: 'ws',
+    datastore: 'postgis',
+    timeout: 5000,
+    database: { host: 'db', port: 5432, database: 'spectra', user: 'u', password: 'p', schema: 'public' },
+  });
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+test('publishes a featuretype, creating the workspace and datastore', async () => {
+  respond = request => (request.method === 'GET' ? [404, 'No such resource'] : [201, '']);
+
+  const layerName = await client.publishFeatureType('roads', { title: 'Roads' });
+
+  assert.strictEqual(layerName, 'ws:roads');
+  assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url}`), [
+    'GET /geoserver/rest/workspaces/ws.json',
+    'POST /geoserver/rest/workspaces',
+    'GET /geoserver/rest/workspaces/ws/datastores/postgis.json',
+    'POST /geoserver/rest/workspaces/ws/datastores',
+    'GET /geoserver/rest/workspaces/ws/datastores/postgis/featuretypes/roads.json',
+    'POST /geoserver/rest/workspaces/ws/datastores/postgis/featuretypes',
+  ]);
+  assert.ok(requests.every(request => request.auth === `Basic ${Buffer.from('admin:secret').toString('base64')}`));
+  assert.deepStrictEqual(JSON.parse(requests[5].body).featureType, {
+    name: 'roads',
+    nativeName: 'roads',
+    title: 'Roads',
+    srs: 'EPSG:4326',
+    enabled: true,
+  });
+});
+
+test('reuses existing resources when publishing again', async () => {
+  respond = () => [200, '{}'];
+
+  assert.strictEqual(await client.publishFeatureType('roads'), 'ws:roads');
+  assert.ok(requests.every(request => request.method === 'GET'));
+});
+
+test('reports the GeoServer response body when a request fails', async () => {
+  respond = (request) => {
+    if (request.url.startsWith('/geoserver/rest/workspaces/ws/styles')) {
+      return request.method === 'GET' ? [404, 'No such style'] : [500, 'Style is not valid'];
+    }
+    return [200, '{}'];
+  };
+
+  await assert.rejects(client.uploadStyle('roads', '<StyledLayerDescriptor/>'), (error) => {
+    assert.strictEqual(error.response.status, 500);
+    assert.match(error.message, /^GeoServer POST \/workspaces\/ws\/styles failed \(500\): Style is not valid$/);
+    return true;
+  });
+});
+
+test('treats missing resources as already unpublished', async () => {
+  respond = () => [404, 'No such layer'];
+
+  assert.strictEqual(await client.unpublish({ type: 'featuretype', name: 'roads' }), false);
+  assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url}`), [
+    'DELETE /geoserver/rest/workspaces/ws/layers/roads',
+    'DELETE /geoserver/rest/workspaces/ws/datastores/postgis/featuretypes/roads?recurse=true',
+  ]);
+});
+
+test('unpublishes coverages with their files', async () => {
+  respond = () => [200, ''];
+
+  assert.strictEqual(await client.unpublish({ type: 'coverage', name: 'dem' }), true);
+  assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url}`), [
+    'DELETE /geoserver/rest/workspaces/ws/coveragestores/dem?recurse=true&purge=all',
+  ]);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isBlockedAddress, assertPublicUrl, BlockedHostError } = require('../src/utils/network');
+const { fetchCapabilities, CapabilitiesError } = require('../src/services/capabilities.service');
+
+test('blocks loopback, private, link-local and unique-local addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254',
+    '0.0.0.0', '::1', '::ffff:7f00:1', '::ffff:10.0.0.1', 'fd00::1', 'fe80::1']) {
+    assert.strictEqual(isBlockedAddress(address), true, address);
+  }
+});
+
+test('allows public addresses', () => {
+  for (const address of ['8.8.8.8', '172.32.0.1', '::ffff:8.8.8.8', '2001:4860:4860::8888']) {
+    assert.strictEqual(isBlockedAddress(address), false, address);
+  }
+});
+
+test('rejects URLs with non-public IP literals', async () => {
+  await assert.rejects(assertPublicUrl('http://169.254.169.254/latest/meta-data'), BlockedHostError);
+  await assert.rejects(assertPublicUrl('http://[::1]:8080/'), BlockedHostError);
+  await assert.rejects(assertPublicUrl('http://localhost/'), BlockedHostError);
+});
+
+test('capabilities requests to internal hosts fail with 400 before fetching', async () => {
+  await assert.rejects(fetchCapabilities('http://127.0.0.1:8080/geoserver/wms', 'wms'), error => (
+    error instanceof CapabilitiesError && error.statusCode === 400
+  ));
+});
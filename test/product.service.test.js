@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db } = require('../src/db');
+const { parseProductFilters, applyProductFilters, ProductQueryError } = require('../src/services/product.service');
+
+test('accepts YYYY-MM-DD dates', () => {
+  const filters = parseProductFilters({ date_from: '2024-02-29', date_to: ' 2024-12-31 ' });
+  assert.strictEqual(filters.dateFrom, '2024-02-29');
+  assert.strictEqual(filters.dateTo, '2024-12-31');
+});
+
+test('rejects dates that do not exist', () => {
+  assert.throws(() => parseProductFilters({ date_from: '2023-02-29' }), ProductQueryError);
+  assert.throws(() => parseProductFilters({ date_to: '2024-13-01' }), ProductQueryError);
+});
+
+test('rejects other date formats', () => {
+  for (const value of ['1', 'March 5', '2024-3-5', '2024-03-05T00:00:00Z']) {
+    assert.throws(() => parseProductFilters({ date_from: value }), ProductQueryError, value);
+  }
+});
+
+test('matches uncategorized products for a null category', () => {
+  const { sql, bindings } = applyProductFilters(db('products'), { categories: ['Flood', null] }).toSQL();
+  assert.match(sql, /"products"\."category" in \(\?\) or "products"\."category" is null/);
+  assert.deepStrictEqual(bindings, ['Flood']);
+});
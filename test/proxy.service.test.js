@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildUpstreamRequest, ProxyError } = require('../src/services/proxy.service');
+
+const wmsLayer = { type: 'wms', url: 'http://gs.example/geoserver/ws/wms', layer_name: 'ws:roads' };
+
+test('forwards paths below the layer path', () => {
+  const { url } = buildUpstreamRequest(wmsLayer, 'reflect', {});
+  assert.strictEqual(url, 'http://gs.example/geoserver/ws/wms/reflect');
+});
+
+test('forwards the layer path itself', () => {
+  const { url } = buildUpstreamRequest(wmsLayer, '', { SERVICE: 'WMS' });
+  assert.strictEqual(url, 'http://gs.example/geoserver/ws/wms?SERVICE=WMS');
+});
+
+test('rejects sibling paths sharing the layer path prefix', () => {
+  assert.throws(() => buildUpstreamRequest(wmsLayer, '../wms2/x', {}), error => (
+    error instanceof ProxyError && error.statusCode === 403
+  ));
+});
+
+test('rejects paths above the layer path', () => {
+  assert.throws(() => buildUpstreamRequest(wmsLayer, '../../rest/workspaces', {}), ProxyError);
+});
+
+test('forwards only the query parameters of the layer protocol', () => {
+  const { url } = buildUpstreamRequest(wmsLayer, '', {
+    SERVICE: 'WMS',
+    REQUEST: 'GetMap',
+    LAYERS: 'ws:secret',
+    SLD_BODY: '<StyledLayerDescriptor/>',
+    CQL_FILTER: 'INCLUDE',
+    share: 'token',
+  });
+  assert.strictEqual(url, 'http://gs.example/geoserver/ws/wms?SERVICE=WMS&REQUEST=GetMap&LAYERS=ws%3Aroads');
+});
+
+test('drops WFS feature and filter parameters', () => {
+  const wfsLayer = { type: 'wfs', url: 'http://gs.example/geoserver/ws/wfs', layer_name: 'ws:roads' };
+  const { url } = buildUpstreamRequest(wfsLayer, '', { typeName: 'ws:secret', featureID: 'secret.1', viewparams: 'a:1' });
+  assert.strictEqual(url, 'http://gs.example/geoserver/ws/wfs?typeName=ws%3Aroads');
+});
+
+test('rejects layer selection for OGC layers without layer_name', () => {
+  const layer = { ...wmsLayer, layer_name: null };
+  assert.throws(() => buildUpstreamRequest(layer, '', { LAYERS: 'ws:secret' }), error => (
+    error instanceof ProxyError && error.statusCode === 403
+  ));
+});
+
+test('forwards no query parameters for tile templates', () => {
+  const layer = { type: 'xyz', url: 'http://tiles.example/{z}/{x}/{y}.png' };
+  const { url } = buildUpstreamRequest(layer, '1/0/1', { token: 'x' });
+  assert.strictEqual(url, 'http://tiles.example/1/0/1.png');
+});
+
+test('sends the read-only GeoServer account, never the REST admin account', (t) => {
+  t.after(() => {
+    for (const key of ['GEOSERVER_URL', 'GEOSERVER_USER', 'GEOSERVER_PROXY_USER', 'GEOSERVER_PROXY_PASSWORD']) {
+      delete process.env[key];
+    }
+  });
+  process.env.GEOSERVER_URL = 'http://gs.example/geoserver';
+  process.env.GEOSERVER_USER = 'admin';
+  assert.strictEqual(buildUpstreamRequest(wmsLayer, '', {}).auth, undefined);
+
+  process.env.GEOSERVER_PROXY_USER = 'viewer';
+  process.env.GEOSERVER_PROXY_PASSWORD = 'secret';
+  assert.deepStrictEqual(buildUpstreamRequest(wmsLayer, '', {}).auth, { username: 'viewer', password: 'secret' });
+});
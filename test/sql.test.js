@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeLike } = require('../src/utils/sql');
+
+test('escapes LIKE wildcards and the escape character', () => {
+  assert.strictEqual(escapeLike('100%_a\\b'), '100\\%\\_a\\\\b');
+});
+
+test('leaves other text untouched', () => {
+  assert.strictEqual(escapeLike('Banjir Jakarta 2024'), 'Banjir Jakarta 2024');
+});
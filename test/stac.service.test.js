@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearch } = require('../src/services/stac.service');
+
+const productId = '0b8f3c2e-5d6a-4f1b-9c7e-2a4d6e8f0a1b';
+
+test('keeps UUID item ids', async () => {
+  const search = await parseSearch({ ids: productId });
+  assert.deepStrictEqual(search.filters.ids, [productId]);
+  assert.strictEqual(search.empty, false);
+});
+
+test('matches nothing when no id is a UUID', async () => {
+  const search = await parseSearch({ ids: 'not-a-uuid,42' });
+  assert.deepStrictEqual(search.filters.ids, []);
+  assert.strictEqual(search.empty, true);
+});
+
+test('drops non-UUID ids next to valid ones', async () => {
+  const search = await parseSearch({ ids: ['x', productId] });
+  assert.deepStrictEqual(search.filters.ids, [productId]);
+  assert.strictEqual(search.empty, false);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateStyle, StyleValidationError } = require('../src/services/style.service');
+
+const style = {
+  version: 8,
+  sources: { roads: { type: 'vector', tiles: ['https://tiles.example/{z}/{x}/{y}.pbf'] } },
+  layers: [{ id: 'roads', type: 'line', source: 'roads', 'source-layer': 'roads', paint: { 'line-width': 2 } }],
+};
+
+test('accepts a valid MapLibre style', async () => {
+  const { summary } = await validateStyle('maplibre', JSON.stringify(style));
+  assert.deepStrictEqual(summary, { name: null, sources: ['roads'], layer_count: 1 });
+});
+
+test('rejects invalid paint values and expressions', async () => {
+  const invalid = {
+    ...style,
+    layers: [{ ...style.layers[0], paint: { 'line-width': 'wide', 'line-color': ['nope'] } }],
+  };
+  await assert.rejects(validateStyle('maplibre', invalid), error => (
+    error instanceof StyleValidationError && error.errors.length === 2
+  ));
+});